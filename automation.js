@@ -1,611 +1,519 @@
 #!/usr/bin/env node
 
 // Enhanced Crypto Thread Automation with Images & Charts
-console.log('🔧 Starting enhanced automation.js with images & charts...');
+//
+// CLI entry point. The stages live in src/ and take their outside-world
+// dependencies (fetch, fs, clock, Gemini client) from src/deps.js.
 
-import fs from 'fs';
 import path from 'path';
-
-// Use dynamic import for ESM compatibility
-async function runAutomation() {
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { formatUsage, loadConfig, writeWorkFile, readWorkFile } from './src/config.js';
+import { createDeps } from './src/deps.js';
+import { fetchCryptoData, fetchPortfolio } from './src/market-data.js';
+import { withPortfolioFigures } from './src/portfolio.js';
+import { isSampleData } from './src/provenance.js';
+import { loadRunHistory, appendRunHistory, buildRunComparison, recentPublishedTweets } from './src/history.js';
+import { checkLlmModels, createLlmClient } from './src/llm.js';
+import { fetchNewsContext } from './src/news.js';
+import { generateThreadContent, describeGenerationFallbacks } from './src/thread.js';
+import { generateCryptoImages } from './src/images.js';
+import { generatePriceCharts } from './src/charts.js';
+import { renderVisuals } from './src/render.js';
+import { buildMarketSummary } from './src/format.js';
+import { createI18n } from './src/i18n.js';
+import { sendToTelegram } from './src/telegram.js';
+import { resolvePublishers, publishPackage, formatPublishReport, telegramChatIdKey } from './src/publishers.js';
+import { writePreviewPage } from './src/preview.js';
+import { reviewThread } from './src/approval.js';
+import { enforceCompliance, formatComplianceReport } from './src/compliance.js';
+import { runBot } from './src/bot.js';
+import { runAlerts } from './src/alerts.js';
+import { runScheduleTick, runScheduler } from './src/scheduler.js';
+import { buildRunReport, createRunObserver, formatHealthSummary } from './src/run-report.js';
+
+// These report through their own messages; a run report would only cover their startup
+const LONG_RUNNING_COMMANDS = ['bot', 'alerts', 'schedule', 'tick'];
+
+// Resolves when the command is done and rejects, after reporting, when it fails
+export async function runAutomation(argv, deps = createDeps()) {
+    let command;
+    let config;
     try {
+        let help;
+        ({ command, config, help } = loadConfig(argv, process.env, deps));
+        if (help) {
+            console.log(formatUsage());
+            return;
+        }
+    } catch (error) {
+        // Bad settings: nothing has run yet, so just explain and stop
+        console.error(`❌ ${error.message}`);
+        throw error;
+    }
+    
+    const run = {
+        runId: randomUUID(),
+        startedAt: deps.now().toISOString(),
+        command,
+        status: 'running',
+        coins: [],
+        generation: null,
+        llmUsage: null,
+        tweets: [],
+        artifacts: [],
+        publishResults: []
+    };
+    const observer = createRunObserver(run, config, deps);
+    let cryptoData = null;
+    let failure = null;
+    let telegramNotice = null; // Sent ahead of the health summary
+    
+    try {
+        console.log(`▶️ Command: ${command}`);
+        if (config.dryRun) {
+            console.log('🧪 Dry run: no messages will be sent');
+        }
+        
         console.log('📊 Checking environment variables...');
         
-        const geminiKey = process.env.GEMINI_API_KEY;
+        const llmModels = checkLlmModels(config, process.env);
         const telegramToken = process.env.TELEGRAM_BOT_TOKEN;
         const telegramChatId = process.env.TELEGRAM_CHAT_ID;
         
-        console.log('- GEMINI_API_KEY:', geminiKey ? '✅ Found' : '❌ Missing');
+        llmModels.forEach(entry => console.log(`- LLM ${entry.id}:`, entry.missing.length === 0 ? '✅ Ready' : `❌ Missing ${entry.missing.join(', ')}`));
         console.log('- TELEGRAM_BOT_TOKEN:', telegramToken ? '✅ Found' : '❌ Missing');
         console.log('- TELEGRAM_CHAT_ID:', telegramChatId ? '✅ Found' : '❌ Missing');
+        config.locales.slice(1).map(telegramChatIdKey).forEach(key => console.log(`- ${key}:`, process.env[key] ? '✅ Found' : '❌ Missing'));
         
-        if (!geminiKey || !telegramToken || !telegramChatId) {
-            throw new Error('Missing required environment variables');
+        const needsLlm = command === 'run' || command === 'generate';
+        if (needsLlm && llmModels.every(entry => entry.missing.length > 0) && !config.dryRun) {
+            throw new Error('Missing required environment variables: no model in llmModels has its API key');
         }
         
-        // Import Gemini AI
-        console.log('🤖 Loading Gemini AI...');
-        const { GoogleGenerativeAI } = await import('@google/generative-ai');
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        
-        console.log('📱 Sending startup notification...');
-        await sendToTelegram('🚀 Crypto automation started! Generating content with images and charts...', telegramToken, telegramChatId);
-        
-        // Fetch crypto data
-        console.log('🔍 Fetching crypto market data...');
-        const cryptoData = await fetchCryptoData();
-        
-        // Generate AI content
-        console.log('🧠 Generating crypto thread with AI...');
-        const threadContent = await generateThreadContent(genAI, cryptoData);
-        
-        // Generate images
-        console.log('🎨 Generating crypto images...');
-        const images = await generateCryptoImages(cryptoData);
+        // Fails fast if an enabled channel is missing its settings (a dry run only warns)
+        let publishers = [];
+        if (command === 'run' || command === 'publish') {
+            try {
+                publishers = resolvePublishers(config, process.env, deps);
+            } catch (error) {
+                if (!config.dryRun) {
+                    throw error;
+                }
+                console.warn('⚠️ Channel configuration would fail a real run:', error.message);
+            }
+            console.log('- Publish channels:', publishers.map(p => p.name).join(', ') || 'none');
+        }
+        const telegramEnabled = publishers.some(p => p.name === 'telegram');
         
-        // Generate charts
-        console.log('📊 Generating price charts...');
-        const charts = await generatePriceCharts(cryptoData);
+        if (command === 'bot') {
+            if (!telegramToken || !telegramChatId) {
+                throw new Error('The bot needs TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+            }
+            
+            const controller = new AbortController();
+            ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+                console.log('🛑 Stopping after the current poll...');
+                controller.abort();
+            }));
+            
+            await runBot({
+                config,
+                token: telegramToken,
+                chatId: telegramChatId,
+                llm: createLlmClient(config, process.env, deps),
+                signal: controller.signal,
+                // /thread: the same flags, but a full run
+                runPipeline: overrides => runAutomation(['run', ...argv.filter((arg, i) => i !== argv.indexOf('bot'))], { ...deps, ...overrides })
+            }, deps);
+            return;
+        }
         
-        // Send main thread
-        console.log('📤 Sending complete content package to Telegram...');
-        const mainMessage = formatMainMessage(threadContent, cryptoData);
-        await sendToTelegram(mainMessage, telegramToken, telegramChatId);
+        if (command === 'alerts') {
+            if ((!telegramToken || !telegramChatId) && !config.dryRun) {
+                throw new Error('Alerts need TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+            }
+            
+            const controller = new AbortController();
+            ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+                console.log('🛑 Stopping alerts...');
+                controller.abort();
+            }));
+            
+            await runAlerts({ config, token: telegramToken, chatId: telegramChatId, signal: controller.signal }, deps);
+            return;
+        }
         
-        // Send images
-        for (let i = 0; i < images.length; i++) {
-            console.log(`📸 Sending image ${i + 1}/${images.length}...`);
-            await sendImageToTelegram(images[i], telegramToken, telegramChatId);
-            await sleep(2000); // Wait 2 seconds between sends
+        if (command === 'schedule' || command === 'tick') {
+            if (!config.schedule) {
+                throw new Error('No schedule configured, set SCHEDULE, e.g. "08:00 America/Los_Angeles daily-recap"');
+            }
+            
+            // Each queue entry runs the stages with the same flags in its own work directory.
+            // Review hands back the decision and publish the run status, so a discarded
+            // or blocked thread isn't retried or counted as published.
+            const context = {
+                config,
+                runStage: async (stage, entry) => {
+                    await runAutomation([stage, ...argv.filter((arg, i) => i !== argv.indexOf(command)), '--work-dir', entry.workDir, '--thread-format', entry.format], deps);
+                    if (stage === 'review' && !config.dryRun) {
+                        return readWorkFile({ workDir: entry.workDir }, 'approval', 'review', deps).status;
+                    }
+                    if (stage === 'publish') {
+                        return readWorkFile({ workDir: entry.workDir }, 'runReport', 'publish', deps).status;
+                    }
+                }
+            };
+            if (command === 'tick') {
+                await runScheduleTick(context, deps);
+                return;
+            }
+            
+            const controller = new AbortController();
+            ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+                console.log('🛑 Stopping after the current tick...');
+                controller.abort();
+            }));
+            await runScheduler({ ...context, signal: controller.signal }, deps);
+            return;
         }
         
-        // Send charts  
-        for (let i = 0; i < charts.length; i++) {
-            console.log(`📈 Sending chart ${i + 1}/${charts.length}...`);
-            await sendImageToTelegram(charts[i], telegramToken, telegramChatId);
-            await sleep(2000);
+        if (command === 'run' && telegramEnabled && !config.dryRun) {
+            console.log('📱 Sending startup notification...');
+            await sendToTelegram('🚀 Crypto automation started! Generating content with images and charts...', telegramToken, telegramChatId, 'none', deps);
         }
         
-        console.log('✅ Enhanced automation completed successfully!');
+        // Fetch crypto data
+        let news;
+        let portfolio;
+        if (command === 'run' || command === 'fetch') {
+            observer.stage('fetch');
+            console.log('🔍 Fetching crypto market data...');
+            cryptoData = await fetchCryptoData(config, deps);
+            news = await fetchNewsContext(cryptoData, config, deps);
+            portfolio = config.portfolio ? await fetchPortfolio(cryptoData, config, deps) : null;
+            writeWorkFile(config, 'marketData', { fetchedAt: deps.now().toISOString(), cryptoData, news, portfolio }, deps);
+            observer.stageDone(`${cryptoData.length} coins, ${news.headlines.length} headlines`);
+        } else {
+            ({ cryptoData, news = null, portfolio = null } = readWorkFile(config, 'marketData', 'fetch', deps));
+        }
+        run.coins = cryptoData.map(({ id, name, symbol, rank, price, priceChange24h }) => ({ id, name, symbol, rank, price, priceChange24h }));
         
-    } catch (error) {
-        console.error('❌ Automation failed:', error.message);
-        console.error('Stack trace:', error.stack);
+        if (isSampleData(cryptoData) && !config.allowSampleData) {
+            throw new Error('Market data fetch failed and only sample data is available; refusing to publish (set ALLOW_SAMPLE_DATA=true to override)');
+        }
         
-        try {
-            await sendToTelegram(`❌ Crypto automation failed: ${error.message}`, 
-                process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_CHAT_ID);
-        } catch (telegramError) {
-            console.error('❌ Could not send error to Telegram:', telegramError.message);
+        // Compare with previous runs
+        console.log('🗂️ Loading run history...');
+        const pastRuns = loadRunHistory(config.runHistoryFile, deps);
+        const comparison = buildRunComparison(cryptoData, pastRuns, deps.now());
+        console.log(`✅ Loaded ${pastRuns.length} past runs (previous day: ${comparison.previousRunDate || 'none'})`);
+        
+        // The LLM chain writes the thread, and rewrites tweets during a review
+        let llm = null;
+        if (command === 'run' || command === 'generate' || command === 'review') {
+            llm = createLlmClient(config, process.env, deps);
+            if (llm) {
+                console.log(`🤖 LLM models: ${llm.models.join(' → ')}`);
+            } else if (command !== 'review') {
+                console.warn('⚠️ No LLM model has its API key, the dry run will use the template thread');
+            }
+        }
+        const recentTweets = recentPublishedTweets(pastRuns, deps.now());
+        
+        // Generate AI content: the main thread, then one written natively in each other locale
+        let tweets;
+        let generation;
+        let editions = {};
+        let threadGeneratedAt;
+        if (command === 'run' || command === 'generate') {
+            observer.stage('generate');
+            console.log('🧠 Generating crypto thread with AI...');
+            ({ tweets, generation } = await generateThreadContent(llm, cryptoData, { comparison, recentTweets, news, portfolio, config }, deps));
+            for (const locale of config.locales.slice(1)) {
+                editions[locale] = await generateThreadContent(llm, cryptoData, { comparison, recentTweets, news, portfolio, locale, config }, deps);
+            }
+            threadGeneratedAt = deps.now().toISOString();
+            run.llmUsage = llm?.usage() || null;
+            writeWorkFile(config, 'thread', { generatedAt: threadGeneratedAt, generation, llmUsage: run.llmUsage, tweets, editions }, deps);
+            observer.stageDone(`${tweets.length} tweets from ${generation.fallback ? 'the template' : generation.model}${config.locales.length > 1 ? ` in ${config.locales.join(', ')}` : ''}`);
+        } else if (command === 'publish' || command === 'review') {
+            ({ tweets, generation, editions = {}, llmUsage: run.llmUsage, generatedAt: threadGeneratedAt } = readWorkFile(config, 'thread', 'generate', deps));
+        }
+        run.generation = generation;
+        describeGenerationFallbacks(generation).forEach(notice => console.warn(notice));
+        Object.values(editions).forEach(edition => describeGenerationFallbacks(edition.generation).forEach(notice => console.warn(notice)));
+        
+        // Hold the thread until someone approves it in Telegram
+        const needsReview = command === 'review' || (command === 'run' && config.requireApproval);
+        if (needsReview && config.dryRun) {
+            console.log('🧪 Dry run: skipping the Telegram review');
+        } else if (needsReview) {
+            if (!telegramToken || !telegramChatId) {
+                throw new Error('The Telegram review needs TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+            }
+            
+            observer.stage('review');
+            const reviewContext = { llm, comparison, recentTweets, news, portfolio, config, token: telegramToken, chatId: telegramChatId };
+            const review = await reviewThread(tweets, cryptoData, reviewContext, deps);
+            // Each edition gets its own review once the main thread is approved
+            const editionReviews = {};
+            if (review.status === 'approved') {
+                for (const [locale, edition] of Object.entries(editions)) {
+                    editionReviews[locale] = await reviewThread(edition.tweets, cryptoData, { ...reviewContext, locale }, deps);
+                }
+            }
+            writeWorkFile(config, 'approval', { ...review, editions: editionReviews, threadGeneratedAt }, deps);
+            observer.stageDone(review.status);
+            run.approval = { status: review.status, version: review.version, tone: review.tone, decidedBy: review.decidedBy, decidedAt: review.decidedAt };
+            run.generation = review.generation || generation;
+            run.llmUsage = llm?.usage() || run.llmUsage;
+            tweets = review.tweets;
+            
+            if (review.status !== 'approved' && command === 'run') {
+                console.log(`🛑 Thread ${review.status} in review, nothing will be published`);
+                run.status = review.status;
+                run.finishedAt = deps.now().toISOString();
+                run.tweets = tweets.map(({ index, text }) => ({ index, text }));
+                appendRunHistory(run, config.runHistoryFile, deps);
+                return;
+            }
+            applyEditionReviews(editions, editionReviews);
+        } else if (command === 'publish' && config.requireApproval) {
+            const approval = readWorkFile(config, 'approval', 'review', deps);
+            if (approval.threadGeneratedAt !== threadGeneratedAt) {
+                throw new Error('The saved approval is for an older thread, run `node automation.js review` again');
+            }
+            if (approval.status !== 'approved') {
+                throw new Error(`The thread was ${approval.status} in review, not publishing`);
+            }
+            console.log(`✅ Publishing the thread approved by ${approval.decidedBy}`);
+            run.approval = { status: approval.status, version: approval.version, tone: approval.tone, decidedBy: approval.decidedBy, decidedAt: approval.decidedAt };
+            run.generation = approval.generation || generation;
+            tweets = approval.tweets;
+            applyEditionReviews(editions, approval.editions || {});
         }
         
-        process.exit(1);
-    }
-}
-
-async function fetchCryptoData() {
-    console.log('📈 Fetching trending crypto data...');
-    
-    try {
-        // Use node-fetch or built-in fetch
-        let fetch;
-        try {
-            fetch = globalThis.fetch || (await import('node-fetch')).default;
-        } catch {
-            fetch = globalThis.fetch;
+        // Fact-check the figures and catch advice language before anything goes out
+        let compliance = null;
+        if ((command === 'run' || command === 'publish') && config.complianceMode !== 'off') {
+            observer.stage('compliance');
+            const figures = withPortfolioFigures(cryptoData, portfolio);
+            compliance = enforceCompliance(tweets, figures, { disclaimer: createI18n(config.locales[0]).t('disclaimer') });
+            tweets = compliance.tweets;
+            run.compliance = { violations: compliance.violations, fixes: compliance.fixes };
+            console.log(formatComplianceReport(compliance));
+            
+            // Each edition gets its own check and its own disclaimer; a blocked one is left out
+            for (const [locale, edition] of Object.entries(editions).filter(([, edition]) => !edition.status)) {
+                edition.compliance = enforceCompliance(edition.tweets, figures, { disclaimer: createI18n(locale).t('disclaimer') });
+                edition.tweets = edition.compliance.tweets;
+                console.log(`🌐 ${locale}: ${formatComplianceReport(edition.compliance)}`);
+                if (edition.compliance.violations.length > 0 && config.complianceMode === 'block' && !config.dryRun) {
+                    console.log(`🛑 The ${locale} thread was blocked by the compliance check and won't be published`);
+                    edition.status = 'blocked';
+                }
+            }
+            observer.stageDone(`${compliance.violations.length} violation(s), ${compliance.fixes.length} fix(es)`);
+            
+            if (compliance.violations.length > 0 && config.complianceMode === 'block' && !config.dryRun) {
+                console.log('🛑 Thread blocked by the compliance check, nothing will be published');
+                run.status = 'blocked';
+                run.finishedAt = deps.now().toISOString();
+                run.tweets = tweets.map(({ index, text }) => ({ index, text }));
+                appendRunHistory(run, config.runHistoryFile, deps);
+                telegramNotice = `🛑 Today's thread was blocked and not published.\n\n${formatComplianceReport(compliance)}`;
+                return;
+            }
+        }
+        run.tweets = (tweets || []).map(({ index, text }) => ({ index, text }));
+        run.editions = Object.entries(editions).map(([locale, edition]) => ({
+            locale,
+            generation: edition.generation,
+            compliance: edition.compliance ? { violations: edition.compliance.violations, fixes: edition.compliance.fixes } : null,
+            status: edition.status || 'ready'
+        }));
+        
+        let images;
+        let charts;
+        let editionVisuals = {};
+        if (command === 'run' || command === 'render') {
+            // Generate images
+            observer.stage('images');
+            console.log('🎨 Generating crypto images...');
+            images = await generateCryptoImages(cryptoData, config, deps, { portfolio });
+            observer.stageDone(`${images.length} cards`);
+            
+            // Generate charts
+            observer.stage('charts');
+            console.log('📊 Generating price charts...');
+            charts = await generatePriceCharts(cryptoData, config, deps, { portfolio });
+            observer.stageDone(`${charts.length} charts`);
+            
+            // The other locales' cards and charts go in a subdirectory each
+            for (const locale of config.locales.slice(1)) {
+                console.log(`🌐 Generating ${locale} images and charts...`);
+                const localeConfig = localizedConfig(config, locale);
+                editionVisuals[locale] = {
+                    images: await generateCryptoImages(cryptoData, localeConfig, deps, { portfolio, locale }),
+                    charts: await generatePriceCharts(cryptoData, localeConfig, deps, { portfolio, locale })
+                };
+            }
+            
+            // Rasterize for channels that won't display SVG inline
+            observer.stage('render');
+            console.log('🖼️ Rendering visuals to PNG...');
+            const allVisuals = [images, charts, ...Object.values(editionVisuals).flatMap(visuals => [visuals.images, visuals.charts])].flat();
+            await renderVisuals(allVisuals, config.renderSizes, deps);
+            writeWorkFile(config, 'visuals', { renderedAt: deps.now().toISOString(), images, charts, editions: editionVisuals }, deps);
+            observer.stageDone();
+        } else if (command === 'publish') {
+            ({ images, charts, editions: editionVisuals = {} } = readWorkFile(config, 'visuals', 'render', deps));
         }
         
-        const response = await fetch('https://api.coingecko.com/api/v3/search/trending');
-        const data = await response.json();
+        if (command !== 'run' && command !== 'publish') {
+            console.log(`✅ ${command} completed`);
+            return;
+        }
         
-        const cryptoProjects = [];
-        if (data.coins) {
-            data.coins.slice(0, 5).forEach((coin, index) => {
-                cryptoProjects.push({
-                    name: coin.item.name,
-                    symbol: coin.item.symbol,
-                    rank: index + 1,
-                    marketCapRank: coin.item.market_cap_rank || 'N/A',
-                    priceChange24h: coin.item.data?.price_change_percentage_24h?.usd || Math.random() * 20 - 10, // Fallback with random data
-                    trending: true
-                });
-            });
+        const localizedVisuals = Object.values(editionVisuals).flatMap(visuals => [...visuals.images, ...visuals.charts]);
+        run.artifacts = [...images, ...charts, ...localizedVisuals].flatMap(item => [item.filePath, ...(item.renders || []).map(r => r.filePath)]);
+        
+        const contentPackage = {
+            tweets,
+            generation: run.generation,
+            notices: describeGenerationFallbacks(run.generation),
+            compliance,
+            images,
+            charts,
+            summary: buildMarketSummary(cryptoData, comparison, { i18n: createI18n(config.locales[0]) }),
+            editions: Object.entries(editions).filter(([, edition]) => !edition.status).map(([locale, edition]) => ({
+                locale,
+                tweets: edition.tweets,
+                notices: describeGenerationFallbacks(edition.generation),
+                compliance: edition.compliance || null,
+                images: editionVisuals[locale]?.images || [],
+                charts: editionVisuals[locale]?.charts || []
+            })),
+            cryptoData,
+            comparison,
+            threadGeneratedAt,
+            createdAt: deps.now().toISOString()
+        };
+        
+        if (config.dryRun) {
+            const previewPath = writePreviewPage(contentPackage, config, deps);
+            console.log(`🧪 Dry run complete, preview written to ${previewPath}`);
+            return;
         }
         
-        console.log(`✅ Fetched ${cryptoProjects.length} trending crypto projects`);
-        return cryptoProjects;
-    } catch (error) {
-        console.warn('⚠️ API fetch failed, using sample data:', error.message);
-        return [
-            { name: 'Bitcoin', symbol: 'BTC', rank: 1, priceChange24h: 3.2 },
-            { name: 'Ethereum', symbol: 'ETH', rank: 2, priceChange24h: -1.8 },
-            { name: 'Solana', symbol: 'SOL', rank: 3, priceChange24h: 8.5 },
-            { name: 'Cardano', symbol: 'ADA', rank: 4, priceChange24h: 4.1 },
-            { name: 'Avalanche', symbol: 'AVAX', rank: 5, priceChange24h: -2.3 }
-        ];
-    }
-}
-
-async function generateThreadContent(genAI, cryptoData) {
-    console.log('🧠 Generating AI-powered thread content...');
-    
-    try {
-        const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+        // Publish to every enabled channel
+        observer.stage('publish');
+        console.log('📤 Publishing complete content package...');
+        const results = await publishPackage(contentPackage, publishers);
+        run.publishResults = results;
+        observer.stageDone(`${results.filter(result => result.ok).length}/${results.length} channels`);
         
-        const dataText = cryptoData.map(p => 
-            `${p.name} (${p.symbol}): ${p.priceChange24h > 0 ? '+' : ''}${p.priceChange24h.toFixed(1)}%`
-        ).join(', ');
+        console.log('📋 Publish report:\n' + formatPublishReport(results));
         
-        const prompt = `Create a 6-tweet Twitter thread about these trending crypto projects: ${dataText}
-
-Make it engaging and informative. Include:
-- Hook tweet with trending data
-- Market analysis
-- Key projects to watch
-- Investment insights
-- Strong conclusion with hashtags
-
-Format as:
-Tweet 1/6: [content]
-Tweet 2/6: [content] 
-... etc
-
-Keep each tweet under 240 characters and make them valuable for crypto enthusiasts.`;
-
-        const result = await model.generateContent(prompt);
-        const response = result.response;
-        const threadText = response.text();
+        if (results.every(result => !result.ok)) {
+            throw new Error(`Publishing failed on every channel:\n${formatPublishReport(results)}`);
+        }
         
-        console.log('✅ AI thread content generated successfully');
-        return threadText;
-    } catch (error) {
-        console.warn('⚠️ AI generation failed, using template:', error.message);
-        return `Tweet 1/6: 🚀 Crypto markets are moving! Here's what's trending right now and what it means for your portfolio 👇 #crypto
-
-Tweet 2/6: 📈 Top gainers: ${cryptoData.filter(p => p.priceChange24h > 0).map(p => `$${p.symbol} +${p.priceChange24h.toFixed(1)}%`).join(', ')} - momentum building!
-
-Tweet 3/6: 📉 Key projects facing pressure: ${cryptoData.filter(p => p.priceChange24h < 0).map(p => `$${p.symbol} ${p.priceChange24h.toFixed(1)}%`).join(', ')} - potential buying opportunities?
-
-Tweet 4/6: 💡 Market insight: Mixed sentiment with selective strength in ${cryptoData[0]?.symbol || 'BTC'} and ${cryptoData[2]?.symbol || 'ETH'} showing resilience
-
-Tweet 5/6: ⚡ What to watch: Keep an eye on volume patterns and support levels. Always DYOR before making investment decisions!
-
-Tweet 6/6: 🎯 Follow for daily crypto insights and never miss market-moving developments. What's your take on today's trends? 👀 #bitcoin #ethereum #DeFi #trading`;
-    }
-}
-
-async function generateCryptoImages(cryptoData) {
-    console.log('🎨 Creating crypto-themed images...');
-    
-    const images = [];
-    
-    // Create images directory
-    const imagesDir = './generated-images';
-    if (!fs.existsSync(imagesDir)) {
-        fs.mkdirSync(imagesDir, { recursive: true });
-    }
-    
-    // Generate 2 images
-    for (let i = 0; i < 2; i++) {
-        const project = cryptoData[i] || { name: 'Crypto', symbol: 'BTC', priceChange24h: 0 };
-        const isPositive = project.priceChange24h > 0;
-        const trend = isPositive ? 'rising' : 'falling';
-        const color = isPositive ? '#27ae60' : '#e74c3c';
+        const failed = results.filter(result => !result.ok);
+        if (failed.length > 0 && telegramEnabled && results.find(r => r.channel === 'telegram').ok && !config.healthSummary) {
+            telegramNotice = `⚠️ Some channels failed:\n${formatPublishReport(results)}`;
+        }
         
-        const svgContent = `<svg width="800" height="600" xmlns="http://www.w3.org/2000/svg">
-  <!-- Bright background -->
-  <rect width="100%" height="100%" fill="#f8f9fa"/>
-  
-  <!-- Header background -->
-  <rect x="0" y="0" width="800" height="100" fill="${color}"/>
-  
-  <!-- Main title -->
-  <text x="400" y="35" font-family="Arial, sans-serif" font-size="28" fill="white" text-anchor="middle" font-weight="bold">
-    ${project.name.toUpperCase()} (${project.symbol})
-  </text>
-  <text x="400" y="65" font-family="Arial, sans-serif" font-size="18" fill="white" text-anchor="middle">
-    Crypto Market Analysis
-  </text>
-  
-  <!-- Large symbol circle -->
-  <circle cx="400" cy="220" r="100" fill="${color}" stroke="white" stroke-width="6"/>
-  <text x="400" y="235" font-family="Arial, sans-serif" font-size="40" fill="white" text-anchor="middle" font-weight="bold">
-    ${project.symbol}
-  </text>
-  
-  <!-- Price change box -->
-  <rect x="300" y="350" width="200" height="80" rx="15" fill="white" stroke="${color}" stroke-width="4"/>
-  <text x="400" y="375" font-family="Arial, sans-serif" font-size="18" fill="#333" text-anchor="middle">
-    24h Price Change
-  </text>
-  <text x="400" y="405" font-family="Arial, sans-serif" font-size="32" fill="${color}" text-anchor="middle" font-weight="bold">
-    ${project.priceChange24h > 0 ? '+' : ''}${project.priceChange24h.toFixed(1)}%
-  </text>
-  
-  <!-- Trend indicator -->
-  <rect x="350" y="450" width="100" height="40" rx="20" fill="${color}"/>
-  <text x="400" y="475" font-family="Arial, sans-serif" font-size="16" fill="white" text-anchor="middle" font-weight="bold">
-    ${trend.toUpperCase()}
-  </text>
-  
-  <!-- Decorative arrows -->
-  ${isPositive ? 
-    '<polygon points="150,500 200,450 250,500 200,480" fill="#27ae60"/><polygon points="550,500 600,450 650,500 600,480" fill="#27ae60"/>' : 
-    '<polygon points="150,450 200,500 250,450 200,470" fill="#e74c3c"/><polygon points="550,450 600,500 650,450 600,470" fill="#e74c3c"/>'
-  }
-  
-  <!-- Footer -->
-  <text x="400" y="550" font-family="Arial, sans-serif" font-size="16" fill="#666" text-anchor="middle">
-    Generated for Crypto Twitter Thread • ${new Date().toLocaleDateString()}
-  </text>
-</svg>`;
-
-        const fileName = `crypto-${project.symbol.toLowerCase()}-${Date.now()}-${i + 1}.svg`;
-        const filePath = path.join(imagesDir, fileName);
+        run.status = failed.length > 0 ? 'partial' : 'success';
+        run.finishedAt = deps.now().toISOString();
+        appendRunHistory(run, config.runHistoryFile, deps);
         
-        fs.writeFileSync(filePath, svgContent);
+        console.log(`✅ Enhanced automation completed${failed.length > 0 ? ` with ${failed.length} failed channel(s)` : ' successfully'}!`);
+    
+    } catch (error) {
+        failure = error;
+        observer.finish(error);
+        run.status = 'failed';
+        run.finishedAt = deps.now().toISOString();
+        console.error('❌ Automation failed:', error.message);
+        console.error('Stack trace:', error.stack);
         
-        images.push({
-            fileName,
-            filePath,
-            description: `${project.name} (${project.symbol}) showing ${trend} trend with ${project.priceChange24h > 0 ? '+' : ''}${project.priceChange24h.toFixed(1)}% price change`,
-            project: project.name,
-            symbol: project.symbol,
-            trend
-        });
+        // Only runs that were meant to publish belong in the history
+        if ((command === 'run' || command === 'publish') && !config.dryRun) {
+            try {
+                appendRunHistory({ ...run, error: error.message }, config.runHistoryFile, deps);
+            } catch (historyError) {
+                console.error('❌ Could not record run history:', historyError.message);
+            }
+        }
         
-        console.log(`✅ Generated image ${i + 1}: ${fileName}`);
+        throw error;
+    } finally {
+        if (!failure) {
+            observer.finish();
+        }
+        await reportRun(run, { cryptoData, failure, telegramNotice, config }, deps);
+        observer.release();
     }
-    
-    return images;
 }
 
-async function generatePriceCharts(cryptoData) {
-    console.log('📊 Creating price change charts...');
-    
-    const charts = [];
-    
-    // Create charts directory
-    const chartsDir = './generated-charts';
-    if (!fs.existsSync(chartsDir)) {
-        fs.mkdirSync(chartsDir, { recursive: true });
+// Only the editions approved in review go out, with the tweets as approved. The
+// rest get the review status (or unreviewed) and are left out of the package.
+function applyEditionReviews(editions, reviews) {
+    for (const [locale, edition] of Object.entries(editions)) {
+        const review = reviews[locale];
+        if (review?.status === 'approved') {
+            edition.tweets = review.tweets;
+            edition.generation = review.generation || edition.generation;
+        } else {
+            edition.status = review?.status || 'unreviewed';
+            console.log(`🛑 The ${locale} thread ${review ? `was ${review.status} in review` : 'was not reviewed'} and won't be published`);
+        }
     }
-    
-    const width = 800;
-    const height = 600;
-    const margin = { top: 60, right: 50, bottom: 120, left: 80 };
-    const chartWidth = width - margin.left - margin.right;
-    const chartHeight = height - margin.top - margin.bottom;
-    
-    const maxChange = Math.max(...cryptoData.map(p => Math.abs(p.priceChange24h)));
-    const barWidth = chartWidth / cryptoData.length * 0.7;
-    const barSpacing = chartWidth / cryptoData.length;
-    
-    let svgContent = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
-  <style>
-    .chart-title { font-family: Arial, sans-serif; font-size: 24px; font-weight: bold; fill: #2c3e50; }
-    .axis-label { font-family: Arial, sans-serif; font-size: 12px; fill: #34495e; }
-    .bar-label { font-family: Arial, sans-serif; font-size: 11px; fill: #2c3e50; font-weight: bold; }
-    .positive-bar { fill: #27ae60; stroke: #1e8449; stroke-width: 1; }
-    .negative-bar { fill: #e74c3c; stroke: #c0392b; stroke-width: 1; }
-    .grid-line { stroke: #ecf0f1; stroke-width: 1; stroke-dasharray: 2,2; }
-  </style>
-  
-  <rect width="100%" height="100%" fill="#ffffff"/>
-  
-  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">
-    24h Price Changes - Trending Crypto Projects
-  </text>
-  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
-    Live market data • Generated ${new Date().toLocaleDateString()}
-  </text>
-  
-  <!-- Axes -->
-  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
-  <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
-  
-  <!-- Zero line -->
-  <line x1="${margin.left}" y1="${margin.top + chartHeight/2}" x2="${width - margin.right}" y2="${margin.top + chartHeight/2}" class="grid-line"/>
-  
-  <!-- Y-axis labels -->
-  <text x="${margin.left - 10}" y="${margin.top + chartHeight/4}" text-anchor="end" class="axis-label">+${maxChange.toFixed(0)}%</text>
-  <text x="${margin.left - 10}" y="${margin.top + chartHeight/2}" text-anchor="end" class="axis-label">0%</text>
-  <text x="${margin.left - 10}" y="${margin.top + 3*chartHeight/4}" text-anchor="end" class="axis-label">-${maxChange.toFixed(0)}%</text>`;
-
-    // Generate bars
-    cryptoData.forEach((project, index) => {
-        const x = margin.left + index * barSpacing + (barSpacing - barWidth) / 2;
-        const centerY = margin.top + chartHeight / 2;
-        const barHeight = Math.abs(project.priceChange24h) * (chartHeight / 2) / maxChange;
-        const barY = project.priceChange24h >= 0 ? centerY - barHeight : centerY;
-        
-        const barClass = project.priceChange24h >= 0 ? 'positive-bar' : 'negative-bar';
-        
-        svgContent += `
-  <rect x="${x}" y="${barY}" width="${barWidth}" height="${barHeight}" class="${barClass}"/>
-  <text x="${x + barWidth/2}" y="${barY - 8}" text-anchor="middle" class="bar-label">
-    ${project.priceChange24h > 0 ? '+' : ''}${project.priceChange24h.toFixed(1)}%
-  </text>
-  <text x="${x + barWidth/2}" y="${height - margin.bottom + 25}" text-anchor="middle" class="axis-label" font-weight="bold">
-    ${project.symbol}
-  </text>
-  <text x="${x + barWidth/2}" y="${height - margin.bottom + 40}" text-anchor="middle" class="axis-label" font-size="10px">
-    ${project.name.length > 10 ? project.name.substring(0, 10) + '...' : project.name}
-  </text>`;
-    });
-    
-    svgContent += '</svg>';
-    
-    const fileName = `price-chart-${Date.now()}.svg`;
-    const filePath = path.join(chartsDir, fileName);
-    
-    fs.writeFileSync(filePath, svgContent);
-    
-    charts.push({
-        fileName,
-        filePath,
-        description: `24-hour price change comparison chart for ${cryptoData.length} trending crypto projects`,
-        type: 'price-change-bar-chart'
-    });
-    
-    console.log(`✅ Generated chart: ${fileName}`);
-    return charts;
 }
 
-function formatMainMessage(threadContent, cryptoData) {
-    const topGainer = cryptoData.reduce((max, p) => p.priceChange24h > max.priceChange24h ? p : max, cryptoData[0]);
-    const topLoser = cryptoData.reduce((min, p) => p.priceChange24h < min.priceChange24h ? p : min, cryptoData[0]);
-    
-    return `🧵 **Your Daily Crypto Twitter Thread is Ready!**
-
-${threadContent}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-📊 **Quick Market Summary:**
-🚀 Top Gainer: ${topGainer.name} (${topGainer.symbol}) +${topGainer.priceChange24h.toFixed(1)}%
-📉 Biggest Move: ${topLoser.name} (${topLoser.symbol}) ${topLoser.priceChange24h.toFixed(1)}%
-
-✨ **Package Includes:**
-🧵 Complete 6-tweet thread ready to post
-🎨 Custom crypto-themed images (2)
-📈 Live price change charts (1)
-
-💡 **Tip:** Images and charts will be sent separately for easy download and posting!
-
-🚀 **Ready to dominate crypto Twitter!** 📱`;
+// The config for one extra locale's visuals: same settings, own output directories
+function localizedConfig(config, locale) {
+    return { ...config, imagesDir: path.join(config.imagesDir, locale), chartsDir: path.join(config.chartsDir, locale) };
 }
 
-async function sendToTelegram(message, token, chatId) {
-    console.log(`📱 Sending to Telegram chat: ${chatId.substring(0, 3)}...`);
-    
-    let fetch;
-    try {
-        fetch = globalThis.fetch || (await import('node-fetch')).default;
-    } catch {
-        fetch = globalThis.fetch;
+// Writes run-report.json for pipeline commands and sends the health summary
+// to Telegram after runs that publish and after any failure
+async function reportRun(run, { cryptoData, failure, telegramNotice, config }, deps) {
+    run.finishedAt ||= deps.now().toISOString();
+    if (run.status === 'running') {
+        run.status = 'success';
     }
+    const report = buildRunReport(run, cryptoData, config);
     
-    const url = `https://api.telegram.org/bot${token}/sendMessage`;
-    
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            chat_id: chatId,
-            text: message,
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true
-        })
-    });
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Telegram API response:', errorText);
-        throw new Error(`Telegram API error (${response.status}): ${errorText}`);
+    if (!LONG_RUNNING_COMMANDS.includes(run.command)) {
+        try {
+            writeWorkFile(config, 'runReport', report, deps);
+        } catch (error) {
+            console.error('❌ Could not write the run report:', error.message);
+        }
     }
     
-    console.log('✅ Message sent successfully!');
-    return true;
-}
-
-async function sendImageToTelegram(imageData, token, chatId) {
-    console.log(`🖼️ Sending image: ${imageData.fileName}`);
+    const publishing = run.command === 'run' || run.command === 'publish';
+    const message = [
+        telegramNotice,
+        failure || (publishing && config.healthSummary) ? formatHealthSummary(report) : null
+    ].filter(Boolean).join('\n\n');
+    if (!message || config.dryRun || !process.env.TELEGRAM_BOT_TOKEN || !process.env.TELEGRAM_CHAT_ID) {
+        return;
+    }
     
     try {
-        // Read the SVG file
-        const svgContent = fs.readFileSync(imageData.filePath, 'utf8');
-        
-        let fetch;
-        try {
-            fetch = globalThis.fetch || (await import('node-fetch')).default;
-        } catch {
-            fetch = globalThis.fetch;
-        }
-        
-        // Send as document (SVG file)
-        const formData = new FormData();
-        formData.append('chat_id', chatId);
-        formData.append('document', new Blob([svgContent], { type: 'image/svg+xml' }), imageData.fileName);
-        formData.append('caption', `🎨 **${imageData.description}**\n\n📊 ${imageData.project || 'Crypto'} Analysis\n📈 Trend: ${imageData.trend || 'Market movement'}\n\n*Ready for your Twitter thread!*`);
-        formData.append('parse_mode', 'Markdown');
-        
-        const url = `https://api.telegram.org/bot${token}/sendDocument`;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            body: formData
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.warn('⚠️ Could not send as document, sending as text:', errorText.substring(0, 100));
-            
-            // Fallback: send image info as text message
-            const fallbackMessage = `🎨 **Generated Image:** ${imageData.fileName}
-
-${imageData.description}
-
-📁 *Image saved locally and ready for download*
-📊 *Use this for your Twitter thread visual content*`;
-            
-            await sendToTelegram(fallbackMessage, token, chatId);
-        } else {
-            console.log('✅ Image sent as document successfully!');
-        }
-        
-        return true;
+        await sendToTelegram(message, process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_CHAT_ID, 'none', deps);
     } catch (error) {
-        console.warn('⚠️ Image send failed, sending description:', error.message);
-        
-        const fallbackMessage = `🎨 **Generated Image:** ${imageData.fileName}
-
-${imageData.description}
-
-📁 *Image created successfully and saved locally*
-📊 *Perfect visual content for your crypto Twitter thread*`;
-        
-        await sendToTelegram(fallbackMessage, token, chatId);
-        return false;
+        console.error('❌ Could not send the health summary to Telegram:', error.message);
     }
 }
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Run the enhanced automation when invoked directly (not when imported by tests)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    console.log('🔧 Starting enhanced automation.js with images & charts...');
+    console.log('🚀 Initializing enhanced crypto automation with visuals...');
+    runAutomation(process.argv.slice(2)).catch(() => process.exit(1));
 }
-
-// Run the enhanced automation
-console.log('🚀 Initializing enhanced crypto automation with visuals...');
-runAutomation();
-
-
-
-
-
-
-
-
-
-
-
-// #previous file
-
-// #!/usr/bin/env node
-
-// // Working automation.js for GitHub Actions
-// console.log('🔧 Starting automation.js...');
-
-// // Use dynamic import for ESM compatibility
-// async function runAutomation() {
-//     try {
-//         console.log('📊 Checking environment variables...');
-        
-//         const geminiKey = process.env.GEMINI_API_KEY;
-//         const telegramToken = process.env.TELEGRAM_BOT_TOKEN;
-//         const telegramChatId = process.env.TELEGRAM_CHAT_ID;
-        
-//         console.log('- GEMINI_API_KEY:', geminiKey ? '✅ Found' : '❌ Missing');
-//         console.log('- TELEGRAM_BOT_TOKEN:', telegramToken ? '✅ Found' : '❌ Missing');
-//         console.log('- TELEGRAM_CHAT_ID:', telegramChatId ? '✅ Found' : '❌ Missing');
-        
-//         if (!geminiKey || !telegramToken || !telegramChatId) {
-//             throw new Error('Missing required environment variables');
-//         }
-        
-//         // Import Gemini AI (using dynamic import for compatibility)
-//         console.log('🤖 Loading Gemini AI...');
-//         const { GoogleGenerativeAI } = await import('@google/generative-ai');
-//         const genAI = new GoogleGenerativeAI(geminiKey);
-        
-//         console.log('📱 Sending test message to Telegram...');
-//         await sendToTelegram('🚀 Crypto automation started! Generating content...', telegramToken, telegramChatId);
-        
-//         console.log('🧠 Generating crypto content with AI...');
-//         const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-        
-//         const prompt = `Create a 6-tweet Twitter thread about current cryptocurrency trends. Make it informative and engaging. Include relevant hashtags. Format as:
-
-// Tweet 1/6: [engaging opener about crypto trends]
-// Tweet 2/6: [key insight or trend]
-// Tweet 3/6: [specific project or development]
-// Tweet 4/6: [market analysis or data]
-// Tweet 5/6: [actionable advice]
-// Tweet 6/6: [conclusion with call to action]
-
-// Focus on what's happening now in crypto markets.`;
-
-//         const result = await model.generateContent(prompt);
-//         const response = result.response;
-//         const threadContent = response.text();
-        
-//         const finalMessage = `🧵 **Your Daily Crypto Thread is Ready!**
-
-// ${threadContent}
-
-// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-// ✨ **Ready to post on Twitter!**
-// 💡 **Tip:** Copy each tweet individually for best results
-// 🚀 **Generated by your automated crypto research bot**`;
-        
-//         console.log('📤 Sending complete thread to Telegram...');
-//         await sendToTelegram(finalMessage, telegramToken, telegramChatId);
-        
-//         console.log('✅ Automation completed successfully!');
-        
-//     } catch (error) {
-//         console.error('❌ Automation failed:', error.message);
-//         console.error('Stack trace:', error.stack);
-        
-//         // Try to send error to Telegram
-//         try {
-//             await sendToTelegram(`❌ Crypto automation failed: ${error.message}`, 
-//                 process.env.TELEGRAM_BOT_TOKEN, process.env.TELEGRAM_CHAT_ID);
-//         } catch (telegramError) {
-//             console.error('❌ Could not send error to Telegram:', telegramError.message);
-//         }
-        
-//         process.exit(1); // Exit with error code
-//     }
-// }
-
-// async function sendToTelegram(message, token, chatId) {
-//     console.log(`📱 Sending to Telegram chat: ${chatId.substring(0, 3)}...`);
-    
-//     // Use node-fetch or built-in fetch
-//     let fetch;
-//     try {
-//         fetch = globalThis.fetch || (await import('node-fetch')).default;
-//     } catch {
-//         fetch = globalThis.fetch;
-//     }
-    
-//     const url = `https://api.telegram.org/bot${token}/sendMessage`;
-    
-//     const response = await fetch(url, {
-//         method: 'POST',
-//         headers: {
-//             'Content-Type': 'application/json',
-//         },
-//         body: JSON.stringify({
-//             chat_id: chatId,
-//             text: message,
-//             parse_mode: 'Markdown',
-//             disable_web_page_preview: true
-//         })
-//     });
-    
-//     if (!response.ok) {
-//         const errorText = await response.text();
-//         console.error('Telegram API response:', errorText);
-//         throw new Error(`Telegram API error (${response.status}): ${errorText}`);
-//     }
-    
-//     const result = await response.json();
-//     console.log('✅ Message sent successfully!');
-//     return result;
-// }
-
-// // Run the automation
-// console.log('🚀 Initializing crypto automation...');
-// runAutomation();
@@ -0,0 +1,259 @@
+import path from 'path';
+import { formatCardPrice } from './cards.js';
+import { formatVolume, generateAlertChart } from './charts.js';
+import { DISCLAIMER } from './compliance.js';
+import { createMarketDataProviders, pickRequestedCoins } from './market-data.js';
+import { renderVisuals } from './render.js';
+import { sendToTelegram, sendMediaGroupToTelegram } from './telegram.js';
+import { parseWatchlist } from './utils.js';
+
+// Price alerts
+//
+// `node automation.js alerts` polls the alertWatchlist coins every
+// alertPollMinutes and sends a short Telegram alert with a mini chart when one
+// of the alertRules fires. Every alert has a key (rule, coin and direction) that
+// stays quiet for alertCooldownMinutes after it fired. Price samples, the last
+// trending list and the cooldowns live in alertStateFile, so a restart neither
+// loses the window nor repeats an alert.
+
+const SAMPLE_RETENTION_MS = 24 * 60 * 60 * 1000;
+const TRENDING_LIMIT = 15; // CoinGecko's whole trending list
+
+export const ALERT_RULES = {
+    move: 'Price moved alertMovePercent or more within alertWindowMinutes',
+    'all-time-high': 'Price reached a new all-time high',
+    trending: 'Coin entered or left the trending list',
+    volume: '24h volume grew alertVolumeSpikePercent or more within alertWindowMinutes'
+};
+
+export function loadAlertState(filePath, deps) {
+    if (!deps.fs.existsSync(filePath)) {
+        return { samples: {}, trending: null, lastFired: {} };
+    }
+    return JSON.parse(deps.fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveAlertState(filePath, state, deps) {
+    const dir = path.dirname(filePath);
+    if (!deps.fs.existsSync(dir)) {
+        deps.fs.mkdirSync(dir, { recursive: true });
+    }
+    deps.fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+// quotes are this poll's watchlist coins, trending the symbols on the trending
+// list (null when unknown). Returns the alerts to send and the next state; an
+// alert only starts its cooldown once it has been sent (see runAlerts).
+export function evaluateAlertRules(quotes, trending, state, config, now) {
+    const time = now.getTime();
+    const windowStart = time - config.alertWindowMinutes * 60 * 1000;
+    const cooldownMs = config.alertCooldownMinutes * 60 * 1000;
+    const candidates = [];
+    const samples = { ...state.samples };
+    
+    quotes.filter(coin => coin.price !== null).forEach(coin => {
+        const previous = (samples[coin.symbol] || []).filter(([t]) => t > time - SAMPLE_RETENTION_MS);
+        samples[coin.symbol] = [...previous, [time, coin.price, coin.volume24h]];
+        const alert = fields => candidates.push({ symbol: coin.symbol, name: coin.name, price: coin.price, ...fields });
+        
+        // Compared with the oldest sample still inside the window
+        const reference = previous.find(([t]) => t >= windowStart);
+        if (reference) {
+            const [, fromPrice, fromVolume] = reference;
+            const change = (coin.price - fromPrice) / fromPrice * 100;
+            if (Math.abs(change) >= config.alertMovePercent) {
+                alert({ rule: 'move', key: `move:${coin.symbol}:${change > 0 ? 'up' : 'down'}`, change, fromPrice });
+            }
+            
+            if (fromVolume && coin.volume24h !== null) {
+                const growth = (coin.volume24h - fromVolume) / fromVolume * 100;
+                if (growth >= config.alertVolumeSpikePercent) {
+                    alert({ rule: 'volume', key: `volume:${coin.symbol}`, growth, volume: coin.volume24h });
+                }
+            }
+        }
+        
+        if (coin.allTimeHigh !== null && coin.price >= coin.allTimeHigh) {
+            alert({ rule: 'all-time-high', key: `all-time-high:${coin.symbol}` });
+        }
+        
+        // The first poll only learns the list
+        if (trending && state.trending) {
+            const isTrending = trending.includes(coin.symbol);
+            if (isTrending !== state.trending.includes(coin.symbol)) {
+                alert({
+                    rule: 'trending',
+                    key: `trending:${coin.symbol}:${isTrending ? 'entered' : 'left'}`,
+                    entered: isTrending,
+                    position: trending.indexOf(coin.symbol) + 1
+                });
+            }
+        }
+    });
+    
+    const lastFired = Object.fromEntries(Object.entries(state.lastFired).filter(([, firedAt]) => Date.parse(firedAt) > time - cooldownMs));
+    const alerts = candidates.filter(candidate => {
+        if (!config.alertRules.includes(candidate.rule)) {
+            return false;
+        }
+        if (lastFired[candidate.key]) {
+            console.log(`🔕 ${candidate.key} is cooling down (fired ${lastFired[candidate.key].slice(11, 16)} UTC)`);
+            return false;
+        }
+        return true;
+    }).map(candidate => ({ ...candidate, title: describeAlert(candidate, config) }));
+    
+    return { alerts, state: { samples, trending: trending || state.trending, lastFired } };
+}
+
+function describeAlert(alert, config) {
+    switch (alert.rule) {
+        case 'move':
+            return `${alert.symbol} ${alert.change > 0 ? '+' : ''}${alert.change.toFixed(1)}% in ${config.alertWindowMinutes} min`;
+        case 'volume':
+            return `${alert.symbol} 24h volume +${alert.growth.toFixed(0)}% in ${config.alertWindowMinutes} min`;
+        case 'all-time-high':
+            return `${alert.symbol} hit a new all-time high`;
+        default:
+            return alert.entered
+                ? `${alert.symbol} entered the trending list (#${alert.position})`
+                : `${alert.symbol} left the trending list`;
+    }
+}
+
+export function formatAlertMessage(alert, config) {
+    const icons = { move: alert.change > 0 ? '🚀' : '📉', volume: '📊', 'all-time-high': '🏆', trending: alert.entered ? '🔥' : '💤' };
+    const lines = [`${icons[alert.rule]} ${alert.title}`];
+    
+    lines.push(alert.rule === 'move'
+        ? `💵 ${formatCardPrice(alert.price)} (was ${formatCardPrice(alert.fromPrice)})`
+        : `💵 ${formatCardPrice(alert.price)}`);
+    if (alert.rule === 'volume') {
+        lines.push(`💰 $${formatVolume(alert.volume)} traded in the last 24h`);
+    }
+    if (config.alertTweetDraft) {
+        lines.push('', '📝 Tweet draft:', buildAlertTweet(alert, config));
+    }
+    
+    return lines.join('\n');
+}
+
+export function buildAlertTweet(alert, config) {
+    const price = formatCardPrice(alert.price);
+    let text;
+    switch (alert.rule) {
+        case 'move':
+            text = `$${alert.symbol} is ${alert.change > 0 ? 'up' : 'down'} ${Math.abs(alert.change).toFixed(1)}% in the last ${config.alertWindowMinutes} minutes, now at ${price}. ${alert.change > 0 ? '🚀' : '📉'}`;
+            break;
+        case 'volume':
+            text = `$${alert.symbol} volume is heating up: 24h volume +${alert.growth.toFixed(0)}% in the last ${config.alertWindowMinutes} minutes. Price: ${price} 📊`;
+            break;
+        case 'all-time-high':
+            text = `$${alert.symbol} just printed a new all-time high at ${price}. 🏆`;
+            break;
+        default:
+            text = alert.entered
+                ? `$${alert.symbol} just entered the trending list at #${alert.position}, trading at ${price}. 🔥`
+                : `$${alert.symbol} dropped off the trending list, trading at ${price}.`;
+    }
+    
+    return `${text}\n\n${DISCLAIMER} #${alert.symbol} #crypto`;
+}
+
+// One poll: fetch and evaluate against state. Quotes fail over like
+// fetchCryptoData; the trending list only comes from providers that have one.
+export async function checkAlerts(providers, state, config, deps) {
+    const symbols = parseWatchlist(config.alertWatchlist);
+    
+    let quotes = null;
+    for (const provider of providers) {
+        try {
+            quotes = pickRequestedCoins(await provider.fetchQuotes(symbols), symbols);
+            if (quotes.length > 0) {
+                break;
+            }
+            console.warn(`⚠️ ${provider.name} returned no quotes, trying next provider`);
+        } catch (error) {
+            console.warn(`⚠️ ${provider.name} failed, trying next provider:`, error.message);
+        }
+    }
+    if (!quotes?.length) {
+        throw new Error(`No market data found for ${symbols.join(', ')}`);
+    }
+    
+    let trending = null;
+    if (config.alertRules.includes('trending')) {
+        for (const provider of providers) {
+            try {
+                const coins = (await provider.fetchCoins({ limit: TRENDING_LIMIT })).filter(coin => coin.trending);
+                if (coins.length > 0) {
+                    trending = coins.map(coin => coin.symbol);
+                    break;
+                }
+            } catch (error) {
+                console.warn(`⚠️ ${provider.name} trending list failed:`, error.message);
+            }
+        }
+    }
+    
+    return evaluateAlertRules(quotes, trending, state, config, deps.now());
+}
+
+// Sends the alert and, when we have a few samples, its mini chart. A dry run only logs.
+async function sendAlert(alert, samples, context, deps) {
+    const { config, token, chatId } = context;
+    const message = formatAlertMessage(alert, config);
+    
+    if (config.dryRun) {
+        console.log(`🧪 Would send alert:\n${message}`);
+        return;
+    }
+    
+    await sendToTelegram(message, token, chatId, 'none', deps);
+    if (samples.length > 1) {
+        try {
+            const chart = generateAlertChart(alert, samples, config, deps);
+            await renderVisuals([chart], config.renderSizes, deps);
+            await sendMediaGroupToTelegram([chart], token, chatId, deps);
+        } catch (error) {
+            console.warn(`⚠️ Could not send the ${alert.symbol} chart:`, error.message);
+        }
+    }
+}
+
+// Runs until context.signal is aborted. A failed poll is retried on the next one.
+// An alert whose send fails isn't marked as fired, so the next poll tries it
+// again. The state is saved after the sends; a dry run keeps it in memory only,
+// so it never mutes the real alerts that follow.
+export async function runAlerts(context, deps) {
+    const { config, signal } = context;
+    const providers = createMarketDataProviders(config, deps);
+    console.log(`🚨 Watching ${parseWatchlist(config.alertWatchlist).join(', ')} every ${config.alertPollMinutes} min (${config.alertRules.join(', ')})`);
+    let state = loadAlertState(config.alertStateFile, deps);
+    
+    while (!signal?.aborted) {
+        try {
+            const result = await checkAlerts(providers, state, config, deps);
+            state = result.state;
+            const { alerts } = result;
+            console.log(alerts.length > 0 ? `🚨 ${alerts.length} alert(s): ${alerts.map(a => a.key).join(', ')}` : '✅ No alerts');
+            for (const alert of alerts) {
+                try {
+                    await sendAlert(alert, state.samples[alert.symbol] || [], context, deps);
+                    state.lastFired[alert.key] = deps.now().toISOString();
+                } catch (error) {
+                    console.warn(`⚠️ Could not send the ${alert.key} alert, it will be retried:`, error.message);
+                }
+            }
+            if (!config.dryRun) {
+                saveAlertState(config.alertStateFile, state, deps);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Alert poll failed, retrying in ${config.alertPollMinutes} min:`, error.message);
+        }
+        
+        await deps.sleep(config.alertPollMinutes * 60 * 1000, signal);
+    }
+    
+    console.log('🛑 Alerts stopped');
+}
@@ -0,0 +1,179 @@
+import { generateThreadContent, regenerateTweet, formatThreadText, validateThread, THREAD_TONES } from './thread.js';
+import { callTelegramMethod, editTelegramMessage, sendToTelegram } from './telegram.js';
+import { telegramMarkup, TELEGRAM_MESSAGE_LIMIT } from './telegram-format.js';
+
+// Telegram approval
+//
+// The thread goes to the Telegram chat as one message with inline buttons.
+// We long-poll getUpdates for button presses (or, inside the bot, take them
+// from deps.nextCallbackQueries) and edit that same message after every
+// change, until someone approves or discards it or the review times out.
+// The bot must not have a webhook set, or getUpdates is refused.
+
+const REVIEW_POLL_SECONDS = 30;
+const REGENERATE_BUTTONS_PER_ROW = 5;
+
+export function buildReviewKeyboard(tweets, tone) {
+    const regenerateRows = [];
+    for (let start = 0; start < tweets.length; start += REGENERATE_BUTTONS_PER_ROW) {
+        regenerateRows.push(tweets.slice(start, start + REGENERATE_BUTTONS_PER_ROW)
+            .map(tweet => ({ text: `🔁 ${tweet.index}`, callback_data: `regen:${tweet.index}` })));
+    }
+    
+    return {
+        inline_keyboard: [
+            [{ text: '✅ Approve', callback_data: 'approve' }, { text: '🗑️ Discard', callback_data: 'discard' }],
+            ...regenerateRows,
+            [{ text: '🔄 Regenerate all', callback_data: 'regen:all' }, { text: `🎭 Tone: ${tone || 'default'}`, callback_data: 'tone' }]
+        ]
+    };
+}
+
+export function formatReviewMessage(review, parseMode) {
+    const { escape, bold, italic } = telegramMarkup(parseMode);
+    const decidedAt = review.decidedAt ? escape(`(${review.decidedAt.slice(0, 16).replace('T', ' ')} UTC)`) : '';
+    const status = {
+        pending: `👆 ${italic('Approve to publish, or tap 🔁 N to rewrite tweet N')}`,
+        approved: `✅ ${bold(`Approved by ${review.decidedBy}`)} ${decidedAt}`,
+        discarded: `🗑️ ${bold(`Discarded by ${review.decidedBy}`)} ${decidedAt}`,
+        expired: `⌛ ${bold('Review timed out, nothing was published')}`
+    }[review.status];
+    
+    return [
+        `📝 ${bold('Thread for review')} ${escape(`(${review.locale ? `${review.locale}, ` : ''}version ${review.version}, tone: ${review.tone || 'default'})`)}`,
+        ...review.tweets.map(tweet => escape(formatThreadText([tweet]))),
+        status
+    ].join('\n\n');
+}
+
+// Resolves to the review record: status (approved, discarded or expired), the
+// final tweets, who decided and when, and every button press along the way.
+// generation is only set once the whole thread was regenerated. context.locale
+// reviews another locale's edition, which is rewritten in that language.
+export async function reviewThread(tweets, cryptoData, context, deps) {
+    const { config, token, chatId, locale = null } = context;
+    const review = {
+        status: 'pending',
+        locale,
+        version: 1,
+        tone: null,
+        generation: null,
+        tweets,
+        messageId: null,
+        decidedBy: null,
+        decidedAt: null,
+        actions: []
+    };
+    
+    const text = formatReviewMessage(review, config.telegramParseMode);
+    if (text.length > TELEGRAM_MESSAGE_LIMIT) {
+        throw new Error(`Thread is too long to review in one Telegram message (${text.length}/${TELEGRAM_MESSAGE_LIMIT} characters), lower threadLength`);
+    }
+    
+    console.log('📝 Sending the thread for approval...');
+    const message = await sendToTelegram(text, token, chatId, config.telegramParseMode, deps, { reply_markup: buildReviewKeyboard(tweets, null) });
+    review.messageId = message.message_id;
+    
+    const deadline = deps.now().getTime() + config.approvalTimeoutMinutes * 60 * 1000;
+    let offset;
+    
+    while (review.status === 'pending') {
+        const remainingSeconds = Math.ceil((deadline - deps.now().getTime()) / 1000);
+        if (remainingSeconds <= 0) {
+            review.status = 'expired';
+            await updateReviewMessage(review, context, deps);
+            break;
+        }
+        
+        // Inside the bot, its polling loop hands over the presses instead
+        const timeout = Math.min(remainingSeconds, REVIEW_POLL_SECONDS);
+        const updates = deps.nextCallbackQueries
+            ? await deps.nextCallbackQueries(timeout)
+            : await callTelegramMethod('getUpdates', token, { offset, timeout, allowed_updates: ['callback_query'] }, deps);
+        
+        for (const update of updates) {
+            offset = update.update_id + 1;
+            const query = update.callback_query;
+            
+            // Presses on older review messages (or after a decision) are stale
+            if (!query || query.message?.message_id !== review.messageId || review.status !== 'pending') {
+                if (query) {
+                    await answerCallback(query, 'This review is closed', token, deps);
+                }
+                continue;
+            }
+            await handleReviewAction(review, query, cryptoData, context, deps);
+        }
+    }
+    
+    console.log(`📝 Review ${review.status}${review.decidedBy ? ` by ${review.decidedBy}` : ''} after ${review.actions.length} action(s)`);
+    return review;
+}
+
+async function handleReviewAction(review, query, cryptoData, context, deps) {
+    const { llm, comparison = null, recentTweets = [], news = null, portfolio = null, config, token, chatId } = context;
+    const locale = review.locale || config.locales[0];
+    const action = query.data;
+    const user = query.from.username ? `@${query.from.username}` : query.from.first_name || String(query.from.id);
+    review.actions.push({ action, by: user, at: deps.now().toISOString() });
+    
+    if (action === 'approve' || action === 'discard') {
+        review.status = action === 'approve' ? 'approved' : 'discarded';
+        review.decidedBy = user;
+        review.decidedAt = deps.now().toISOString();
+        await answerCallback(query, action === 'approve' ? '✅ Approved' : '🗑️ Discarded', token, deps);
+        await updateReviewMessage(review, context, deps);
+        return;
+    }
+    
+    // Answer right away, Telegram shows a spinner on the button until we do
+    await answerCallback(query, '⏳ Regenerating...', token, deps);
+    
+    try {
+        if (!llm) {
+            throw new Error('No LLM model configured');
+        }
+        
+        const tone = action === 'tone' ? THREAD_TONES[(THREAD_TONES.indexOf(review.tone) + 1) % THREAD_TONES.length] : review.tone;
+        let { tweets, generation } = review;
+        
+        const tweetIndex = action.match(/^regen:(\d+)$/)?.[1];
+        if (tweetIndex) {
+            tweets = await regenerateTweet(llm, cryptoData, tweets, parseInt(tweetIndex, 10), { recentTweets, portfolio, tone, locale, config });
+        } else if (action === 'regen:all' || action === 'tone') {
+            ({ tweets, generation } = await generateThreadContent(llm, cryptoData, { comparison, recentTweets, news, portfolio, tone, format: config.threadFormat, locale, config }, deps));
+        } else {
+            console.warn(`⚠️ Ignoring unknown review action "${action}"`);
+            return;
+        }
+        
+        // The new version must still be a whole thread that fits the review message;
+        // a template thread comes up short when there aren't enough coins
+        const problems = validateThread(tweets, generation?.fallback ? tweets.length : config.threadLength);
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+        const next = { ...review, tone, tweets, generation, version: review.version + 1 };
+        const length = formatReviewMessage(next, config.telegramParseMode).length;
+        if (length > TELEGRAM_MESSAGE_LIMIT) {
+            throw new Error(`Thread is too long to review in one Telegram message (${length}/${TELEGRAM_MESSAGE_LIMIT} characters)`);
+        }
+        Object.assign(review, next);
+    } catch (error) {
+        console.warn(`⚠️ Review action ${action} failed:`, error.message);
+        await sendToTelegram(`⚠️ Could not regenerate (${action}): ${error.message}`, token, chatId, 'none', deps);
+        return;
+    }
+    
+    await updateReviewMessage(review, context, deps);
+}
+
+async function updateReviewMessage(review, { config, token, chatId }, deps) {
+    // A decided review loses its buttons
+    const replyMarkup = review.status === 'pending' ? buildReviewKeyboard(review.tweets, review.tone) : { inline_keyboard: [] };
+    await editTelegramMessage(review.messageId, formatReviewMessage(review, config.telegramParseMode), token, chatId, config.telegramParseMode, deps, { reply_markup: replyMarkup });
+}
+
+async function answerCallback(query, text, token, deps) {
+    await callTelegramMethod('answerCallbackQuery', token, { callback_query_id: query.id, text }, deps);
+}
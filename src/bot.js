@@ -0,0 +1,288 @@
+import { generatePriceCharts } from './charts.js';
+import { loadRunHistory } from './history.js';
+import { generateCryptoImages } from './images.js';
+import { fetchCryptoData } from './market-data.js';
+import { fetchNewsContext } from './news.js';
+import { HISTORY_RANGES } from './providers.js';
+import { formatPublishReport } from './publishers.js';
+import { renderVisuals } from './render.js';
+import { callTelegramMethod, sendToTelegram, sendMediaGroupToTelegram } from './telegram.js';
+import { telegramMarkup } from './telegram-format.js';
+import { generateThreadContent, describeGenerationFallbacks, formatThreadText } from './thread.js';
+
+// Telegram bot
+//
+// `node automation.js bot` long-polls getUpdates and answers commands sent in
+// the TELEGRAM_CHAT_ID chat. Messages from any other chat are ignored, and
+// every user gets botRateLimit commands per botRateWindowMinutes. /thread runs
+// in the background; its approval review gets the button presses from this
+// loop, since a second getUpdates consumer would swallow the commands.
+
+const BOT_POLL_SECONDS = 30;
+const BOT_RETRY_DELAY = 5000;
+const BOT_CHART_MAX_COINS = 5;
+
+export const BOT_COMMANDS = {
+    thread: 'Run the full pipeline now and publish it',
+    coin: 'Deep-dive thread and image for one coin, e.g. /coin SOL',
+    chart: 'Performance chart, e.g. /chart 7d BTC ETH',
+    status: 'Show the last run',
+    help: 'List the commands'
+};
+
+// "/chart@MyBot 7d btc eth" -> { name: 'chart', args: ['7d', 'btc', 'eth'] }
+export function parseBotCommand(text) {
+    const match = /^\/([a-z]+)(?:@\w+)?(?:\s+([^]*))?$/i.exec(String(text || '').trim());
+    if (!match) {
+        return null;
+    }
+    return { name: match[1].toLowerCase(), args: (match[2] || '').split(/\s+/).filter(Boolean) };
+}
+
+// Sliding window per user id
+export function createRateLimiter({ limit, windowMs }, now) {
+    const usage = new Map();
+    
+    return {
+        take(userId) {
+            const time = now().getTime();
+            const recent = (usage.get(userId) || []).filter(t => t > time - windowMs);
+            if (recent.length >= limit) {
+                usage.set(userId, recent);
+                return { allowed: false, retryInMs: recent[0] + windowMs - time };
+            }
+            usage.set(userId, [...recent, time]);
+            return { allowed: true, retryInMs: 0 };
+        }
+    };
+}
+
+// Button presses held for whoever reads them next. next(timeoutSeconds) resolves
+// to the queued updates, waiting up to timeoutSeconds for the first one, and
+// rejects once the queue is closed.
+export function createUpdateQueue() {
+    let pending = [];
+    let wake = null;
+    let closed = false;
+    
+    const take = () => {
+        if (closed) {
+            throw new Error('The bot stopped');
+        }
+        const updates = pending;
+        pending = [];
+        return updates;
+    };
+    
+    return {
+        push(update) {
+            pending.push(update);
+            wake?.();
+        },
+        close() {
+            closed = true;
+            wake?.();
+        },
+        async next(timeoutSeconds) {
+            if (pending.length === 0 && !closed) {
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, timeoutSeconds * 1000);
+                    wake = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+                wake = null;
+            }
+            return take();
+        }
+    };
+}
+
+// Runs until context.signal is aborted. runPipeline(depsOverrides) performs a
+// full `run` with the given deps swapped in.
+export async function runBot(context, deps) {
+    const { config, token, chatId, signal, runPipeline } = context;
+    const limiter = createRateLimiter({ limit: config.botRateLimit, windowMs: config.botRateWindowMinutes * 60 * 1000 }, deps.now);
+    
+    // One /thread at a time, reading its review's button presses from reviewUpdates
+    const reviewUpdates = createUpdateQueue();
+    let pipeline = null;
+    const startPipeline = () => {
+        if (pipeline) {
+            return false;
+        }
+        pipeline = Promise.resolve()
+            .then(() => runPipeline({ nextCallbackQueries: reviewUpdates.next }))
+            .catch(() => {
+                // The pipeline already reported the failure to this chat
+            })
+            .finally(() => {
+                pipeline = null;
+            });
+        return true;
+    };
+    
+    await callTelegramMethod('setMyCommands', token, {
+        commands: Object.entries(BOT_COMMANDS).map(([command, description]) => ({ command, description }))
+    }, deps);
+    console.log(`🤖 Bot listening for commands in chat ${chatId.substring(0, 3)}...`);
+    
+    let offset;
+    while (!signal?.aborted) {
+        let updates;
+        try {
+            updates = await callTelegramMethod('getUpdates', token, { offset, timeout: BOT_POLL_SECONDS, allowed_updates: ['message', 'callback_query'] }, deps);
+        } catch (error) {
+            console.warn(`⚠️ getUpdates failed, retrying in ${BOT_RETRY_DELAY / 1000}s:`, error.message);
+            await deps.sleep(BOT_RETRY_DELAY);
+            continue;
+        }
+        
+        for (const update of updates) {
+            offset = update.update_id + 1;
+            // Presses while no review is running belong to a finished one
+            if (update.callback_query) {
+                if (pipeline) {
+                    reviewUpdates.push(update);
+                }
+                continue;
+            }
+            const message = update.message;
+            const command = parseBotCommand(message?.text);
+            if (!command) {
+                continue;
+            }
+            
+            if (!isAllowedChat(message.chat, chatId)) {
+                console.warn(`🚫 Ignoring /${command.name} from chat ${message.chat.id}`);
+                continue;
+            }
+            
+            const reply = text => sendToTelegram(text, token, chatId, 'none', deps, { reply_to_message_id: message.message_id });
+            
+            try {
+                const { allowed, retryInMs } = limiter.take(message.from.id);
+                if (!allowed) {
+                    await reply(`⏳ Slow down: ${config.botRateLimit} commands per ${config.botRateWindowMinutes} min. Try again in ${Math.ceil(retryInMs / 60000)} min.`);
+                    continue;
+                }
+                
+                console.log(`🤖 /${command.name} ${command.args.join(' ')} from ${message.from.username ? `@${message.from.username}` : message.from.id}`);
+                await handleBotCommand(command, reply, { ...context, startPipeline }, deps);
+            } catch (error) {
+                console.error(`❌ /${command.name} failed:`, error.message);
+                try {
+                    await reply(`❌ /${command.name} failed: ${error.message}`);
+                } catch (replyError) {
+                    console.error('❌ Could not send the error to Telegram:', replyError.message);
+                }
+            }
+        }
+    }
+    
+    // A review still waiting for presses fails, and the run reports it
+    reviewUpdates.close();
+    if (pipeline) {
+        console.log('🛑 Waiting for the /thread run to finish...');
+        await pipeline;
+    }
+    
+    // Confirm the last batch so a restart doesn't answer it again
+    if (offset !== undefined) {
+        await callTelegramMethod('getUpdates', token, { offset, timeout: 0 }, deps);
+    }
+    console.log('🛑 Bot stopped');
+}
+
+async function handleBotCommand({ name, args }, reply, context, deps) {
+    const { config, token, chatId, llm, startPipeline } = context;
+    
+    switch (name) {
+        case 'thread': {
+            if (!startPipeline()) {
+                await reply('⏳ A /thread run is still going, wait for it to finish');
+                return;
+            }
+            await reply('🧵 Running the full pipeline, this takes a few minutes...');
+            return;
+        }
+        case 'coin': {
+            if (args.length !== 1) {
+                throw new Error('usage is /coin <SYMBOL>, e.g. /coin SOL');
+            }
+            
+            const symbol = args[0].toUpperCase();
+            await reply(`🔎 Researching ${symbol}...`);
+            const [coin] = await fetchCryptoData(config, deps, { symbols: [symbol] });
+            const news = await fetchNewsContext([coin], config, deps);
+            const { tweets, generation } = await generateThreadContent(llm, [coin], { news, format: 'deep-dive', config }, deps);
+            const images = await generateCryptoImages([coin], { ...config, cardLayouts: ['coin'], imageCount: 1 }, deps);
+            await renderVisuals(images, config.renderSizes, deps);
+            
+            const { escape, bold } = telegramMarkup(config.telegramParseMode);
+            const blocks = [`🔎 ${bold(`Deep dive: ${coin.name} (${coin.symbol})`)}`, ...describeGenerationFallbacks(generation).map(escape), ...tweets.map(tweet => escape(formatThreadText([tweet])))];
+            await sendToTelegram(blocks, token, chatId, config.telegramParseMode, deps);
+            await sendMediaGroupToTelegram(images, token, chatId, deps);
+            return;
+        }
+        case 'chart': {
+            const range = /^\d+d$/i.test(args[0] || '') ? args.shift().toLowerCase() : '7d';
+            const days = parseInt(range, 10);
+            if (!HISTORY_RANGES.includes(days)) {
+                throw new Error(`charts cover ${HISTORY_RANGES.map(d => `${d}d`).join(' or ')}, not ${range}`);
+            }
+            if (args.length === 0 || args.length > BOT_CHART_MAX_COINS) {
+                throw new Error(`usage is /chart [${HISTORY_RANGES.map(d => `${d}d`).join('|')}] <SYMBOL...> with 1-${BOT_CHART_MAX_COINS} coins, e.g. /chart 7d BTC ETH`);
+            }
+            
+            const symbols = args.map(arg => arg.toUpperCase());
+            const coins = await fetchCryptoData(config, deps, { symbols });
+            const missing = symbols.filter(symbol => !coins.some(coin => coin.symbol === symbol));
+            if (missing.length > 0) {
+                await reply(`⚠️ No market data for ${missing.join(', ')}`);
+            }
+            
+            const charts = await generatePriceCharts(coins, config, deps, { compareDays: days });
+            await renderVisuals(charts, config.renderSizes, deps);
+            await sendMediaGroupToTelegram(charts, token, chatId, deps);
+            return;
+        }
+        case 'status': {
+            await reply(formatStatus(loadRunHistory(config.runHistoryFile, deps)));
+            return;
+        }
+        default: {
+            await reply(`🤖 Commands:\n${Object.entries(BOT_COMMANDS).map(([command, description]) => `/${command} - ${description}`).join('\n')}`);
+        }
+    }
+}
+
+function isAllowedChat(chat, chatId) {
+    return String(chat.id) === String(chatId) || (Boolean(chat.username) && `@${chat.username}`.toLowerCase() === String(chatId).toLowerCase());
+}
+
+export function formatStatus(runs) {
+    const last = runs[runs.length - 1];
+    if (!last) {
+        return '📋 No runs recorded yet';
+    }
+    
+    const lines = [
+        `📋 Last run: ${last.status} (${last.command})`,
+        `🕗 Started ${last.startedAt.slice(0, 16).replace('T', ' ')} UTC${last.finishedAt ? `, finished ${last.finishedAt.slice(11, 16)} UTC` : ''}`,
+        `🪙 Coins: ${last.coins.map(coin => coin.symbol).join(', ') || 'none'}`
+    ];
+    if (last.publishResults?.length) {
+        lines.push(`📤 Channels:\n${formatPublishReport(last.publishResults)}`);
+    }
+    if (last.approval) {
+        lines.push(`📝 Review: ${last.approval.status}${last.approval.decidedBy ? ` by ${last.approval.decidedBy}` : ''}`);
+    }
+    if (last.error) {
+        lines.push(`❌ ${last.error}`);
+    }
+    lines.push(`🗂️ ${runs.length} run(s) recorded`);
+    
+    return lines.join('\n');
+}
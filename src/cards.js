@@ -0,0 +1,294 @@
+import { createI18n } from './i18n.js';
+import { changeStatus, hasKnownChange, formatChange, describeDataSources, isSampleData } from './provenance.js';
+import { describeCoinSelection } from './selection.js';
+import { escapeHtml } from './utils.js';
+
+// Image card templates
+//
+// A layout turns the coins of a run into the body of one CARD_WIDTH x
+// CARD_HEIGHT card; buildCard adds the theme background, the footer and the
+// logo and handle watermark. Every string goes through cardText, which escapes
+// it and wraps or truncates it to the width it is given, so a long or odd coin
+// name can neither break the SVG nor spill out of its box.
+//
+// The context a layout gets: { theme, now, handle, logo, coinLogos, portfolio, i18n }
+// where logo and coinLogos[symbol] are data URIs (or null when there is none),
+// portfolio is the fetchPortfolio P&L, which only the portfolio card needs, and
+// i18n (see src/i18n.js) gives the card's texts and number formats.
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 675;
+const FONT_FAMILY = 'Arial, sans-serif';
+
+// Average glyph width in em of DejaVu Sans, the font the PNGs are rendered with
+const CHAR_WIDTH = { normal: 0.6, bold: 0.68 };
+
+export const CARD_THEMES = {
+    light: { background: '#f8f9fa', surface: '#ffffff', border: '#e1e8ed', text: '#2c3e50', muted: '#666666', accent: '#2c3e50', positive: '#27ae60', negative: '#e74c3c', unknown: '#7f8c8d' },
+    dark: { background: '#15202b', surface: '#192734', border: '#38444d', text: '#f5f8fa', muted: '#8899a6', accent: '#1d9bf0', positive: '#2ecc71', negative: '#ff6b6b', unknown: '#8899a6' },
+    // The accent is the brandColor setting
+    brand: { background: '#0b0e11', surface: '#1e2329', border: '#2b3139', text: '#ffffff', muted: '#b7bdc6', accent: null, positive: '#0ecb81', negative: '#f6465d', unknown: '#848e9c' }
+};
+
+export const CARD_LAYOUTS = {
+    coin: {
+        describe: ([project], { i18n }) => hasKnownChange(project)
+            ? i18n.t('card.coin.describe', { coin: `${project.name} (${project.symbol})`, trend: i18n.t(`trend.${describeTrend(project)}`), change: formatChange(project, { i18n }) })
+            : i18n.t('card.coin.describeUnknown', { coin: `${project.name} (${project.symbol})` }),
+        draw: drawCoinCard
+    },
+    leaderboard: {
+        describe: (coins, { i18n }) => i18n.t('card.leaderboard.describe', {
+            count: Math.min(coins.length, 5),
+            selection: describeCoinSelection(coins, { i18n }),
+            coins: rankCoins(coins).slice(0, 5).map(p => `${p.symbol} ${formatChange(p, { i18n })}`).join(', ')
+        }),
+        draw: drawLeaderboardCard
+    },
+    movers: {
+        describe: (coins, { i18n }) => {
+            const { gainers, losers } = splitMovers(coins);
+            const list = projects => projects.map(p => `${p.symbol} ${formatChange(p, { i18n })}`).join(', ') || i18n.t('card.movers.none');
+            return i18n.t('card.movers.describe', { gainers: list(gainers), losers: list(losers) });
+        },
+        draw: drawMoversCard
+    },
+    cover: {
+        describe: (coins, { now, i18n }) => i18n.t('card.cover.describe', { date: i18n.date(now), coins: rankCoins(coins).slice(0, 5).map(p => p.symbol).join(', ') }),
+        draw: drawCoverCard
+    },
+    portfolio: {
+        describe: (coins, { portfolio, i18n }) => i18n.t('card.portfolio.describe', {
+            change: i18n.percent(portfolio.change24h),
+            holdings: portfolio.holdings.map(h => `${h.symbol} ${i18n.share(h.weight)} ${formatChange(h, { i18n })}`).join(', ')
+        }),
+        draw: drawPortfolioCard
+    }
+};
+
+export function parseHexColor(text) {
+    if (!/^#[0-9a-f]{6}$/i.test(text)) {
+        throw new Error(`expected a #RRGGBB color, got "${text}"`);
+    }
+    return text.toLowerCase();
+}
+
+export function resolveCardTheme(config) {
+    const theme = CARD_THEMES[config.cardTheme];
+    return { ...theme, accent: theme.accent || config.brandColor };
+}
+
+export function buildCard(layout, coins, context) {
+    const { theme, now, handle, logo, i18n } = context;
+    const sample = isSampleData(coins);
+    const watermarkX = logo ? CARD_WIDTH - 96 : CARD_WIDTH - 40;
+    
+    return `<svg width="${CARD_WIDTH}" height="${CARD_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${theme.background}"/>
+  ${CARD_LAYOUTS[layout].draw(coins, context)}
+
+  <!-- Footer and watermark -->
+  ${cardText(`${sample ? i18n.t('card.sample') : describeDataSources(coins, { i18n })} • ${i18n.date(now)}`, { x: 40, y: 648, size: 18, width: 640, fill: sample ? theme.negative : theme.muted })}
+  ${handle ? cardText(handle, { x: watermarkX, y: 648, size: 22, width: 400, weight: 'bold', fill: theme.accent, anchor: 'end' }) : ''}
+  ${logo ? `<image href="${logo}" x="${CARD_WIDTH - 88}" y="612" width="48" height="48" preserveAspectRatio="xMidYMid meet"/>` : ''}
+</svg>`;
+}
+
+// Splits text into at most maxLines lines of at most maxChars characters,
+// breaking between words where it can and ending a cut-off text with "…"
+export function wrapText(text, maxChars, maxLines = 1) {
+    const words = String(text).trim().split(/\s+/).filter(Boolean).flatMap(word => {
+        const chars = Array.from(word);
+        const pieces = [];
+        for (let start = 0; start < chars.length; start += maxChars) {
+            pieces.push(chars.slice(start, start + maxChars).join(''));
+        }
+        return pieces;
+    });
+    
+    const lines = [];
+    for (const word of words) {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && Array.from(`${last} ${word}`).length <= maxChars) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    
+    if (lines.length <= maxLines) {
+        return lines;
+    }
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${Array.from(kept[maxLines - 1]).slice(0, maxChars - 1).join('').trimEnd()}…`;
+    return kept;
+}
+
+// One <text> per line; y is the baseline of the first line
+export function cardText(text, { x, y, size, width, lines = 1, weight = 'normal', fill, anchor = 'start', lineHeight = 1.25 }) {
+    const maxChars = Math.max(1, Math.floor(width / (size * CHAR_WIDTH[weight])));
+    return wrapText(text, maxChars, lines)
+        .map((line, i) => `<text x="${x}" y="${Math.round(y + i * size * lineHeight)}" font-family="${FONT_FAMILY}" font-size="${size}" font-weight="${weight}" fill="${fill}" text-anchor="${anchor}">${escapeHtml(line)}</text>`)
+        .join('\n  ');
+}
+
+// "$67,250.12", "$0.00001123"
+export function formatCardPrice(price, { i18n = createI18n() } = {}) {
+    return i18n.price(price);
+}
+
+export function describeTrend(project) {
+    return !hasKnownChange(project) ? 'unknown' : project.priceChange24h > 0 ? 'rising' : 'falling';
+}
+
+function trendColor(project, theme) {
+    return !hasKnownChange(project) ? theme.unknown : project.priceChange24h > 0 ? theme.positive : theme.negative;
+}
+
+function rankCoins(coins) {
+    return [...coins].sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+}
+
+function splitMovers(coins, limit = 4) {
+    const known = coins.filter(hasKnownChange);
+    return {
+        gainers: known.filter(p => p.priceChange24h > 0).sort((a, b) => b.priceChange24h - a.priceChange24h).slice(0, limit),
+        losers: known.filter(p => p.priceChange24h < 0).sort((a, b) => a.priceChange24h - b.priceChange24h).slice(0, limit)
+    };
+}
+
+function cardHeader(title, subtitle, fill) {
+    return `<rect x="0" y="0" width="${CARD_WIDTH}" height="120" fill="${fill}"/>
+  ${cardText(title, { x: CARD_WIDTH / 2, y: 62, size: 40, width: CARD_WIDTH - 80, weight: 'bold', fill: '#ffffff', anchor: 'middle' })}
+  ${cardText(subtitle, { x: CARD_WIDTH / 2, y: 100, size: 22, width: CARD_WIDTH - 80, fill: '#ffffff', anchor: 'middle' })}`;
+}
+
+// The coin's logo on a white disc, or its ticker in a disc of the trend color
+function coinBadge(project, cx, cy, r, { theme, coinLogos = {} }) {
+    const logo = coinLogos[project.symbol];
+    if (logo) {
+        const size = Math.round(r * 1.5);
+        return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="#ffffff" stroke="${trendColor(project, theme)}" stroke-width="${Math.max(2, Math.round(r / 16))}"/>
+  <image href="${logo}" x="${cx - size / 2}" y="${cy - size / 2}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+    
+    const size = Math.round(r * 0.5);
+    return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${trendColor(project, theme)}" stroke="#ffffff" stroke-width="${Math.max(2, Math.round(r / 16))}"/>
+  ${cardText(project.symbol, { x: cx, y: Math.round(cy + size * 0.35), size, width: r * 1.7, weight: 'bold', fill: '#ffffff', anchor: 'middle' })}`;
+}
+
+function drawCoinCard([project], context) {
+    const { theme, i18n } = context;
+    const color = trendColor(project, theme);
+    const trend = describeTrend(project);
+    const arrow = trend === 'rising' ? '▲' : trend === 'falling' ? '▼' : '•';
+    
+    return `${cardHeader(`${project.name.toUpperCase()} (${project.symbol})`, i18n.t('card.coin.subtitle'), color)}
+
+  ${coinBadge(project, 300, 360, 150, context)}
+
+  <!-- Price and 24h change -->
+  <rect x="560" y="170" width="580" height="130" rx="16" fill="${theme.surface}" stroke="${theme.border}" stroke-width="2"/>
+  ${cardText(i18n.t('card.coin.price'), { x: 590, y: 212, size: 22, width: 520, fill: theme.muted })}
+  ${cardText(i18n.price(project.price), { x: 590, y: 272, size: 48, width: 520, weight: 'bold', fill: theme.text })}
+  <rect x="560" y="320" width="580" height="130" rx="16" fill="${theme.surface}" stroke="${color}" stroke-width="4"/>
+  ${cardText(i18n.t(changeStatus(project) === 'derived' ? 'card.coin.changeDerived' : 'card.coin.change'), { x: 590, y: 362, size: 22, width: 520, fill: theme.muted })}
+  ${cardText(formatChange(project, { i18n }), { x: 590, y: 422, size: 48, width: 520, weight: 'bold', fill: color })}
+
+  <!-- Trend -->
+  <rect x="560" y="475" width="240" height="56" rx="28" fill="${color}"/>
+  ${cardText(`${arrow} ${i18n.t(`trend.${trend}`).toUpperCase()}`, { x: 680, y: 512, size: 24, width: 210, weight: 'bold', fill: '#ffffff', anchor: 'middle' })}`;
+}
+
+function drawLeaderboardCard(coins, context) {
+    const { theme, now, i18n } = context;
+    
+    const rows = rankCoins(coins).slice(0, 5).map((project, i) => {
+        const y = 140 + i * 94;
+        return `<rect x="60" y="${y}" width="1080" height="82" rx="14" fill="${theme.surface}" stroke="${theme.border}" stroke-width="2"/>
+  ${cardText(`#${i + 1}`, { x: 110, y: y + 52, size: 32, width: 80, weight: 'bold', fill: theme.accent, anchor: 'middle' })}
+  ${coinBadge(project, 200, y + 41, 30, context)}
+  ${cardText(project.name, { x: 250, y: y + 36, size: 28, width: 500, weight: 'bold', fill: theme.text })}
+  ${cardText(`${project.symbol} • ${i18n.price(project.price)}`, { x: 250, y: y + 66, size: 20, width: 500, fill: theme.muted })}
+  ${cardText(formatChange(project, { i18n }), { x: 1110, y: y + 53, size: 34, width: 300, weight: 'bold', fill: trendColor(project, theme), anchor: 'end' })}`;
+    });
+    
+    const trending = coins.every(coin => !coin.selectedBy || coin.selectedBy === 'trending');
+    const subtitle = i18n.t('card.leaderboard.subtitle', { count: rows.length, selection: describeCoinSelection(coins, { i18n }), date: i18n.date(now) });
+    return `${cardHeader(i18n.t(trending ? 'card.leaderboard.trendingTitle' : 'card.leaderboard.title'), subtitle, theme.accent)}
+
+  ${rows.join('\n  ')}`;
+}
+
+function drawMoversCard(coins, context) {
+    const { theme, now, i18n } = context;
+    const { gainers, losers } = splitMovers(coins);
+    
+    const column = (title, empty, projects, x, color) => {
+        const rows = projects.map((project, i) => {
+            const y = 200 + i * 96;
+            return `<rect x="${x}" y="${y}" width="520" height="84" rx="14" fill="${theme.surface}" stroke="${theme.border}" stroke-width="2"/>
+  ${coinBadge(project, x + 52, y + 42, 30, context)}
+  ${cardText(project.name, { x: x + 100, y: y + 38, size: 26, width: 260, weight: 'bold', fill: theme.text })}
+  ${cardText(project.symbol, { x: x + 100, y: y + 68, size: 20, width: 260, fill: theme.muted })}
+  ${cardText(formatChange(project, { i18n }), { x: x + 496, y: y + 54, size: 32, width: 150, weight: 'bold', fill: color, anchor: 'end' })}`;
+        });
+        
+        return `${cardText(title, { x: x + 260, y: 178, size: 28, width: 520, weight: 'bold', fill: color, anchor: 'middle' })}
+  ${rows.length > 0 ? rows.join('\n  ') : cardText(empty, { x: x + 260, y: 250, size: 24, width: 520, fill: theme.muted, anchor: 'middle' })}`;
+    };
+    
+    return `${cardHeader(i18n.t('card.movers.title'), i18n.t('card.movers.subtitle', { date: i18n.date(now) }), theme.accent)}
+
+  ${column(i18n.t('card.movers.gainers'), i18n.t('card.movers.noGainers'), gainers, 60, theme.positive)}
+  ${column(i18n.t('card.movers.losers'), i18n.t('card.movers.noLosers'), losers, 620, theme.negative)}`;
+}
+
+function drawCoverCard(coins, context) {
+    const { theme, now, i18n } = context;
+    const featured = rankCoins(coins).slice(0, 5);
+    const chipWidth = 196;
+    const start = (CARD_WIDTH - featured.length * (chipWidth + 20) + 20) / 2;
+    
+    const chips = featured.map((project, i) => {
+        const x = start + i * (chipWidth + 20);
+        return `<rect x="${x}" y="300" width="${chipWidth}" height="230" rx="18" fill="${theme.surface}" stroke="${theme.border}" stroke-width="2"/>
+  ${coinBadge(project, x + chipWidth / 2, 375, 48, context)}
+  ${cardText(project.symbol, { x: x + chipWidth / 2, y: 467, size: 30, width: chipWidth - 20, weight: 'bold', fill: theme.text, anchor: 'middle' })}
+  ${cardText(formatChange(project, { i18n }), { x: x + chipWidth / 2, y: 507, size: 26, width: chipWidth - 20, weight: 'bold', fill: trendColor(project, theme), anchor: 'middle' })}`;
+    });
+    
+    return `<rect x="0" y="0" width="24" height="${CARD_HEIGHT}" fill="${theme.accent}"/>
+  ${cardText(i18n.t('card.cover.title'), { x: CARD_WIDTH / 2, y: 150, size: 64, width: CARD_WIDTH - 120, weight: 'bold', fill: theme.text, anchor: 'middle' })}
+  ${cardText(i18n.t('card.cover.subtitle', { date: i18n.date(now), count: featured.length, selection: describeCoinSelection(coins, { i18n }) }), { x: CARD_WIDTH / 2, y: 210, size: 30, width: CARD_WIDTH - 120, fill: theme.muted, anchor: 'middle' })}
+
+  ${chips.join('\n  ')}`;
+}
+
+// The total 24h P&L on the left, one row per holding (weight, change and
+// contribution) on the right
+function drawPortfolioCard(coins, context) {
+    const { theme, now, portfolio, i18n } = context;
+    const total = { priceChange24h: portfolio.change24h, provenance: { priceChange24h: { status: portfolio.change24h === null ? 'unknown' : 'real' } } };
+    const color = trendColor(total, theme);
+    
+    const rows = portfolio.holdings.slice(0, 5).map((holding, i) => {
+        const y = 150 + i * 92;
+        return `<rect x="480" y="${y}" width="660" height="80" rx="14" fill="${theme.surface}" stroke="${theme.border}" stroke-width="2"/>
+  ${coinBadge(holding, 530, y + 40, 28, context)}
+  ${cardText(holding.name, { x: 575, y: y + 36, size: 26, width: 270, weight: 'bold', fill: theme.text })}
+  ${cardText(i18n.t('card.portfolio.weight', { symbol: holding.symbol, weight: i18n.share(holding.weight) }), { x: 575, y: y + 64, size: 20, width: 270, fill: theme.muted })}
+  ${cardText(formatChange(holding, { i18n }), { x: 990, y: y + 50, size: 30, width: 130, weight: 'bold', fill: trendColor(holding, theme), anchor: 'end' })}
+  ${cardText(i18n.points(holding.contribution24h), { x: 1115, y: y + 50, size: 20, width: 110, fill: theme.muted, anchor: 'end' })}`;
+    });
+    
+    return `${cardHeader(i18n.t('card.portfolio.title'), i18n.t('card.portfolio.subtitle', { date: i18n.date(now) }), theme.accent)}
+
+  <rect x="60" y="150" width="380" height="440" rx="18" fill="${theme.surface}" stroke="${color}" stroke-width="4"/>
+  ${cardText(i18n.t('card.portfolio.total'), { x: 250, y: 250, size: 28, width: 340, fill: theme.muted, anchor: 'middle' })}
+  ${cardText(i18n.percent(portfolio.change24h), { x: 250, y: 350, size: 72, width: 340, weight: 'bold', fill: color, anchor: 'middle' })}
+  ${cardText(i18n.t('card.portfolio.change7d', { change: i18n.percent(portfolio.change7d) }), { x: 250, y: 420, size: 28, width: 340, fill: theme.text, anchor: 'middle' })}
+  ${cardText(i18n.t(portfolio.holdings.length > 5 ? 'card.portfolio.holdingsCut' : 'card.portfolio.holdings', { count: portfolio.holdings.length }), { x: 250, y: 540, size: 20, width: 340, fill: theme.muted, anchor: 'middle' })}
+
+  ${rows.join('\n  ')}`;
+}
@@ -0,0 +1,621 @@
+import path from 'path';
+import { createI18n } from './i18n.js';
+import { hasKnownChange, formatChange, describeDataSources } from './provenance.js';
+import { describeCoinSelection } from './selection.js';
+import { escapeHtml, nearestValue } from './utils.js';
+
+const COIN_CHARTS = [
+    { type: 'line', days: 30 },
+    { type: 'candlestick', days: 7 }
+];
+
+const COMPARISON_COLORS = ['#f39c12', '#8e44ad', '#16a085', '#c0392b', '#2980b9'];
+
+// With compareDays, draws only one chart comparing the coins' performance over
+// that range (the bot's /chart) instead of the daily set. With a portfolio (the
+// fetchPortfolio P&L) the daily set starts with its contribution chart. The
+// labels are in options.locale, by default the first of locales.
+export async function generatePriceCharts(cryptoData, config, deps, { compareDays = null, portfolio = null, locale = config.locales[0] } = {}) {
+    console.log('📊 Creating price change charts...');
+    
+    const charts = [];
+    const now = deps.now();
+    const i18n = createI18n(locale);
+    
+    // Create charts directory
+    const { chartsDir } = config;
+    if (!deps.fs.existsSync(chartsDir)) {
+        deps.fs.mkdirSync(chartsDir, { recursive: true });
+    }
+    
+    if (compareDays) {
+        const compared = cryptoData.filter(project => project.history?.[`${compareDays}d`]?.prices.length > 1);
+        if (compared.length === 0) {
+            throw new Error(`No ${compareDays}-day price history for ${cryptoData.map(p => p.symbol).join(', ')}`);
+        }
+        
+        const fileName = `comparison-${compared.map(p => p.symbol.toLowerCase()).join('-')}-${compareDays}d-${now.getTime()}.svg`;
+        const filePath = path.join(chartsDir, fileName);
+        deps.fs.writeFileSync(filePath, buildComparisonChartSvg(compared, compareDays, now, i18n));
+        console.log(`✅ Generated chart: ${fileName}`);
+        
+        return [{
+            fileName,
+            filePath,
+            description: i18n.t('chart.comparison.describe', { days: compareDays, coins: compared.map(p => p.symbol).join(' vs ') }),
+            type: 'comparison-chart'
+        }];
+    }
+    
+    if (portfolio) {
+        const fileName = `portfolio-chart-${now.getTime()}.svg`;
+        const filePath = path.join(chartsDir, fileName);
+        deps.fs.writeFileSync(filePath, buildPortfolioChartSvg(portfolio, cryptoData, now, i18n));
+        charts.push({
+            fileName,
+            filePath,
+            description: i18n.t('chart.portfolio.describe', { change: i18n.percent(portfolio.change24h) }),
+            type: 'portfolio-chart'
+        });
+        console.log(`✅ Generated chart: ${fileName}`);
+    }
+    
+    const selection = describeCoinSelection(cryptoData, { i18n });
+    const sources = describeDataSources(cryptoData, { i18n });
+    const width = 800;
+    const height = 600;
+    const margin = { top: 60, right: 50, bottom: 120, left: 80 };
+    const chartWidth = width - margin.left - margin.right;
+    const chartHeight = height - margin.top - margin.bottom;
+    
+    const knownChanges = cryptoData.filter(hasKnownChange).map(p => Math.abs(p.priceChange24h));
+    const changeScale = niceTicks(0, knownChanges.length ? Math.max(...knownChanges) : 0);
+    const maxChange = changeScale.max;
+    const barWidth = chartWidth / cryptoData.length * 0.7;
+    const barSpacing = chartWidth / cryptoData.length;
+    
+    let svgContent = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .chart-title { font-family: Arial, sans-serif; font-size: 24px; font-weight: bold; fill: #2c3e50; }
+    .axis-label { font-family: Arial, sans-serif; font-size: 12px; fill: #34495e; }
+    .bar-label { font-family: Arial, sans-serif; font-size: 11px; fill: #2c3e50; font-weight: bold; }
+    .positive-bar { fill: #27ae60; stroke: #1e8449; stroke-width: 1; }
+    .negative-bar { fill: #e74c3c; stroke: #c0392b; stroke-width: 1; }
+    .grid-line { stroke: #ecf0f1; stroke-width: 1; stroke-dasharray: 2,2; }
+  </style>
+  
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  
+  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">
+    ${escapeHtml(i18n.t('chart.price.title', { selection: i18n.title(selection) }))}
+  </text>
+  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
+    ${sources} • ${i18n.t('chart.generated', { date: i18n.date(now) })}
+  </text>
+  
+  <!-- Axes -->
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
+  <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
+  
+  <!-- Zero line -->
+  <line x1="${margin.left}" y1="${margin.top + chartHeight/2}" x2="${width - margin.right}" y2="${margin.top + chartHeight/2}" class="grid-line"/>
+  
+  <!-- Y-axis ticks -->`;
+  
+    const tickValues = [...changeScale.ticks.slice(1).reverse().map(v => -v), ...changeScale.ticks];
+    tickValues.forEach(value => {
+        const y = margin.top + chartHeight / 2 - value * (chartHeight / 2) / maxChange;
+        svgContent += `
+  <line x1="${margin.left - 5}" y1="${y}" x2="${margin.left}" y2="${y}" stroke="#2c3e50" stroke-width="1"/>
+  <text x="${margin.left - 10}" y="${y + 4}" text-anchor="end" class="axis-label">${i18n.t('format.percent', { value: `${value > 0 ? '+' : ''}${formatTickNumber(value, changeScale.step, i18n)}` })}</text>`;
+    });
+    
+    // Generate bars
+    cryptoData.forEach((project, index) => {
+        const x = margin.left + index * barSpacing + (barSpacing - barWidth) / 2;
+        const centerY = margin.top + chartHeight / 2;
+        // Unknown values get no bar at all rather than a fake zero
+        const barHeight = hasKnownChange(project) ? Math.abs(project.priceChange24h) * (chartHeight / 2) / maxChange : 0;
+        const barY = project.priceChange24h >= 0 ? centerY - barHeight : centerY;
+        
+        const barClass = project.priceChange24h >= 0 ? 'positive-bar' : 'negative-bar';
+        
+        svgContent += `
+  <rect x="${x}" y="${barY}" width="${barWidth}" height="${barHeight}" class="${barClass}"/>
+  <text x="${x + barWidth/2}" y="${barY - 8}" text-anchor="middle" class="bar-label">
+    ${formatChange(project, { i18n })}
+  </text>
+  <text x="${x + barWidth/2}" y="${height - margin.bottom + 25}" text-anchor="middle" class="axis-label" font-weight="bold">
+    ${escapeHtml(project.symbol)}
+  </text>
+  <text x="${x + barWidth/2}" y="${height - margin.bottom + 40}" text-anchor="middle" class="axis-label" font-size="10px">
+    ${escapeHtml(project.name.length > 10 ? project.name.substring(0, 10) + '...' : project.name)}
+  </text>`;
+    });
+    
+    svgContent += '</svg>';
+    
+    const fileName = `price-chart-${now.getTime()}.svg`;
+    const filePath = path.join(chartsDir, fileName);
+    
+    deps.fs.writeFileSync(filePath, svgContent);
+    
+    charts.push({
+        fileName,
+        filePath,
+        description: i18n.t('chart.price.describe', { count: cryptoData.length, selection, sources }),
+        type: 'price-change-bar-chart'
+    });
+    
+    console.log(`✅ Generated chart: ${fileName}`);
+    
+    // Per-coin history charts, where we managed to fetch a series
+    cryptoData.forEach(project => {
+        COIN_CHARTS.forEach(({ type, days }) => {
+            const series = project.history?.[`${days}d`];
+            const hasData = type === 'candlestick' ? series?.ohlc.length > 1 : series?.prices.length > 1;
+            if (!hasData) {
+                return;
+            }
+            
+            const svg = type === 'candlestick'
+                ? buildCandlestickChartSvg(project, series, now, i18n)
+                : buildLineChartSvg(project, series, now, i18n);
+            
+            const coinFileName = `${type}-${project.symbol.toLowerCase()}-${days}d-${now.getTime()}.svg`;
+            const coinFilePath = path.join(chartsDir, coinFileName);
+            deps.fs.writeFileSync(coinFilePath, svg);
+            
+            charts.push({
+                fileName: coinFileName,
+                filePath: coinFilePath,
+                description: i18n.t(`chart.${type}.describe`, { coin: `${project.name} (${project.symbol})`, days }),
+                project: project.name,
+                symbol: project.symbol,
+                type: `${type}-chart`
+            });
+            
+            console.log(`✅ Generated chart: ${coinFileName}`);
+        });
+    });
+    
+    return charts;
+}
+
+// Mini chart for a price alert (see src/alerts.js) from the prices the alert
+// mode sampled, with the alert window shaded
+export function generateAlertChart(alert, samples, config, deps) {
+    const now = deps.now();
+    const { chartsDir } = config;
+    if (!deps.fs.existsSync(chartsDir)) {
+        deps.fs.mkdirSync(chartsDir, { recursive: true });
+    }
+    
+    const fileName = `alert-${alert.symbol.toLowerCase()}-${alert.rule}-${now.getTime()}.svg`;
+    const filePath = path.join(chartsDir, fileName);
+    deps.fs.writeFileSync(filePath, buildAlertChartSvg(alert, samples, now.getTime() - config.alertWindowMinutes * 60 * 1000, now));
+    console.log(`✅ Generated chart: ${fileName}`);
+    
+    return {
+        fileName,
+        filePath,
+        description: `${alert.symbol} price since ${new Date(samples[0][0]).toISOString().slice(11, 16)} UTC`,
+        project: alert.name,
+        symbol: alert.symbol,
+        type: 'alert-chart'
+    };
+}
+
+// Rounds an axis range out to 1/2/5 x 10^n steps so tick labels read cleanly
+function niceTicks(min, max, targetCount = 5) {
+    if (min === max) {
+        min -= Math.abs(min) * 0.1 || 1;
+        max += Math.abs(max) * 0.1 || 1;
+    }
+    
+    const rawStep = (max - min) / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const residual = rawStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+    
+    const niceMin = Math.floor(min / step) * step;
+    const niceMax = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+        ticks.push(Number(value.toPrecision(12)));
+    }
+    
+    return { min: niceMin, max: niceMax, step, ticks };
+}
+
+function formatTickNumber(value, step, i18n = createI18n()) {
+    const decimals = step >= 1 ? 0 : Math.min(8, Math.ceil(-Math.log10(step)));
+    return i18n.number(value, decimals);
+}
+
+export function formatVolume(value) {
+    if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+    if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return value.toFixed(0);
+}
+
+// Trailing simple moving average; null until the window is full
+function movingAverage(values, period) {
+    return values.map((_, i) => {
+        if (i + 1 < period) {
+            return null;
+        }
+        const window = values.slice(i + 1 - period, i + 1);
+        return window.reduce((sum, v) => sum + v, 0) / period;
+    });
+}
+
+// Collapses an intraday [timestamp, value] series to one point per UTC day (last value wins)
+function toDailySeries(points) {
+    const byDay = new Map();
+    points.forEach(([timestamp, value]) => {
+        byDay.set(new Date(timestamp).toISOString().slice(0, 10), [timestamp, value]);
+    });
+    return [...byDay.values()];
+}
+
+// Shared frame for the per-coin charts: title, price axis with ticks,
+// volume panel and date labels. `plotPrice` draws the series itself.
+function buildHistoryChartSvg({ project, title, timestamps, low, high, volumes, overlays, plotPrice, generatedAt, i18n }) {
+    const width = 800;
+    const height = 600;
+    const margin = { top: 80, right: 40, bottom: 50, left: 90 };
+    const volumeHeight = 90;
+    const panelGap = 20;
+    const plotWidth = width - margin.left - margin.right;
+    const priceHeight = height - margin.top - margin.bottom - volumeHeight - panelGap;
+    const volumeTop = margin.top + priceHeight + panelGap;
+    
+    const priceScale = niceTicks(low, high);
+    const maxVolume = Math.max(...volumes.filter(volume => volume !== null), 1);
+    const slot = plotWidth / timestamps.length;
+    
+    const xAt = i => margin.left + slot * i + slot / 2;
+    const yAt = price => margin.top + priceHeight - (price - priceScale.min) / (priceScale.max - priceScale.min) * priceHeight;
+    
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .chart-title { font-family: Arial, sans-serif; font-size: 22px; font-weight: bold; fill: #2c3e50; }
+    .axis-label { font-family: Arial, sans-serif; font-size: 11px; fill: #34495e; }
+    .legend-label { font-family: Arial, sans-serif; font-size: 12px; fill: #2c3e50; }
+    .grid-line { stroke: #ecf0f1; stroke-width: 1; }
+    .volume-bar { fill: #95a5a6; opacity: 0.6; }
+  </style>
+  
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  
+  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">${escapeHtml(title)}</text>
+  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
+    ${i18n.t('chart.history.subtitle')} • ${i18n.t('chart.generated', { date: i18n.date(generatedAt) })}
+  </text>`;
+  
+    // Price axis
+    priceScale.ticks.forEach(value => {
+        const y = yAt(value);
+        svg += `
+  <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" class="grid-line"/>
+  <text x="${margin.left - 8}" y="${y + 4}" text-anchor="end" class="axis-label">$${formatTickNumber(value, priceScale.step, i18n)}</text>`;
+    });
+    
+    svg += plotPrice({ xAt, yAt, slot });
+    
+    // Moving-average overlays
+    overlays.forEach((overlay, overlayIndex) => {
+        const points = overlay.values
+            .map((value, i) => value === null ? null : `${xAt(i).toFixed(1)},${yAt(value).toFixed(1)}`)
+            .filter(Boolean);
+        if (points.length > 1) {
+            svg += `
+  <polyline points="${points.join(' ')}" fill="none" stroke="${overlay.color}" stroke-width="1.5" stroke-dasharray="5,3"/>`;
+        }
+        svg += `
+  <line x1="${margin.left + 10 + overlayIndex * 90}" y1="${margin.top - 12}" x2="${margin.left + 30 + overlayIndex * 90}" y2="${margin.top - 12}" stroke="${overlay.color}" stroke-width="2" stroke-dasharray="5,3"/>
+  <text x="${margin.left + 35 + overlayIndex * 90}" y="${margin.top - 8}" class="legend-label">${overlay.label}</text>`;
+    });
+    
+    // Volume panel
+    svg += `
+  <text x="${margin.left - 8}" y="${volumeTop + 10}" text-anchor="end" class="axis-label">${formatVolume(maxVolume)}</text>
+  <text x="${margin.left - 8}" y="${volumeTop + volumeHeight}" text-anchor="end" class="axis-label">${i18n.t('chart.history.volume')}</text>`;
+    volumes.forEach((volume, i) => {
+        // No volume recorded near this point: no bar rather than a fake zero
+        if (volume === null) {
+            return;
+        }
+        const barHeight = volume / maxVolume * volumeHeight;
+        svg += `
+  <rect x="${(xAt(i) - slot * 0.35).toFixed(1)}" y="${(volumeTop + volumeHeight - barHeight).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}" class="volume-bar"/>`;
+    });
+    
+    // Axes and date labels
+    svg += `
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${volumeTop + volumeHeight}" stroke="#2c3e50" stroke-width="2"/>
+  <line x1="${margin.left}" y1="${volumeTop + volumeHeight}" x2="${width - margin.right}" y2="${volumeTop + volumeHeight}" stroke="#2c3e50" stroke-width="2"/>`;
+  
+    const labelEvery = Math.max(1, Math.ceil(timestamps.length / 7));
+    timestamps.forEach((timestamp, i) => {
+        if (i % labelEvery !== 0) {
+            return;
+        }
+        svg += `
+  <text x="${xAt(i)}" y="${volumeTop + volumeHeight + 18}" text-anchor="middle" class="axis-label">${i18n.day(new Date(timestamp))}</text>`;
+    });
+    
+    svg += `
+  <text x="${width/2}" y="${height - 10}" text-anchor="middle" class="axis-label">${i18n.t('chart.history.dateAxis')} • ${escapeHtml(`${project.name} (${project.symbol})`)}</text>
+</svg>`;
+
+    return svg;
+}
+
+function buildLineChartSvg(project, series, generatedAt, i18n) {
+    const daily = toDailySeries(series.prices);
+    const prices = daily.map(([, price]) => price);
+    const timestamps = daily.map(([timestamp]) => timestamp);
+    const volumes = timestamps.map(t => nearestValue(series.volumes, t));
+    const isPositive = prices[prices.length - 1] >= prices[0];
+    const color = isPositive ? '#27ae60' : '#e74c3c';
+    
+    return buildHistoryChartSvg({
+        project,
+        title: i18n.t('chart.line.title', { coin: `${project.name} (${project.symbol})`, days: series.days }),
+        timestamps,
+        low: Math.min(...prices),
+        high: Math.max(...prices),
+        volumes,
+        generatedAt,
+        i18n,
+        overlays: [
+            { label: i18n.t('chart.history.movingAverage', { period: '7d' }), values: movingAverage(prices, 7), color: '#2980b9' },
+            { label: i18n.t('chart.history.movingAverage', { period: '14d' }), values: movingAverage(prices, 14), color: '#8e44ad' }
+        ],
+        plotPrice: ({ xAt, yAt }) => `
+  <polyline points="${prices.map((price, i) => `${xAt(i).toFixed(1)},${yAt(price).toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2.5"/>`
+    });
+}
+
+function buildCandlestickChartSvg(project, series, generatedAt, i18n) {
+    const candles = series.ohlc;
+    const closes = candles.map(c => c[4]);
+    const timestamps = candles.map(c => c[0]);
+    const volumes = timestamps.map(t => nearestValue(series.volumes, t));
+    // CoinGecko returns 4-hour candles for 3-30 day ranges, so 6 candles is one day
+    const candlesPerDay = series.days <= 30 ? 6 : 1;
+    
+    return buildHistoryChartSvg({
+        project,
+        title: i18n.t('chart.candlestick.title', { coin: `${project.name} (${project.symbol})`, days: series.days }),
+        timestamps,
+        low: Math.min(...candles.map(c => c[3])),
+        high: Math.max(...candles.map(c => c[2])),
+        volumes,
+        generatedAt,
+        i18n,
+        overlays: [
+            { label: i18n.t('chart.history.movingAverage', { period: '1d' }), values: movingAverage(closes, candlesPerDay), color: '#2980b9' },
+            { label: i18n.t('chart.history.movingAverage', { period: '3d' }), values: movingAverage(closes, candlesPerDay * 3), color: '#8e44ad' }
+        ],
+        plotPrice: ({ xAt, yAt, slot }) => candles.map(([, open, high, low, close], i) => {
+            const color = close >= open ? '#27ae60' : '#e74c3c';
+            const bodyTop = yAt(Math.max(open, close));
+            const bodyHeight = Math.max(1, yAt(Math.min(open, close)) - bodyTop);
+            return `
+  <line x1="${xAt(i).toFixed(1)}" y1="${yAt(high).toFixed(1)}" x2="${xAt(i).toFixed(1)}" y2="${yAt(low).toFixed(1)}" stroke="${color}" stroke-width="1"/>
+  <rect x="${(xAt(i) - slot * 0.35).toFixed(1)}" y="${bodyTop.toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${bodyHeight.toFixed(1)}" fill="${color}"/>`;
+        }).join('')
+    });
+}
+
+// Every coin's price as % change from the start of the range, so coins at
+// very different prices share one axis
+function buildComparisonChartSvg(projects, days, generatedAt, i18n) {
+    const width = 800;
+    const height = 600;
+    const margin = { top: 90, right: 40, bottom: 60, left: 80 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const lines = projects.map((project, index) => {
+        const prices = project.history[`${days}d`].prices;
+        const start = prices[0][1];
+        return {
+            project,
+            color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+            points: prices.map(([timestamp, price]) => [timestamp, (price - start) / start * 100])
+        };
+    });
+    
+    const allPoints = lines.flatMap(line => line.points);
+    const firstTime = Math.min(...allPoints.map(([t]) => t));
+    const lastTime = Math.max(...allPoints.map(([t]) => t));
+    const scale = niceTicks(Math.min(0, ...allPoints.map(([, v]) => v)), Math.max(0, ...allPoints.map(([, v]) => v)));
+    
+    const xAt = timestamp => margin.left + (timestamp - firstTime) / Math.max(1, lastTime - firstTime) * plotWidth;
+    const yAt = value => margin.top + plotHeight - (value - scale.min) / (scale.max - scale.min) * plotHeight;
+    
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .chart-title { font-family: Arial, sans-serif; font-size: 22px; font-weight: bold; fill: #2c3e50; }
+    .axis-label { font-family: Arial, sans-serif; font-size: 11px; fill: #34495e; }
+    .legend-label { font-family: Arial, sans-serif; font-size: 12px; fill: #2c3e50; font-weight: bold; }
+    .grid-line { stroke: #ecf0f1; stroke-width: 1; }
+  </style>
+  
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  
+  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">${escapeHtml(i18n.t('chart.comparison.title', { coins: projects.map(p => p.symbol).join(' vs '), days }))}</text>
+  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
+    ${i18n.t('chart.comparison.subtitle', { date: new Date(firstTime).toISOString().slice(0, 10) })} • ${i18n.t('chart.generated', { date: i18n.date(generatedAt) })}
+  </text>`;
+  
+    scale.ticks.forEach(value => {
+        const y = yAt(value);
+        svg += `
+  <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" class="grid-line"${value === 0 ? ' stroke="#95a5a6"' : ''}/>
+  <text x="${margin.left - 8}" y="${y + 4}" text-anchor="end" class="axis-label">${i18n.t('format.percent', { value: `${value > 0 ? '+' : ''}${formatTickNumber(value, scale.step, i18n)}` })}</text>`;
+    });
+    
+    lines.forEach(({ project, color, points }, index) => {
+        const last = points[points.length - 1][1];
+        svg += `
+  <polyline points="${points.map(([t, v]) => `${xAt(t).toFixed(1)},${yAt(v).toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2.5"/>
+  <line x1="${margin.left + 10 + index * 130}" y1="${margin.top - 14}" x2="${margin.left + 30 + index * 130}" y2="${margin.top - 14}" stroke="${color}" stroke-width="3"/>
+  <text x="${margin.left + 35 + index * 130}" y="${margin.top - 10}" class="legend-label">${escapeHtml(project.symbol)} ${i18n.percent(last)}</text>`;
+    });
+    
+    svg += `
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
+  <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>`;
+  
+    const dayMs = 24 * 60 * 60 * 1000;
+    const labelEvery = Math.max(1, Math.ceil(days / 7));
+    for (let day = 0; firstTime + day * dayMs <= lastTime; day += labelEvery) {
+        const date = new Date(firstTime + day * dayMs);
+        svg += `
+  <text x="${xAt(date.getTime()).toFixed(1)}" y="${height - margin.bottom + 18}" text-anchor="middle" class="axis-label">${i18n.day(date)}</text>`;
+    }
+    
+    svg += `
+  <text x="${width/2}" y="${height - 15}" text-anchor="middle" class="axis-label">${i18n.t('chart.history.dateAxis')}</text>
+</svg>`;
+
+    return svg;
+}
+
+// One bar per holding for its contribution to the 24h P&L (weight x change, in
+// percentage points) and a last bar for the total
+function buildPortfolioChartSvg(portfolio, cryptoData, generatedAt, i18n) {
+    const width = 800;
+    const height = 600;
+    const margin = { top: 90, right: 50, bottom: 100, left: 80 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const bars = [
+        ...portfolio.holdings.map(holding => ({ label: holding.symbol, caption: `${i18n.share(holding.weight)} • ${formatChange(holding, { i18n })}`, value: holding.contribution24h, text: i18n.points(holding.contribution24h) })),
+        { label: i18n.t('chart.portfolio.total'), caption: i18n.t('chart.portfolio.caption'), value: portfolio.change24h, text: i18n.percent(portfolio.change24h), total: true }
+    ];
+    const known = bars.filter(bar => bar.value !== null).map(bar => bar.value);
+    const scale = niceTicks(Math.min(0, ...known), Math.max(0, ...known));
+    const yAt = value => margin.top + plotHeight - (value - scale.min) / (scale.max - scale.min) * plotHeight;
+    const barSpacing = plotWidth / bars.length;
+    const barWidth = barSpacing * 0.6;
+    
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .chart-title { font-family: Arial, sans-serif; font-size: 24px; font-weight: bold; fill: #2c3e50; }
+    .axis-label { font-family: Arial, sans-serif; font-size: 12px; fill: #34495e; }
+    .bar-label { font-family: Arial, sans-serif; font-size: 11px; fill: #2c3e50; font-weight: bold; }
+    .positive-bar { fill: #27ae60; stroke: #1e8449; stroke-width: 1; }
+    .negative-bar { fill: #e74c3c; stroke: #c0392b; stroke-width: 1; }
+    .total-bar { fill: #2c3e50; stroke: #1b2631; stroke-width: 1; }
+    .grid-line { stroke: #ecf0f1; stroke-width: 1; }
+  </style>
+  
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  
+  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">${escapeHtml(i18n.t('chart.portfolio.title', { change: i18n.percent(portfolio.change24h) }))}</text>
+  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
+    ${i18n.t('chart.portfolio.subtitle')} • ${describeDataSources(cryptoData, { i18n })} • ${i18n.t('chart.generated', { date: i18n.date(generatedAt) })}
+  </text>`;
+  
+    scale.ticks.forEach(value => {
+        const y = yAt(value);
+        svg += `
+  <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" class="grid-line"${value === 0 ? ' stroke="#95a5a6"' : ''}/>
+  <text x="${margin.left - 8}" y="${y + 4}" text-anchor="end" class="axis-label">${value > 0 ? '+' : ''}${formatTickNumber(value, scale.step, i18n)}</text>`;
+    });
+    
+    bars.forEach((bar, index) => {
+        const x = margin.left + index * barSpacing + (barSpacing - barWidth) / 2;
+        // Unknown values get no bar at all rather than a fake zero
+        const top = bar.value === null ? yAt(0) : Math.min(yAt(0), yAt(bar.value));
+        const barHeight = bar.value === null ? 0 : Math.abs(yAt(bar.value) - yAt(0));
+        const barClass = bar.total ? 'total-bar' : bar.value >= 0 ? 'positive-bar' : 'negative-bar';
+        const labelY = bar.value !== null && bar.value < 0 ? top + barHeight + 16 : top - 8;
+        
+        svg += `
+  <rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" class="${barClass}"/>
+  <text x="${(x + barWidth / 2).toFixed(1)}" y="${labelY.toFixed(1)}" text-anchor="middle" class="bar-label">${bar.text}</text>
+  <text x="${(x + barWidth / 2).toFixed(1)}" y="${height - margin.bottom + 25}" text-anchor="middle" class="axis-label" font-weight="bold">${escapeHtml(bar.label)}</text>
+  <text x="${(x + barWidth / 2).toFixed(1)}" y="${height - margin.bottom + 42}" text-anchor="middle" class="axis-label" font-size="10px">${escapeHtml(bar.caption)}</text>`;
+    });
+    
+    svg += `
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
+  <text x="${width/2}" y="${height - 20}" text-anchor="middle" class="axis-label">${i18n.t('chart.portfolio.footer', { change: i18n.percent(portfolio.change7d) })}</text>
+</svg>`;
+
+    return svg;
+}
+
+function buildAlertChartSvg(alert, samples, windowStart, generatedAt) {
+    const width = 800;
+    const height = 450;
+    const margin = { top: 80, right: 40, bottom: 50, left: 90 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    
+    const prices = samples.map(([, price]) => price);
+    const firstTime = samples[0][0];
+    const lastTime = samples[samples.length - 1][0];
+    const scale = niceTicks(Math.min(...prices), Math.max(...prices));
+    const isPositive = prices[prices.length - 1] >= prices[0];
+    const color = isPositive ? '#27ae60' : '#e74c3c';
+    
+    const xAt = timestamp => margin.left + (timestamp - firstTime) / Math.max(1, lastTime - firstTime) * plotWidth;
+    const yAt = price => margin.top + plotHeight - (price - scale.min) / (scale.max - scale.min) * plotHeight;
+    const points = samples.map(([t, price]) => `${xAt(t).toFixed(1)},${yAt(price).toFixed(1)}`);
+    
+    let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .chart-title { font-family: Arial, sans-serif; font-size: 22px; font-weight: bold; fill: #2c3e50; }
+    .axis-label { font-family: Arial, sans-serif; font-size: 11px; fill: #34495e; }
+    .grid-line { stroke: #ecf0f1; stroke-width: 1; }
+  </style>
+  
+  <rect width="100%" height="100%" fill="#ffffff"/>
+  
+  <text x="${width/2}" y="35" text-anchor="middle" class="chart-title">${escapeHtml(alert.title)}</text>
+  <text x="${width/2}" y="55" text-anchor="middle" class="axis-label">
+    ${escapeHtml(alert.symbol)} price (USD) • ${samples.length} samples • Generated ${createI18n().date(generatedAt)}
+  </text>`;
+  
+    // Alert window
+    if (windowStart > firstTime) {
+        svg += `
+  <rect x="${xAt(windowStart).toFixed(1)}" y="${margin.top}" width="${(width - margin.right - xAt(windowStart)).toFixed(1)}" height="${plotHeight}" fill="${color}" opacity="0.08"/>`;
+    }
+    
+    scale.ticks.forEach(value => {
+        const y = yAt(value);
+        svg += `
+  <line x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" class="grid-line"/>
+  <text x="${margin.left - 8}" y="${y + 4}" text-anchor="end" class="axis-label">$${formatTickNumber(value, scale.step)}</text>`;
+    });
+    
+    svg += `
+  <polygon points="${margin.left},${margin.top + plotHeight} ${points.join(' ')} ${xAt(lastTime).toFixed(1)},${margin.top + plotHeight}" fill="${color}" opacity="0.15"/>
+  <polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2.5"/>
+  <circle cx="${xAt(lastTime).toFixed(1)}" cy="${yAt(prices[prices.length - 1]).toFixed(1)}" r="5" fill="${color}"/>
+  <line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>
+  <line x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}" stroke="#2c3e50" stroke-width="2"/>`;
+  
+    for (let i = 0; i <= 4; i++) {
+        const timestamp = firstTime + (lastTime - firstTime) * i / 4;
+        svg += `
+  <text x="${xAt(timestamp).toFixed(1)}" y="${height - margin.bottom + 18}" text-anchor="middle" class="axis-label">${new Date(timestamp).toISOString().slice(11, 16)}</text>`;
+    }
+    
+    svg += `
+  <text x="${width/2}" y="${height - 12}" text-anchor="middle" class="axis-label">Time (UTC)</text>
+</svg>`;
+
+    return svg;
+}
@@ -0,0 +1,129 @@
+import { createI18n } from './i18n.js';
+import { MAX_TWEET_LENGTH, weightedTweetLength } from './thread.js';
+
+// Compliance and fact-check guardrails
+//
+// Runs on every generated thread before it can go out:
+//   - every percentage and dollar figure must match the market data of the run
+//     (the coins the tweet mentions, or any coin if it names none)
+//   - no promises of returns, calls to buy or sell, price targets or predictions
+//   - the thread carries a disclaimer; a missing one is appended to the last tweet
+// Percentages may use a decimal comma, and the phrase and disclaimer checks
+// know the Spanish and Portuguese wording too.
+// generateThreadContent re-prompts with these problems, and the complianceMode
+// setting decides whether a thread that still has them is blocked or only reported.
+
+export const COMPLIANCE_MODES = ['block', 'warn', 'off'];
+export const DISCLAIMER = createI18n().t('disclaimer');
+
+const DISCLAIMER_REGEX = /\b(DYOR|NFA|not financial advice|do your own research|no es asesoramiento financiero|haz tu propia investigación|não é recomendação de investimento|faça sua própria pesquisa)\b/i;
+const PERCENT_REGEX = /([+\-−])?(\d+(?:[.,]\d+)?)\s?%/g;
+const DOLLAR_REGEX = /\$\s?(\d[\d,]*(?:\.\d+)?)\s?(trillion|billion|million|thousand|[KMBT]\b)?/gi;
+const DOLLAR_UNITS = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+const PRICE_TOLERANCE = 0.005; // Providers and rounding disagree by a few tenths of a percent
+
+const BANNED_PHRASES = [
+    { regex: /\bguarantee[sd]?\b[^.!?]{0,20}\b(returns?|profits?|gains?|income)\b/i, label: 'promises guaranteed returns' },
+    { regex: /\b(risk[- ]free|can'?t lose|easy money|free money)\b/i, label: 'promises risk-free profit' },
+    { regex: /\b(buy now|buy the dip|buy before|sell now|load up|ape in|buying opportunit(y|ies))\b/i, label: 'tells people to buy or sell' },
+    { regex: /\b(price targets?|target(ing)? (of )?\$\d)/i, label: 'gives a price target' },
+    { regex: /\b(will|going to|set to|about to|is headed to)\s+(hit|reach|break|touch|flip|moon|pump|explode|double|triple)\b/i, label: 'predicts the price' },
+    { regex: /\b\d{2,}x\b/i, label: 'promises a multiple' },
+    { regex: /\b(ganancias garantizadas|rentabilidad garantizada|lucros? garantidos?|retornos? garantidos?)\b/i, label: 'promises guaranteed returns' },
+    { regex: /\b(dinero fácil|dinheiro fácil)\b/i, label: 'promises risk-free profit' },
+    { regex: /\b(compra ya|compra ahora|vende ya|vende ahora|compre agora|venda agora)\b/i, label: 'tells people to buy or sell' },
+    { regex: /\b(precio objetivo|preço[- ]alvo)\b/i, label: 'gives a price target' }
+];
+
+// Lists the problems in one thread as { tweetIndex, rule, message }.
+// tweetIndex is null for problems with the thread as a whole.
+export function findComplianceViolations(tweets, cryptoData) {
+    const violations = tweets.flatMap(tweet => [
+        ...findUnverifiedFigures(tweet, cryptoData),
+        ...BANNED_PHRASES
+            .map(({ regex, label }) => ({ match: regex.exec(tweet.text), label }))
+            .filter(({ match }) => match)
+            .map(({ match, label }) => ({ tweetIndex: tweet.index, rule: 'banned-phrase', message: `${label} ("${match[0]}")` }))
+    ]);
+    
+    if (tweets.length > 0 && !tweets.some(tweet => DISCLAIMER_REGEX.test(tweet.text))) {
+        violations.push({ tweetIndex: null, rule: 'disclaimer', message: `no disclaimer such as "${DISCLAIMER}"` });
+    }
+    
+    return violations;
+}
+
+// The strings generateThreadContent puts in its re-prompt
+export function describeComplianceViolations(violations) {
+    return violations.map(v => `${v.tweetIndex ? `Tweet ${v.tweetIndex}` : 'Thread'}: ${v.message}`);
+}
+
+// Checks the final thread and appends a missing disclaimer (options.disclaimer,
+// for a thread in another language) when it fits.
+// Returns { tweets, violations, fixes } with the violations left over.
+export function enforceCompliance(tweets, cryptoData, { disclaimer = DISCLAIMER } = {}) {
+    let violations = findComplianceViolations(tweets, cryptoData);
+    const fixes = [];
+    
+    const last = tweets[tweets.length - 1];
+    if (violations.some(v => v.rule === 'disclaimer') && last) {
+        const text = `${last.text} ${disclaimer}`;
+        if (weightedTweetLength(text) <= MAX_TWEET_LENGTH) {
+            tweets = tweets.map(tweet => tweet === last ? { ...tweet, text, charCount: weightedTweetLength(text) } : tweet);
+            violations = violations.filter(v => v.rule !== 'disclaimer');
+            fixes.push(`added "${disclaimer}" to tweet ${last.index}`);
+        }
+    }
+    
+    return { tweets, violations, fixes };
+}
+
+export function formatComplianceReport({ violations, fixes }) {
+    return [
+        violations.length === 0 ? '🛡️ Compliance check passed' : `🛡️ Compliance check found ${violations.length} problem(s):`,
+        ...describeComplianceViolations(violations).map(line => `❌ ${line}`),
+        ...fixes.map(fix => `🔧 ${fix[0].toUpperCase()}${fix.slice(1)}`)
+    ].join('\n');
+}
+
+function findUnverifiedFigures(tweet, cryptoData) {
+    const mentioned = cryptoData.filter(coin => tweet.cashtags?.includes(coin.symbol) || new RegExp(`\\b${escapeRegex(coin.name)}\\b`, 'i').test(tweet.text));
+    const coins = mentioned.length > 0 ? mentioned : cryptoData;
+    const names = coins.length === cryptoData.length ? 'the market data' : coins.map(coin => `$${coin.symbol}`).join(', ');
+    const problems = [];
+    
+    for (const [figure, sign, digits] of tweet.text.matchAll(PERCENT_REGEX)) {
+        const value = parseFloat(digits.replace(',', '.')) * (sign && sign !== '+' ? -1 : 1);
+        const tolerance = 0.5 * 10 ** -decimalPlaces(digits) + 0.05;
+        const matches = coins
+            .flatMap(coin => [coin.priceChange24h, coin.priceChange7d])
+            .filter(known => typeof known === 'number')
+            .some(known => Math.abs((sign ? known : Math.abs(known)) - value) <= tolerance);
+        if (!matches) {
+            problems.push({ tweetIndex: tweet.index, rule: 'unverified-number', message: `${figure.trim()} matches no 24h or 7d change in ${names}` });
+        }
+    }
+    
+    for (const [figure, digits, unit] of tweet.text.matchAll(DOLLAR_REGEX)) {
+        const multiplier = unit ? DOLLAR_UNITS[unit.toLowerCase()] : 1;
+        const value = parseFloat(digits.replace(/,/g, '')) * multiplier;
+        const rounding = 0.5 * 10 ** -decimalPlaces(digits.replace(/,/g, '')) * multiplier;
+        const matches = coins
+            .flatMap(coin => [coin.price, coin.marketCap, coin.volume24h])
+            .filter(known => typeof known === 'number')
+            .some(known => Math.abs(known - value) <= Math.max(rounding, known * PRICE_TOLERANCE));
+        if (!matches) {
+            problems.push({ tweetIndex: tweet.index, rule: 'unverified-number', message: `${figure.trim()} matches no price, market cap or volume in ${names}` });
+        }
+    }
+    
+    return problems;
+}
+
+function decimalPlaces(digits) {
+    return digits.split(/[.,]/)[1]?.length || 0;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
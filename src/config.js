@@ -0,0 +1,356 @@
+import path from 'path';
+import { ALERT_RULES } from './alerts.js';
+import { CARD_LAYOUTS, CARD_THEMES, parseHexColor } from './cards.js';
+import { COMPLIANCE_MODES } from './compliance.js';
+import { DEFAULT_OPENAI_BASE_URL, parseModelChain } from './llm.js';
+import { LOCALES } from './i18n.js';
+import { parseFeedList } from './news.js';
+import { parsePortfolio } from './portfolio.js';
+import { PERSONAS, parseTemplateSpec, loadPromptTemplate } from './prompts.js';
+import { MARKET_DATA_PROVIDERS } from './providers.js';
+import { PUBLISHERS, parseXMediaPlan } from './publishers.js';
+import { parseRenderSizes } from './render.js';
+import { LOG_FORMATS } from './run-report.js';
+import { SCHEDULE_MISSED_POLICIES, parseSchedule } from './scheduler.js';
+import { parseCoinSelection } from './selection.js';
+import { parseWatchlist } from './utils.js';
+import { TELEGRAM_PARSE_MODES } from './telegram-format.js';
+import { THREAD_TONES } from './thread.js';
+
+// Settings
+//
+// Every tunable lives here. Values are resolved in this order, later wins:
+// schema default < config file (crypto-thread.config.json) < env var < CLI flag.
+// Each key's CLI flag is its kebab-case name, e.g. coinLimit -> --coin-limit.
+// Secrets (API keys, tokens, webhooks) stay in env vars only.
+export const CONFIG_SCHEMA = {
+    coinLimit: { type: 'integer', default: 5, min: 1, max: 20, env: 'COIN_LIMIT', description: 'Coins covered per thread' },
+    coinSelection: { type: 'string', default: 'trending', env: 'COIN_SELECTION', validate: parseCoinSelection, description: 'How the coins are picked: trending, watchlist, top, gainers, losers, portfolio, as <strategy>[:category][:count],...' },
+    coinWatchlist: { type: 'string', default: null, env: 'COIN_WATCHLIST', validate: parseWatchlist, description: 'Coins of the watchlist selection (SYMBOL,...)' },
+    portfolio: { type: 'string', default: null, env: 'PORTFOLIO', validate: parsePortfolio, description: 'Weighted model portfolio whose P&L goes into the thread, cards and charts (SYMBOL:weight,...)' },
+    imageCount: { type: 'integer', default: 2, min: 0, max: 10, env: 'IMAGE_COUNT', description: 'Coin image cards per run' },
+    cardLayouts: { type: 'list', values: () => Object.keys(CARD_LAYOUTS), default: ['coin'], env: 'CARD_LAYOUTS', description: 'Image cards per run: coin (imageCount cards), leaderboard, movers, cover, portfolio' },
+    cardTheme: { type: 'enum', values: () => Object.keys(CARD_THEMES), default: 'light', env: 'CARD_THEME', description: 'Image card theme' },
+    brandColor: { type: 'string', default: '#f7931a', env: 'BRAND_COLOR', validate: parseHexColor, description: 'Accent color of the brand card theme (#RRGGBB)' },
+    brandHandle: { type: 'string', default: null, env: 'BRAND_HANDLE', description: 'Handle watermarked on every card, e.g. @crypto_threads' },
+    brandLogo: { type: 'string', default: null, env: 'BRAND_LOGO', description: 'PNG, JPEG or SVG logo watermarked on every card' },
+    coinLogos: { type: 'boolean', default: true, env: 'COIN_LOGOS', description: 'Draw coin logos from the market data provider on the cards' },
+    threadLength: { type: 'integer', default: 6, min: 2, max: 25, env: 'THREAD_LENGTH', description: 'Tweets per thread' },
+    threadMaxAttempts: { type: 'integer', default: 3, min: 1, max: 10, env: 'THREAD_MAX_ATTEMPTS', description: 'Generation attempts before falling back to the template' },
+    threadFormat: { type: 'string', default: 'daily-recap', env: 'THREAD_FORMAT', validate: parseTemplateSpec, description: 'Prompt template: <format> for the newest version or <format>@v<N>' },
+    persona: { type: 'enum', values: () => Object.keys(PERSONAS), default: null, env: 'THREAD_PERSONA', description: 'Voice the thread is written in' },
+    tone: { type: 'enum', values: () => THREAD_TONES, default: null, env: 'THREAD_TONE', description: 'Tone of the thread' },
+    locales: { type: 'list', values: () => Object.keys(LOCALES), default: ['en'], env: 'LOCALES', description: 'Languages the thread is written in (en, es, pt); the first goes to every channel, each other one to TELEGRAM_CHAT_ID_<LANG>' },
+    promptsDir: { type: 'string', default: null, env: 'PROMPTS_DIR', description: 'Directory with <format>.v<N>.txt prompt templates (default: the bundled ones)' },
+    complianceMode: { type: 'enum', values: () => COMPLIANCE_MODES, default: 'block', env: 'COMPLIANCE_MODE', description: 'What to do with a thread that fails the fact and compliance check (block, warn, off)' },
+    llmModels: { type: 'string', default: 'gemini:gemini-2.0-flash,gemini:gemini-2.0-flash-lite', env: 'LLM_MODELS', validate: parseModelChain, description: 'LLM models tried in order (provider:model,...; providers gemini, openai, stub)' },
+    llmMaxRetries: { type: 'integer', default: 3, min: 0, max: 10, env: 'LLM_MAX_RETRIES', description: 'Retries per model on rate limits, server errors and timeouts' },
+    llmRetryDelayMs: { type: 'integer', default: 2000, min: 0, max: 60000, env: 'LLM_RETRY_DELAY_MS', description: 'First retry delay, doubled on every further retry' },
+    llmTimeoutMs: { type: 'integer', default: 60000, min: 1000, max: 600000, env: 'LLM_TIMEOUT_MS', description: 'Timeout of one LLM request' },
+    openaiBaseUrl: { type: 'string', default: DEFAULT_OPENAI_BASE_URL, env: 'OPENAI_BASE_URL', description: 'Base URL of the OpenAI-compatible API (e.g. http://localhost:11434/v1 for Ollama)' },
+    sendDelayMs: { type: 'integer', default: 0, min: 0, max: 60000, env: 'SEND_DELAY_MS', description: 'Extra pause between Telegram uploads (429 retry_after is always honored)' },
+    telegramParseMode: { type: 'enum', values: () => TELEGRAM_PARSE_MODES, default: 'HTML', env: 'TELEGRAM_PARSE_MODE', description: 'Telegram parse_mode' },
+    telegramSendSvg: { type: 'boolean', default: false, env: 'TELEGRAM_SEND_SVG', description: 'Also send SVG sources to Telegram' },
+    marketDataProviders: { type: 'list', values: () => Object.keys(MARKET_DATA_PROVIDERS), default: ['coingecko', 'binance'], env: 'MARKET_DATA_PROVIDERS', description: 'Market data providers in priority order' },
+    marketDataFixtures: { type: 'string', default: null, env: 'MARKET_DATA_FIXTURES', description: 'Replay recorded market data from this directory' },
+    marketDataRecord: { type: 'string', default: null, env: 'MARKET_DATA_RECORD', description: 'Record market data responses to this directory' },
+    allowSampleData: { type: 'boolean', default: false, env: 'ALLOW_SAMPLE_DATA', description: 'Publish built-in sample data when every provider fails' },
+    newsFeeds: { type: 'string', default: null, env: 'NEWS_FEEDS', validate: parseFeedList, description: 'RSS/Atom feeds whose headlines about the coins go into the prompt (URL,...)' },
+    newsMaxHeadlines: { type: 'integer', default: 6, min: 0, max: 30, env: 'NEWS_MAX_HEADLINES', description: 'Headlines in the prompt, at most 3 per coin' },
+    newsMaxAgeHours: { type: 'integer', default: 48, min: 1, max: 720, env: 'NEWS_MAX_AGE_HOURS', description: 'Ignore headlines older than this' },
+    coinProfiles: { type: 'boolean', default: true, env: 'COIN_PROFILES', description: 'Give the model each coin\'s CoinGecko description and categories' },
+    threadSourceLinks: { type: 'boolean', default: false, env: 'THREAD_SOURCE_LINKS', description: 'Let the thread link the headlines it cites' },
+    publishChannels: { type: 'list', values: () => Object.keys(PUBLISHERS), default: ['telegram'], env: 'PUBLISH_CHANNELS', description: 'Channels to publish to' },
+    xMediaTweets: { type: 'string', default: '1:images,2:charts', env: 'X_MEDIA_TWEETS', validate: parseXMediaPlan, description: 'Which tweet gets which visuals on X (<tweet>:images|charts,...), at most 4 each' },
+    renderSizes: { type: 'string', default: 'x-card:1200x675,square:1080x1080', env: 'RENDER_SIZES', validate: parseRenderSizes, description: 'PNG render sizes (name:WIDTHxHEIGHT,...)' },
+    requireApproval: { type: 'boolean', default: false, env: 'REQUIRE_APPROVAL', description: 'Hold publishing until the thread is approved in Telegram' },
+    approvalTimeoutMinutes: { type: 'integer', default: 60, min: 1, max: 1440, env: 'APPROVAL_TIMEOUT_MINUTES', description: 'How long to wait for an approval decision' },
+    botRateLimit: { type: 'integer', default: 3, min: 1, max: 100, env: 'BOT_RATE_LIMIT', description: 'Bot commands each user may send per rate window' },
+    botRateWindowMinutes: { type: 'integer', default: 10, min: 1, max: 1440, env: 'BOT_RATE_WINDOW_MINUTES', description: 'Length of the bot rate-limit window' },
+    alertWatchlist: { type: 'string', default: 'BTC,ETH,SOL', env: 'ALERT_WATCHLIST', validate: parseWatchlist, description: 'Coins the alerts command watches (SYMBOL,...)' },
+    alertRules: { type: 'list', values: () => Object.keys(ALERT_RULES), default: Object.keys(ALERT_RULES), env: 'ALERT_RULES', description: 'Alert rules: move, all-time-high, trending, volume' },
+    alertMovePercent: { type: 'number', default: 5, min: 0, max: 100, env: 'ALERT_MOVE_PERCENT', description: 'Price move that fires a move alert' },
+    alertVolumeSpikePercent: { type: 'integer', default: 50, min: 1, max: 1000, env: 'ALERT_VOLUME_SPIKE_PERCENT', description: '24h volume growth that fires a volume alert' },
+    alertWindowMinutes: { type: 'integer', default: 60, min: 5, max: 1440, env: 'ALERT_WINDOW_MINUTES', description: 'Window the move and volume rules compare against' },
+    alertCooldownMinutes: { type: 'integer', default: 240, min: 0, max: 10080, env: 'ALERT_COOLDOWN_MINUTES', description: 'How long the same alert stays quiet after it fired' },
+    alertPollMinutes: { type: 'integer', default: 5, min: 1, max: 1440, env: 'ALERT_POLL_MINUTES', description: 'Time between alert polls' },
+    alertTweetDraft: { type: 'boolean', default: false, env: 'ALERT_TWEET_DRAFT', description: 'Add a quick tweet draft to every alert' },
+    alertStateFile: { type: 'string', default: './cache/alert-state.json', env: 'ALERT_STATE_FILE', description: 'Price samples and cooldowns of the alerts command' },
+    schedule: { type: 'string', default: null, env: 'SCHEDULE', validate: parseSchedule, description: 'Slots for the schedule and tick commands: [days] HH:MM <time zone> <format>; ...' },
+    scheduleMissed: { type: 'enum', values: () => SCHEDULE_MISSED_POLICIES, default: 'catch-up', env: 'SCHEDULE_MISSED', description: 'What to do with a slot missed by more than scheduleGraceMinutes (catch-up, skip)' },
+    scheduleGraceMinutes: { type: 'integer', default: 30, min: 0, max: 1440, env: 'SCHEDULE_GRACE_MINUTES', description: 'How late a slot may start and still count as on time' },
+    scheduleStateFile: { type: 'string', default: './run-history/schedule.json', env: 'SCHEDULE_STATE_FILE', description: 'Schedule queue and the last tick' },
+    queueDir: { type: 'string', default: './queue', env: 'QUEUE_DIR', description: 'Where scheduled packages wait to be published, one work directory each' },
+    dryRun: { type: 'boolean', default: false, env: 'DRY_RUN', description: 'Run everything but send nothing; write an HTML preview' },
+    imagesDir: { type: 'string', default: './generated-images', env: 'IMAGES_DIR', description: 'Output directory for image cards' },
+    chartsDir: { type: 'string', default: './generated-charts', env: 'CHARTS_DIR', description: 'Output directory for charts' },
+    logoCacheDir: { type: 'string', default: './cache/coin-logos', env: 'LOGO_CACHE_DIR', description: 'Where downloaded coin logos are kept' },
+    draftsDir: { type: 'string', default: './generated-drafts', env: 'X_DRAFT_DIR', description: 'Output directory for X drafts' },
+    previewDir: { type: 'string', default: './generated-preview', env: 'PREVIEW_DIR', description: 'Output directory for dry-run previews' },
+    workDir: { type: 'string', default: './work', env: 'WORK_DIR', description: 'Where stages save and read their intermediate JSON' },
+    runHistoryFile: { type: 'string', default: './run-history/runs.jsonl', env: 'RUN_HISTORY_FILE', description: 'Run history (JSON lines)' },
+    logFormat: { type: 'enum', values: () => LOG_FORMATS, default: 'text', env: 'LOG_FORMAT', description: 'Console output: text lines, or JSON lines with the run id and stage (json)' },
+    healthSummary: { type: 'boolean', default: true, env: 'HEALTH_SUMMARY', description: 'Send a health summary to Telegram after the run and publish commands (failures always get one)' }
+};
+
+const CLI_COMMANDS = {
+    fetch: 'Fetch market data and news context and save them to <workDir>/market-data.json',
+    generate: 'Generate the thread from saved market data into <workDir>/thread.json',
+    render: 'Render images and charts from saved market data into <workDir>/visuals.json',
+    review: 'Send the saved thread to Telegram for approval and wait for a decision (<workDir>/approval.json)',
+    publish: 'Publish the saved (or, with requireApproval, the approved) thread and visuals to every enabled channel',
+    run: 'All of the above in one go (default)',
+    bot: 'Answer /thread, /coin, /chart and /status in the Telegram chat until stopped',
+    alerts: 'Watch alertWatchlist and send price alerts to the Telegram chat until stopped',
+    schedule: 'Publish each schedule slot when it is due until stopped',
+    tick: 'Publish the schedule slots that are due and retry the queue, then exit (for cron)'
+};
+
+const WORK_FILES = {
+    marketData: 'market-data.json',
+    thread: 'thread.json',
+    visuals: 'visuals.json',
+    approval: 'approval.json',
+    runReport: 'run-report.json'
+};
+
+const DEFAULT_CONFIG_FILE = './crypto-thread.config.json';
+
+function toKebabCase(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+export function formatUsage() {
+    const commands = Object.entries(CLI_COMMANDS).map(([name, description]) => `  ${name.padEnd(10)} ${description}`);
+    const options = Object.entries(CONFIG_SCHEMA).map(([key, spec]) => {
+        const flag = spec.type === 'boolean' ? `--${toKebabCase(key)}` : `--${toKebabCase(key)} <${spec.type}>`;
+        return `  ${flag.padEnd(34)} ${spec.description} (env ${spec.env})`;
+    });
+    
+    return `Usage: node automation.js [command] [options]
+
+Commands:
+${commands.join('\n')}
+
+Options:
+  --config <path>                    Config file (default ${DEFAULT_CONFIG_FILE}, env CONFIG_FILE)
+  --help                             Show this help
+${options.join('\n')}`;
+}
+
+// Turns one raw value (JSON value, env string or flag string) into the
+// schema type, or returns an error message
+function coerceSetting(key, spec, raw, origin) {
+    const fail = message => ({ error: `${key} (from ${origin}): ${message}` });
+    
+    if (raw === null && spec.default === null) {
+        return { value: null };
+    }
+    
+    switch (spec.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(value)) {
+                return fail(`expected a whole number, got "${raw}"`);
+            }
+            if (value < spec.min || value > spec.max) {
+                return fail(`must be between ${spec.min} and ${spec.max}, got ${value}`);
+            }
+            return { value };
+        }
+        // Any decimal above min (exclusive) up to max, e.g. 2.5 for a percentage
+        case 'number': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isFinite(value) || String(raw).trim() === '') {
+                return fail(`expected a number, got "${raw}"`);
+            }
+            if (value <= spec.min || value > spec.max) {
+                return fail(`must be above ${spec.min} and at most ${spec.max}, got ${value}`);
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') {
+                return { value: raw };
+            }
+            const text = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(text)) return { value: true };
+            if (['false', '0', 'no', ''].includes(text)) return { value: false };
+            return fail(`expected true or false, got "${raw}"`);
+        }
+        case 'enum': {
+            const allowed = spec.values();
+            if (!allowed.includes(raw)) {
+                return fail(`must be one of ${allowed.join(', ')}, got "${raw}"`);
+            }
+            return { value: raw };
+        }
+        case 'list': {
+            const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+                .map(item => String(item).trim().toLowerCase())
+                .filter(Boolean);
+            const allowed = spec.values();
+            const unknown = items.filter(item => !allowed.includes(item));
+            if (unknown.length > 0) {
+                return fail(`unknown value(s) ${unknown.join(', ')} (available: ${allowed.join(', ')})`);
+            }
+            if (items.length === 0) {
+                return fail('must list at least one value');
+            }
+            return { value: items };
+        }
+        case 'string': {
+            if (typeof raw !== 'string' || raw.trim() === '') {
+                return fail(`expected a non-empty string, got ${JSON.stringify(raw)}`);
+            }
+            if (spec.validate) {
+                try {
+                    spec.validate(raw);
+                } catch (error) {
+                    return fail(error.message);
+                }
+            }
+            return { value: raw };
+        }
+        default:
+            return fail(`unsupported setting type ${spec.type}`);
+    }
+}
+
+// Parses argv + env + config file into { command, config }. Collects every
+// problem and throws them together so a bad setup is fixed in one go.
+export function loadConfig(argv, env, deps) {
+    const errors = [];
+    const flags = {};
+    const positional = [];
+    let configFile = env.CONFIG_FILE || null;
+    let help = false;
+    
+    const flagKeys = Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(key => [`--${toKebabCase(key)}`, key]));
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+        
+        if (!name.startsWith('--')) {
+            positional.push(arg);
+        } else if (name === '--help') {
+            help = true;
+        } else if (name === '--config') {
+            configFile = inlineValue ?? argv[++i];
+        } else if (flagKeys[name]) {
+            const key = flagKeys[name];
+            if (CONFIG_SCHEMA[key].type === 'boolean' && inlineValue === undefined) {
+                flags[key] = 'true';
+            } else {
+                flags[key] = inlineValue ?? argv[++i];
+                if (flags[key] === undefined) {
+                    errors.push(`${name} needs a value`);
+                }
+            }
+        } else {
+            errors.push(`Unknown option ${name}`);
+        }
+    }
+    
+    const command = positional[0] || 'run';
+    if (!CLI_COMMANDS[command]) {
+        errors.push(`Unknown command "${command}" (available: ${Object.keys(CLI_COMMANDS).join(', ')})`);
+    }
+    if (positional.length > 1) {
+        errors.push(`Unexpected argument(s): ${positional.slice(1).join(' ')}`);
+    }
+    
+    let fileSettings = {};
+    const filePath = configFile || DEFAULT_CONFIG_FILE;
+    if (deps.fs.existsSync(filePath)) {
+        try {
+            fileSettings = JSON.parse(deps.fs.readFileSync(filePath, 'utf8'));
+            Object.keys(fileSettings)
+                .filter(key => key !== '$comment' && !CONFIG_SCHEMA[key])
+                .forEach(key => errors.push(`Unknown setting "${key}" in ${filePath}`));
+        } catch (error) {
+            errors.push(`Could not read config file ${filePath}: ${error.message}`);
+        }
+    } else if (configFile) {
+        errors.push(`Config file ${configFile} does not exist`);
+    }
+    
+    const config = {};
+    Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+        const sources = [
+            [flags[key], `--${toKebabCase(key)}`],
+            [env[spec.env] === '' ? undefined : env[spec.env], `env ${spec.env}`],
+            [fileSettings[key], filePath]
+        ];
+        const [raw, origin] = sources.find(([value]) => value !== undefined) || [spec.default, 'default'];
+        
+        const { value, error } = coerceSetting(key, spec, raw, origin);
+        if (error) {
+            errors.push(error);
+        }
+        config[key] = value;
+    });
+    
+    if (config.marketDataFixtures && config.marketDataRecord) {
+        errors.push('marketDataFixtures and marketDataRecord can\'t both be set');
+    }
+    
+    // The format syntax is checked above; this checks the template file exists
+    if (config.threadFormat) {
+        try {
+            loadPromptTemplate(config.threadFormat, config.promptsDir, deps);
+        } catch (error) {
+            errors.push(`threadFormat: ${error.message}`);
+        }
+    }
+    
+    if (config.schedule) {
+        try {
+            parseSchedule(config.schedule).forEach(slot => loadPromptTemplate(slot.format, config.promptsDir, deps));
+        } catch (error) {
+            errors.push(`schedule: ${error.message}`);
+        }
+    }
+    
+    // watchlist and portfolio take their coins from other settings
+    const strategies = config.coinSelection ? parseCoinSelection(config.coinSelection).map(part => part.strategy) : [];
+    if (strategies.includes('watchlist') && !config.coinWatchlist) {
+        errors.push('coinSelection: watchlist needs coinWatchlist, e.g. BTC,ETH,SOL');
+    }
+    if (strategies.includes('portfolio') && !config.portfolio) {
+        errors.push('coinSelection: portfolio needs the portfolio setting, e.g. BTC:50,ETH:30,SOL:20');
+    }
+    
+    const repeatedLocales = (config.locales || []).filter((locale, i) => config.locales.indexOf(locale) !== i);
+    if (repeatedLocales.length > 0) {
+        errors.push(`locales: ${repeatedLocales.join(', ')} listed more than once`);
+    }
+    
+    if (config.brandLogo && !deps.fs.existsSync(config.brandLogo)) {
+        errors.push(`brandLogo: ${config.brandLogo} does not exist`);
+    }
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}\n\nRun with --help for the available commands and options.`);
+    }
+    
+    return { command, config, help };
+}
+
+export function writeWorkFile(config, name, data, deps) {
+    if (!deps.fs.existsSync(config.workDir)) {
+        deps.fs.mkdirSync(config.workDir, { recursive: true });
+    }
+    const filePath = path.join(config.workDir, WORK_FILES[name]);
+    deps.fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    console.log(`💾 Saved ${filePath}`);
+}
+
+export function readWorkFile(config, name, producedBy, deps) {
+    const filePath = path.join(config.workDir, WORK_FILES[name]);
+    if (!deps.fs.existsSync(filePath)) {
+        throw new Error(`${filePath} not found, run \`node automation.js ${producedBy}\` first`);
+    }
+    return JSON.parse(deps.fs.readFileSync(filePath, 'utf8'));
+}
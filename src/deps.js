@@ -0,0 +1,20 @@
+import fs from 'fs';
+import { getFetch, sleep } from './utils.js';
+
+// Everything the pipeline needs from the outside world. Tests swap these for
+// recorded fixtures, a local stub server, a fixed clock or a fake Gemini client.
+export function createDeps(overrides = {}) {
+    return {
+        fetch: async (url, options) => (await getFetch())(url, options),
+        fs,
+        now: () => new Date(),
+        sleep,
+        telegramApiBase: 'https://api.telegram.org',
+        xApiBase: 'https://api.x.com',
+        async createGeminiClient(apiKey) {
+            const { GoogleGenerativeAI } = await import('@google/generative-ai');
+            return new GoogleGenerativeAI(apiKey);
+        },
+        ...overrides
+    };
+}
@@ -0,0 +1,48 @@
+import path from 'path';
+
+// Recorded fixtures: one JSON file per URL holding { status, body }
+export function fixtureFileName(url) {
+    return `${url.replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/gi, '_').replace(/_+$/, '')}.json`;
+}
+
+export function createFixtureFetch(fixturesDir, fs) {
+    return async url => {
+        const filePath = path.join(fixturesDir, fixtureFileName(url));
+        if (!fs.existsSync(filePath)) {
+            return { ok: false, status: 404, json: async () => ({}), text: async () => `No fixture for ${url}` };
+        }
+        const { status = 200, body } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            json: async () => body,
+            // Feeds are recorded as the XML string
+            text: async () => typeof body === 'string' ? body : JSON.stringify(body)
+        };
+    };
+}
+
+export function createRecordingFetch(fetch, fixturesDir, fs) {
+    if (!fs.existsSync(fixturesDir)) {
+        fs.mkdirSync(fixturesDir, { recursive: true });
+    }
+    
+    return async (url, options) => {
+        const response = await fetch(url, options);
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            body = text;
+        }
+        fs.writeFileSync(path.join(fixturesDir, fixtureFileName(url)), JSON.stringify({ status: response.status, body }, null, 2));
+        
+        return {
+            ok: response.ok,
+            status: response.status,
+            json: async () => body,
+            text: async () => text
+        };
+    };
+}
@@ -0,0 +1,62 @@
+import { describeRunComparison } from './history.js';
+import { createI18n } from './i18n.js';
+import { hasKnownChange, formatChange, describeDataSources } from './provenance.js';
+import { formatThreadText } from './thread.js';
+import { telegramMarkup } from './telegram-format.js';
+
+// Channel-neutral market summary lines (no markup), shared by every publisher.
+// options.i18n (see src/i18n.js) picks the language, English by default.
+export function buildMarketSummary(cryptoData, comparison = null, { i18n = createI18n() } = {}) {
+    const lines = [];
+    const coin = project => `${project.name} (${project.symbol})`;
+    
+    // Only coins with a real or derived 24h change can be ranked
+    const known = cryptoData.filter(hasKnownChange);
+    if (known.length > 0) {
+        const topGainer = known.reduce((max, p) => p.priceChange24h > max.priceChange24h ? p : max, known[0]);
+        const topLoser = known.reduce((min, p) => p.priceChange24h < min.priceChange24h ? p : min, known[0]);
+        lines.push(i18n.t('summary.topGainer', { coin: coin(topGainer), change: formatChange(topGainer, { i18n }) }));
+        lines.push(i18n.t('summary.biggestMove', { coin: coin(topLoser), change: formatChange(topLoser, { i18n }) }));
+    } else {
+        lines.push(i18n.t('summary.noChanges'));
+    }
+    
+    const fetchedAt = cryptoData.map(p => p.provenance?.priceChange24h?.fetchedAt).filter(Boolean).sort()[0];
+    lines.push(`📡 ${describeDataSources(cryptoData, { i18n })}${fetchedAt ? i18n.t('summary.fetchedAt', { time: fetchedAt.slice(0, 16).replace('T', ' ') }) : ''}`);
+    
+    const disputed = cryptoData.filter(p => p.discrepancies?.length);
+    if (disputed.length > 0) {
+        lines.push(i18n.t('summary.disputed', { coins: disputed.map(p => `${p.symbol} ${[...new Set(p.discrepancies.map(d => `${d.field} (${d.source})`))].join(', ')}`).join('; ') }));
+    }
+    
+    lines.push(...describeRunComparison(cryptoData, comparison, { i18n }));
+    
+    return lines;
+}
+
+// The Telegram post as separate blocks (header, one per tweet, summary, footer)
+// so a long post can be split without cutting a tweet in half. Dynamic text is
+// escaped for the parse mode.
+export function buildMainMessageBlocks(tweets, cryptoData, comparison = null, parseMode = 'HTML', notices = [], { i18n = createI18n() } = {}) {
+    const { escape, bold } = telegramMarkup(parseMode);
+    
+    return [
+        `🧵 ${bold(i18n.t('message.title'))}`,
+        ...notices.map(notice => bold(notice)),
+        ...tweets.map(tweet => escape(formatThreadText([tweet]))),
+        `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+📊 ${bold(i18n.t('message.summary'))}
+${buildMarketSummary(cryptoData, comparison, { i18n }).map(escape).join('\n')}`,
+        `✨ ${bold(i18n.t('message.includes'))}
+🧵 ${escape(i18n.t('message.thread', { count: tweets.length }))}
+🎨 ${escape(i18n.t('message.cards'))}
+📈 ${escape(i18n.t('message.charts'))}`,
+        `💡 ${bold(i18n.t('message.tip'))} ${escape(i18n.t('message.tipText'))}`,
+        `🚀 ${bold(i18n.t('message.closing'))} 📱`
+    ];
+}
+
+export function formatMainMessage(tweets, cryptoData, comparison = null, parseMode = 'HTML', notices = [], options = {}) {
+    return buildMainMessageBlocks(tweets, cryptoData, comparison, parseMode, notices, options).join('\n\n');
+}
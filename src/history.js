@@ -0,0 +1,156 @@
+import path from 'path';
+import { createI18n } from './i18n.js';
+
+// Run history
+//
+// One JSON object per line in the runHistoryFile setting, appended at the end of every
+// run, successful or not:
+//   { runId, startedAt, finishedAt, status, coins, generation, llmUsage, tweets, compliance, artifacts, publishResults, error }
+
+const PUBLISHED_RUN_STATUSES = ['success', 'partial'];
+const RECENT_PHRASING_DAYS = 7;
+const PHRASING_SIMILARITY_LIMIT = 0.6; // Jaccard overlap of word sets
+
+export function loadRunHistory(filePath, deps) {
+    if (!deps.fs.existsSync(filePath)) {
+        return [];
+    }
+    
+    return deps.fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .flatMap((line, i) => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                console.warn(`⚠️ Skipping unreadable run history line ${i + 1}`);
+                return [];
+            }
+        });
+}
+
+export function appendRunHistory(run, filePath, deps) {
+    const dir = path.dirname(filePath);
+    if (!deps.fs.existsSync(dir)) {
+        deps.fs.mkdirSync(dir, { recursive: true });
+    }
+    deps.fs.appendFileSync(filePath, JSON.stringify(run) + '\n');
+    console.log(`🗂️ Recorded run ${run.runId} (${run.status}) in ${filePath}`);
+}
+
+function coinKey(coin) {
+    return coin.id || coin.symbol;
+}
+
+// Latest published run for each UTC day, newest first
+function publishedRunsByDay(runs) {
+    const byDay = new Map();
+    runs
+        .filter(run => PUBLISHED_RUN_STATUSES.includes(run.status) && run.coins?.length)
+        .forEach(run => {
+            const day = run.startedAt.slice(0, 10);
+            if (!byDay.has(day) || byDay.get(day).startedAt < run.startedAt) {
+                byDay.set(day, run);
+            }
+        });
+    return [...byDay.entries()].sort(([a], [b]) => b.localeCompare(a));
+}
+
+// Compares today's coins with earlier days: trending streaks, new entrants,
+// drop-outs and rank moves relative to the most recent previous day
+export function buildRunComparison(cryptoData, runs, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const previousDays = publishedRunsByDay(runs).filter(([day]) => day < today);
+    const previousRun = previousDays[0]?.[1];
+    
+    const comparison = {
+        previousRunDate: previousDays[0]?.[0] || null,
+        coins: {},
+        newEntrants: [],
+        dropOuts: []
+    };
+    if (!previousRun) {
+        return comparison;
+    }
+    
+    const dayMs = 24 * 60 * 60 * 1000;
+    const coinsByDay = new Map(previousDays.map(([day, run]) => [day, new Set(run.coins.map(coinKey))]));
+    
+    cryptoData.forEach(coin => {
+        const key = coinKey(coin);
+        
+        let streakDays = 1;
+        for (let day = new Date(Date.parse(today) - dayMs); coinsByDay.get(day.toISOString().slice(0, 10))?.has(key); day = new Date(day - dayMs)) {
+            streakDays++;
+        }
+        
+        const previous = previousRun.coins.find(c => coinKey(c) === key);
+        comparison.coins[key] = {
+            streakDays,
+            isNew: !previous,
+            previousRank: previous?.rank ?? null,
+            rankChange: previous && coin.rank ? previous.rank - coin.rank : null
+        };
+        if (!previous) {
+            comparison.newEntrants.push(coin.symbol);
+        }
+    });
+    
+    const todayKeys = new Set(cryptoData.map(coinKey));
+    comparison.dropOuts = previousRun.coins.filter(c => !todayKeys.has(coinKey(c))).map(c => c.symbol);
+    
+    return comparison;
+}
+
+export function describeRunComparison(cryptoData, comparison, { i18n = createI18n() } = {}) {
+    if (!comparison?.previousRunDate) {
+        return [];
+    }
+    
+    const lines = [];
+    const stats = coin => comparison.coins[coinKey(coin)] || {};
+    
+    const streaks = cryptoData.filter(coin => stats(coin).streakDays > 1);
+    if (streaks.length > 0) {
+        lines.push(i18n.t('comparison.streaks', { coins: streaks.map(coin => i18n.t('comparison.streak', { symbol: coin.symbol, days: stats(coin).streakDays })).join(', ') }));
+    }
+    if (comparison.newEntrants.length > 0) {
+        lines.push(i18n.t('comparison.newEntrants', { coins: comparison.newEntrants.join(', ') }));
+    }
+    if (comparison.dropOuts.length > 0) {
+        lines.push(i18n.t('comparison.dropOuts', { date: comparison.previousRunDate, coins: comparison.dropOuts.join(', ') }));
+    }
+    
+    const movers = cryptoData.filter(coin => stats(coin).rankChange);
+    if (movers.length > 0) {
+        lines.push(i18n.t('comparison.rankMoves', { coins: movers.map(coin => `${coin.symbol} ${stats(coin).rankChange > 0 ? '▲' : '▼'}${Math.abs(stats(coin).rankChange)} (#${stats(coin).previousRank} → #${coin.rank})`).join(', ') }));
+    }
+    
+    return lines;
+}
+
+// Tweets from runs that were actually published in the last `days` days
+export function recentPublishedTweets(runs, now = new Date(), days = RECENT_PHRASING_DAYS) {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    return runs
+        .filter(run => PUBLISHED_RUN_STATUSES.includes(run.status) && run.startedAt >= cutoff)
+        .flatMap(run => run.tweets || []);
+}
+
+function wordSet(text) {
+    return new Set(text.toLowerCase().replace(/https?:\/\/\S+/g, '').match(/[\p{L}\p{N}$#']+/gu) || []);
+}
+
+// Flags tweets that mostly repeat something we already published recently
+export function findReusedPhrasing(tweets, recentTweets) {
+    const recentSets = recentTweets.map(tweet => wordSet(tweet.text)).filter(set => set.size > 0);
+    
+    return tweets.flatMap(tweet => {
+        const words = wordSet(tweet.text);
+        const reused = recentSets.some(recent => {
+            const shared = [...words].filter(word => recent.has(word)).length;
+            return shared / (words.size + recent.size - shared) >= PHRASING_SIMILARITY_LIMIT;
+        });
+        return reused ? [`Tweet ${tweet.index} reuses wording from a thread published in the last ${RECENT_PHRASING_DAYS} days`] : [];
+    });
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+
+// Localization
+//
+// The locales setting lists the languages a run is written in, the first one
+// being the main edition. Every reader-facing string of the Telegram post, the
+// cards and the charts comes from the message catalog locales/<locale>.json
+// ({name} placeholders, a key a catalog lacks falls back to English), and
+// numbers, prices and dates go through Intl with the locale's region. Dates are
+// in UTC so every runner prints the same day. The figures in the prompt stay
+// in the English format the fact check reads.
+
+export const LOCALES = {
+    en: { language: 'English', intl: 'en-US', titleCase: true },
+    es: { language: 'Spanish', intl: 'es-ES', titleCase: false },
+    pt: { language: 'Portuguese', intl: 'pt-BR', titleCase: false }
+};
+
+const catalogs = {};
+const instances = {};
+
+function loadCatalog(locale) {
+    catalogs[locale] ||= JSON.parse(readFileSync(new URL(`../locales/${locale}.json`, import.meta.url), 'utf8'));
+    return catalogs[locale];
+}
+
+// One shared instance per locale; createI18n() is English
+export function createI18n(locale = 'en') {
+    if (!LOCALES[locale]) {
+        throw new Error(`Unknown locale "${locale}" (available: ${Object.keys(LOCALES).join(', ')})`);
+    }
+    instances[locale] ||= buildI18n(locale);
+    return instances[locale];
+}
+
+function buildI18n(locale) {
+    const { language, intl, titleCase } = LOCALES[locale];
+    const messages = { ...loadCatalog('en'), ...loadCatalog(locale) };
+    const numberFormats = {};
+    const dateFormat = new Intl.DateTimeFormat(intl, { timeZone: 'UTC' });
+    const dayFormat = new Intl.DateTimeFormat(intl, { timeZone: 'UTC', month: 'numeric', day: 'numeric' });
+    
+    const formatNumber = (value, options) => {
+        const key = JSON.stringify(options);
+        numberFormats[key] ||= new Intl.NumberFormat(intl, options);
+        return numberFormats[key].format(value);
+    };
+    // "+3.2", "-1.4" without grouping, so a percentage reads like toFixed in English
+    const signed = (value, digits) => `${value > 0 ? '+' : ''}${formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false })}`;
+    
+    const t = (key, values = {}) => {
+        if (!Object.hasOwn(messages, key)) {
+            throw new Error(`No message "${key}" in the ${locale} catalog`);
+        }
+        return messages[key].replace(/\{(\w+)\}/g, (placeholder, name) => Object.hasOwn(values, name) ? String(values[name]) : placeholder);
+    };
+    
+    return {
+        locale,
+        language,
+        t,
+        // 67,250.12 / 67.250,12
+        number: (value, digits = 0) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits }),
+        // "+3.2%" / "+3,2 %", "n/a" without a value
+        percent: value => typeof value === 'number' ? t('format.percent', { value: signed(value, 1) }) : t('format.unknown'),
+        // "+1.2 pts" for percentage points
+        points: value => typeof value === 'number' ? t('format.points', { value: signed(value, 1) }) : t('format.unknown'),
+        // "50%" for a share such as a portfolio weight (0.5)
+        share: fraction => t('format.percent', { value: formatNumber(Math.round(fraction * 100), { maximumFractionDigits: 0 }) }),
+        // "$67,250.12", "$0.00001123"
+        price: value => {
+            if (typeof value !== 'number') {
+                return t('format.unknown');
+            }
+            return value >= 1
+                ? `$${formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+                : `$${formatNumber(value, { maximumSignificantDigits: 4 })}`;
+        },
+        // "10/19/2026" / "19/10/2026"
+        date: date => dateFormat.format(date),
+        // "10/19" / "19/10" for chart axes
+        day: date => dayFormat.format(date),
+        // "a, b and c"
+        list: items => items.length > 1 ? `${items.slice(0, -1).join(', ')} ${t('format.and')} ${items.at(-1)}` : items[0] || '',
+        // Title Case for English headings, with "and" kept lower case; other languages keep the text
+        title: text => titleCase
+            ? text.split(' ').map(word => word === t('format.and') || !word ? word : `${word[0].toUpperCase()}${word.slice(1)}`).join(' ')
+            : text
+    };
+}
@@ -0,0 +1,103 @@
+import path from 'path';
+import { CARD_LAYOUTS, buildCard, describeTrend, resolveCardTheme } from './cards.js';
+import { createI18n } from './i18n.js';
+
+const IMAGE_MIME_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
+
+// Draws the cardLayouts cards (see src/cards.js): imageCount coin cards for
+// "coin", one card for each of the other layouts, in the configured order.
+// The portfolio card needs the fetchPortfolio P&L in options.portfolio, and
+// options.locale picks the cards' language (default: the first of locales).
+export async function generateCryptoImages(cryptoData, config, deps, { portfolio = null, locale = config.locales[0] } = {}) {
+    console.log('🎨 Creating crypto-themed images...');
+    
+    const images = [];
+    const now = deps.now();
+    
+    // Create images directory
+    const { imagesDir } = config;
+    if (!deps.fs.existsSync(imagesDir)) {
+        deps.fs.mkdirSync(imagesDir, { recursive: true });
+    }
+    
+    const context = {
+        theme: resolveCardTheme(config),
+        now,
+        handle: config.brandHandle,
+        logo: config.brandLogo ? readImageDataUri(config.brandLogo, deps) : null,
+        coinLogos: config.coinLogos ? await loadCoinLogos(cryptoData, config, deps) : {},
+        portfolio,
+        i18n: createI18n(locale)
+    };
+    
+    for (const layout of config.cardLayouts) {
+        if (layout === 'coin') {
+            // Only for coins we actually have
+            cryptoData.slice(0, config.imageCount).forEach((project, i) => {
+                const fileName = `crypto-${project.symbol.toLowerCase()}-${now.getTime()}-${i + 1}.svg`;
+                images.push({
+                    ...writeCard(layout, [project], fileName, context, config, deps),
+                    project: project.name,
+                    symbol: project.symbol,
+                    trend: describeTrend(project)
+                });
+            });
+        } else if (layout === 'portfolio' && !portfolio) {
+            console.warn('⚠️ No portfolio configured, skipping the portfolio card');
+        } else if (cryptoData.length > 0) {
+            images.push(writeCard(layout, cryptoData, `card-${layout}-${now.getTime()}.svg`, context, config, deps));
+        }
+    }
+    
+    return images;
+}
+
+function writeCard(layout, coins, fileName, context, config, deps) {
+    const filePath = path.join(config.imagesDir, fileName);
+    deps.fs.writeFileSync(filePath, buildCard(layout, coins, context));
+    console.log(`✅ Generated ${layout} card: ${fileName}`);
+    
+    return {
+        fileName,
+        filePath,
+        description: CARD_LAYOUTS[layout].describe(coins, context),
+        type: `${layout}-card`
+    };
+}
+
+// Coin logos from the provider's image URLs, kept in logoCacheDir so each is
+// downloaded once. A logo that can't be fetched just leaves the ticker badge.
+async function loadCoinLogos(cryptoData, config, deps) {
+    const logos = {};
+    
+    for (const project of cryptoData.filter(p => p.imageUrl)) {
+        try {
+            const extension = path.extname(new URL(project.imageUrl).pathname).toLowerCase();
+            const cachePath = path.join(config.logoCacheDir, `${(project.id || project.symbol).toLowerCase()}${IMAGE_MIME_TYPES[extension] ? extension : '.png'}`);
+            if (!deps.fs.existsSync(cachePath)) {
+                const response = await deps.fetch(project.imageUrl);
+                if (!response.ok) {
+                    throw new Error(`request failed (${response.status})`);
+                }
+                if (!deps.fs.existsSync(config.logoCacheDir)) {
+                    deps.fs.mkdirSync(config.logoCacheDir, { recursive: true });
+                }
+                deps.fs.writeFileSync(cachePath, Buffer.from(await response.arrayBuffer()));
+                console.log(`✅ Cached ${project.symbol} logo: ${cachePath}`);
+            }
+            logos[project.symbol] = readImageDataUri(cachePath, deps);
+        } catch (error) {
+            console.warn(`⚠️ Could not load the ${project.symbol} logo, using the ticker instead:`, error.message);
+        }
+    }
+    
+    return logos;
+}
+
+function readImageDataUri(filePath, deps) {
+    const mimeType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()];
+    if (!mimeType) {
+        throw new Error(`${filePath} is not a PNG, JPEG, GIF, WebP or SVG image`);
+    }
+    return `data:${mimeType};base64,${deps.fs.readFileSync(filePath).toString('base64')}`;
+}
@@ -0,0 +1,208 @@
+import { createHash } from 'crypto';
+
+// LLM clients
+//
+// The thread code only sees the client createLlmClient returns:
+//   generate(prompt) -> { text, model, modelFallback, failedModels, promptTokens, outputTokens, latencyMs }
+//   usage()          -> token and latency totals of every call so far, per model
+// The llmModels setting is a chain of provider:model entries tried in order. A
+// model is retried llmMaxRetries times with exponential backoff on rate limits,
+// server errors and timeouts; any other error (bad key, unknown model) moves
+// straight on to the next model in the chain.
+//
+// Every provider has missingEnv(config, env) listing the secrets it still needs
+// and create(config, env, deps) returning { complete(model, prompt) }.
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export const LLM_PROVIDERS = {
+    gemini: {
+        missingEnv: (config, env) => env.GEMINI_API_KEY ? [] : ['GEMINI_API_KEY'],
+        create: createGeminiBackend
+    },
+    // OpenAI and anything speaking its chat completions API (Ollama, llama.cpp, vLLM, ...)
+    openai: {
+        missingEnv: (config, env) => env.OPENAI_API_KEY || config.openaiBaseUrl !== DEFAULT_OPENAI_BASE_URL ? [] : ['OPENAI_API_KEY'],
+        create: createOpenAiBackend
+    },
+    // Deterministic offline answers for tests and demos, no network
+    stub: {
+        missingEnv: () => [],
+        create: createStubBackend
+    }
+};
+
+// "gemini:gemini-2.0-flash, openai:llama3.1:8b" -> [{ provider, model, id }, ...]
+export function parseModelChain(text) {
+    const entries = String(text).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+        throw new Error('expected at least one provider:model');
+    }
+    
+    return entries.map(entry => {
+        const separator = entry.indexOf(':');
+        const provider = entry.slice(0, separator);
+        const model = entry.slice(separator + 1);
+        if (separator < 1 || !model || !LLM_PROVIDERS[provider]) {
+            throw new Error(`"${entry}" is not provider:model (providers: ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+        }
+        return { provider, model, id: entry };
+    });
+}
+
+// Every model in the chain with the secrets it is missing
+export function checkLlmModels(config, env) {
+    return parseModelChain(config.llmModels).map(entry => ({ ...entry, missing: LLM_PROVIDERS[entry.provider].missingEnv(config, env) }));
+}
+
+// Returns null when no model in the chain has its secrets
+export function createLlmClient(config, env, deps) {
+    const models = checkLlmModels(config, env).filter(entry => {
+        if (entry.missing.length > 0) {
+            console.warn(`⚠️ Skipping LLM model ${entry.id}, missing ${entry.missing.join(', ')}`);
+        }
+        return entry.missing.length === 0;
+    });
+    if (models.length === 0) {
+        return null;
+    }
+    
+    const backends = {};
+    const calls = [];
+    
+    async function callModel(entry, prompt) {
+        backends[entry.provider] ||= LLM_PROVIDERS[entry.provider].create(config, env, deps);
+        const startedAt = deps.now().getTime();
+        try {
+            const { text, promptTokens, outputTokens } = await backends[entry.provider].complete(entry.model, prompt);
+            const latencyMs = deps.now().getTime() - startedAt;
+            calls.push({ model: entry.id, ok: true, promptTokens, outputTokens, latencyMs });
+            return { text, model: entry.id, promptTokens, outputTokens, latencyMs };
+        } catch (error) {
+            calls.push({ model: entry.id, ok: false, promptTokens: null, outputTokens: null, latencyMs: deps.now().getTime() - startedAt });
+            throw error;
+        }
+    }
+    
+    return {
+        models: models.map(entry => entry.id),
+        
+        async generate(prompt) {
+            const failedModels = [];
+            
+            for (const entry of models) {
+                for (let attempt = 0; ; attempt++) {
+                    try {
+                        const result = await callModel(entry, prompt);
+                        return { ...result, modelFallback: failedModels.length > 0, failedModels };
+                    } catch (error) {
+                        if (!isRetryableError(error) || attempt >= config.llmMaxRetries) {
+                            console.warn(`⚠️ ${entry.id} failed${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}:`, error.message);
+                            failedModels.push({ model: entry.id, error: error.message });
+                            break;
+                        }
+                        const delay = config.llmRetryDelayMs * 2 ** attempt;
+                        console.warn(`⚠️ ${entry.id} failed (${error.message}), retrying in ${delay}ms...`);
+                        await deps.sleep(delay);
+                    }
+                }
+            }
+            
+            throw new Error(`Every LLM model failed: ${failedModels.map(failure => `${failure.model} (${failure.error})`).join('; ')}`);
+        },
+        
+        usage() {
+            return summarizeLlmCalls(calls);
+        }
+    };
+}
+
+export function summarizeLlmCalls(calls) {
+    const total = entries => ({
+        calls: entries.length,
+        failedCalls: entries.filter(call => !call.ok).length,
+        promptTokens: entries.reduce((sum, call) => sum + (call.promptTokens || 0), 0),
+        outputTokens: entries.reduce((sum, call) => sum + (call.outputTokens || 0), 0),
+        latencyMs: entries.reduce((sum, call) => sum + call.latencyMs, 0)
+    });
+    
+    const models = [...new Set(calls.map(call => call.model))];
+    return {
+        ...total(calls),
+        byModel: Object.fromEntries(models.map(model => [model, total(calls.filter(call => call.model === model))]))
+    };
+}
+
+function isRetryableError(error) {
+    return RETRYABLE_STATUSES.includes(error.status) ||
+        error.name === 'TimeoutError' ||
+        /\b(408|429|500|502|503|504)\b|overloaded|fetch failed|ECONNRESET|ETIMEDOUT/i.test(error.message);
+}
+
+function createGeminiBackend(config, env, deps) {
+    let client;
+    
+    return {
+        async complete(model, prompt) {
+            client ||= await deps.createGeminiClient(env.GEMINI_API_KEY);
+            const result = await client.getGenerativeModel({ model }, { timeout: config.llmTimeoutMs }).generateContent(prompt);
+            const usage = result.response.usageMetadata;
+            return {
+                text: result.response.text(),
+                promptTokens: usage?.promptTokenCount ?? null,
+                outputTokens: usage?.candidatesTokenCount ?? null
+            };
+        }
+    };
+}
+
+function createOpenAiBackend(config, env, deps) {
+    return {
+        async complete(model, prompt) {
+            const response = await deps.fetch(`${config.openaiBaseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {})
+                },
+                body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }] }),
+                signal: AbortSignal.timeout(config.llmTimeoutMs)
+            });
+            if (!response.ok) {
+                const error = new Error(`${model} request failed (${response.status}): ${(await response.text()).slice(0, 200)}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new Error(`${model} returned no message content`);
+            }
+            return { text, promptTokens: data.usage?.prompt_tokens ?? null, outputTokens: data.usage?.completion_tokens ?? null };
+        }
+    };
+}
+
+// Answers in the "Tweet N/M:" format the prompt asks for, so the whole
+// pipeline runs offline. The same prompt always gets the same answer.
+function createStubBackend() {
+    return {
+        async complete(model, prompt) {
+            const id = createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+            const total = parseInt(/Tweet \d+\/(\d+):/.exec(prompt)?.[1] || '0', 10);
+            const rewrite = /Rewrite tweet (\d+) only/.exec(prompt);
+            
+            let text;
+            if (rewrite) {
+                text = `Tweet ${rewrite[1]}/${total}: 🧪 Stub rewrite ${id} of tweet ${rewrite[1]}.`;
+            } else if (total > 0) {
+                text = Array.from({ length: total }, (_, i) => `Tweet ${i + 1}/${total}: 🧪 Stub tweet ${i + 1} of ${total} (${id}).${i + 1 === total ? ' Not financial advice, DYOR.' : ''}`).join('\n\n');
+            } else {
+                text = `Stub answer ${id}`;
+            }
+            return { text, promptTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) };
+        }
+    };
+}
@@ -0,0 +1,233 @@
+import { createMarketDataFetch, createMarketDataProviders } from './market-data.js';
+
+// News and narrative context
+//
+// Before the thread is written, fetchNewsContext pulls the headlines of the
+// newsFeeds RSS/Atom feeds and, with coinProfiles, each coin's description and
+// categories from CoinGecko. A headline is kept when it names one of the coins
+// (name, ticker or $cashtag), is newer than newsMaxAgeHours and isn't a repeat
+// of one we already have. The result is saved with the market data and becomes
+// the {{news}} block of the prompt, every line naming its source.
+
+const NEWS_PER_COIN = 3;
+const PROFILE_MAX_LENGTH = 200;
+const PROFILE_MAX_CATEGORIES = 3;
+
+// "https://a.example/rss, https://b.example/atom.xml" -> ['https://a.example/rss', ...]
+export function parseFeedList(value) {
+    const urls = String(value).split(',').map(url => url.trim()).filter(Boolean);
+    const invalid = urls.filter(url => !/^https?:\/\/[^\s/]+/i.test(url));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid feed URL(s) ${invalid.join(', ')}, expected http(s) URLs separated by commas`);
+    }
+    if (urls.length === 0) {
+        throw new Error('expected at least one feed URL');
+    }
+    return urls;
+}
+
+// RSS <item>s or Atom <entry>s -> { title, items: [{ title, url, publishedAt }] }.
+// Just enough XML for feeds: tags, CDATA and entities.
+export function parseFeed(xml) {
+    const blocks = [...xml.matchAll(/<(item|entry)\b[^>]*>([\s\S]*?)<\/\1>/gi)];
+    const header = blocks.length > 0 ? xml.slice(0, blocks[0].index) : xml;
+    
+    const items = blocks.map(([, , block]) => {
+        const published = readTag(block, 'pubDate') || readTag(block, 'published') || readTag(block, 'updated') || readTag(block, 'dc:date');
+        const time = Date.parse(published);
+        return {
+            title: readTag(block, 'title'),
+            url: readTag(block, 'link') || readAtomLink(block),
+            publishedAt: Number.isNaN(time) ? null : new Date(time).toISOString()
+        };
+    }).filter(item => item.title && item.url);
+    
+    return { title: readTag(header, 'title'), items };
+}
+
+function readTag(xml, name) {
+    const match = new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, 'i').exec(xml);
+    return match ? decodeXmlText(match[1]) : '';
+}
+
+// <link rel="alternate" href="..."/>, or the first link without a rel
+function readAtomLink(xml) {
+    const links = [...xml.matchAll(/<link\b([^>]*)\/?>/gi)].map(([, attributes]) => ({
+        rel: /\brel\s*=\s*["']([^"']*)["']/i.exec(attributes)?.[1] || 'alternate',
+        href: /\bhref\s*=\s*["']([^"']*)["']/i.exec(attributes)?.[1]
+    }));
+    const link = links.find(candidate => candidate.rel === 'alternate' && candidate.href);
+    return link ? decodeXmlText(link.href) : '';
+}
+
+function decodeXmlText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&(quot|apos|lt|gt|nbsp);/g, (entity, name) => ({ quot: '"', apos: '\'', lt: '<', gt: '>', nbsp: ' ' })[name])
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Symbols of the coins a headline is about: the coin's name, its $cashtag, or
+// its ticker in capitals (tickers under 3 letters are too ambiguous on their own)
+export function matchHeadlineCoins(title, coins) {
+    return coins.filter(coin => {
+        const patterns = [escapeRegExp(coin.name), `\\$${escapeRegExp(coin.symbol)}`];
+        const names = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+        const ticker = new RegExp(`(?<![\\p{L}\\p{N}$])${escapeRegExp(coin.symbol)}(?![\\p{L}\\p{N}])`, 'u');
+        return names.test(title) || (coin.symbol.length >= 3 && ticker.test(title));
+    }).map(coin => coin.symbol);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The same story syndicated across feeds: same link, or the same words in the title
+function headlineKeys(item) {
+    return [
+        `url:${item.url.replace(/[?#].*$/, '').replace(/\/$/, '').toLowerCase()}`,
+        `title:${item.title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()}`
+    ];
+}
+
+// Resolves to { fetchedAt, headlines: [{ id, title, url, source, publishedAt, coins }], profiles: { SYMBOL: { description, categories } } }.
+// A feed or profile that fails is skipped with a warning; the thread never waits on news.
+export async function fetchNewsContext(cryptoData, config, deps) {
+    const news = { fetchedAt: deps.now().toISOString(), headlines: [], profiles: {} };
+    const coins = cryptoData.filter(coin => coin.name && coin.symbol);
+    
+    if (config.newsFeeds && config.newsMaxHeadlines > 0) {
+        console.log('📰 Fetching news headlines...');
+        news.headlines = await fetchHeadlines(coins, config, deps);
+        console.log(`✅ ${news.headlines.length} headline(s) about ${[...new Set(news.headlines.flatMap(h => h.coins))].join(', ') || 'none of the coins'}`);
+    }
+    
+    const profileProvider = config.coinProfiles && createMarketDataProviders(config, deps).find(provider => provider.fetchProfile);
+    if (profileProvider) {
+        console.log(`📚 Fetching coin profiles from ${profileProvider.name}...`);
+        for (const coin of coins) {
+            try {
+                const profile = await profileProvider.fetchProfile(coin);
+                if (profile) {
+                    news.profiles[coin.symbol] = {
+                        description: shortenDescription(profile.description),
+                        categories: profile.categories.slice(0, PROFILE_MAX_CATEGORIES),
+                        source: profileProvider.name
+                    };
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not fetch the ${coin.symbol} profile:`, error.message);
+            }
+        }
+    }
+    
+    return news;
+}
+
+async function fetchHeadlines(coins, config, deps) {
+    const fetch = createMarketDataFetch(config, deps);
+    const oldest = deps.now().getTime() - config.newsMaxAgeHours * 60 * 60 * 1000;
+    
+    const items = [];
+    for (const feedUrl of parseFeedList(config.newsFeeds)) {
+        try {
+            const response = await fetch(feedUrl);
+            if (!response.ok) {
+                throw new Error(`Request to ${feedUrl} failed (${response.status})`);
+            }
+            const feed = parseFeed(await response.text());
+            // "CoinDesk: Bitcoin, Ethereum, Crypto News and Price Data" -> "CoinDesk"
+            const source = feed.title.split(/:\s|\s[|\u2013-]\s/)[0] || new URL(feedUrl).hostname.replace(/^www\./, '');
+            items.push(...feed.items.map(item => ({ ...item, source })));
+        } catch (error) {
+            console.warn(`⚠️ Could not read news feed ${feedUrl}:`, error.message);
+        }
+    }
+    
+    // Newest first, so repeats and the per-coin cap drop the older copies
+    const seen = new Set();
+    const perCoin = {};
+    const headlines = [];
+    items
+        .filter(item => item.publishedAt && Date.parse(item.publishedAt) >= oldest)
+        .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt))
+        .forEach(item => {
+            const keys = headlineKeys(item);
+            const itemCoins = matchHeadlineCoins(item.title, coins).filter(symbol => (perCoin[symbol] || 0) < NEWS_PER_COIN);
+            if (itemCoins.length === 0 || keys.some(key => seen.has(key)) || headlines.length >= config.newsMaxHeadlines) {
+                return;
+            }
+            keys.forEach(key => seen.add(key));
+            itemCoins.forEach(symbol => {
+                perCoin[symbol] = (perCoin[symbol] || 0) + 1;
+            });
+            headlines.push({ id: `N${headlines.length + 1}`, title: item.title, url: item.url, source: item.source, publishedAt: item.publishedAt, coins: itemCoins });
+        });
+    
+    return headlines;
+}
+
+// The first sentence or two, within PROFILE_MAX_LENGTH
+function shortenDescription(description) {
+    const text = decodeXmlText(description || '');
+    if (text.length <= PROFILE_MAX_LENGTH) {
+        return text;
+    }
+    const sentences = text.match(/[^.!?]+[.!?]+(\s|$)/g) || [];
+    let short = '';
+    for (const sentence of sentences) {
+        if ((short + sentence).trim().length > PROFILE_MAX_LENGTH) {
+            break;
+        }
+        short += sentence;
+    }
+    return short.trim() || `${text.slice(0, PROFILE_MAX_LENGTH - 1).trim()}…`;
+}
+
+// The {{news}} prompt block. Empty without news, otherwise it starts with a blank line.
+export function formatNewsContext(news, cryptoData, { sourceLinks = false } = {}) {
+    if (!news) {
+        return '';
+    }
+    
+    const profiles = cryptoData.filter(coin => news.profiles[coin.symbol]?.description).map(coin => {
+        const { description, categories, source } = news.profiles[coin.symbol];
+        return `- ${coin.name} (${coin.symbol})${categories.length ? ` [${categories.join(', ')}]` : ''}: ${description} (${formatSource(source)})`;
+    });
+    const headlines = news.headlines.map(headline =>
+        `- ${headline.id} "${headline.title}" (${headline.source}, ${headline.publishedAt.slice(0, 10)}) about ${headline.coins.join(', ')}${sourceLinks ? `: ${headline.url}` : ''}`
+    );
+    if (profiles.length === 0 && headlines.length === 0) {
+        return '';
+    }
+    
+    return [
+        profiles.length ? `\n\nWhat these projects are:\n${profiles.join('\n')}` : '',
+        headlines.length ? `\n\nRecent headlines:\n${headlines.join('\n')}` : '',
+        '\n\nUse this background to explain what a project does or what people are talking about. Only use what it says, attribute a headline to its source when you use it (e.g. "per CoinDesk") and never claim a headline caused a price move.',
+        sourceLinks
+            ? ' You may add the link of a headline you cite to that tweet, at most 2 links in the whole thread (a link counts as 23 characters).'
+            : ' Do not include links.'
+    ].join('');
+}
+
+function formatSource(source) {
+    return { coingecko: 'CoinGecko' }[source] || source;
+}
+
+// With sourceLinks, every link in the thread has to be one of the headlines we gave the model
+export function findUnsourcedLinks(tweets, news, { sourceLinks = false } = {}) {
+    if (!sourceLinks) {
+        return [];
+    }
+    const allowed = new Set(news ? news.headlines.map(headline => headline.url) : []);
+    return tweets.flatMap(tweet => (tweet.text.match(/https?:\/\/\S+/gi) || [])
+        .map(url => url.replace(/[).,!?]+$/, ''))
+        .filter(url => !allowed.has(url))
+        .map(url => `Tweet ${tweet.index} links to ${url}, which is not one of the headlines given`));
+}
@@ -0,0 +1,102 @@
+import { hasKnownChange } from './provenance.js';
+
+// Model portfolio
+//
+// With the portfolio setting ("BTC:50,ETH:30,SOL:20") every run works out the
+// day's P&L of a weighted portfolio: each holding's 24h and 7d change times its
+// weight, summed. Weights are normalized to 100% and count as the allocation at
+// the start of the period. A holding without a known change leaves the total
+// unknown rather than quietly reweighting the rest.
+
+// "BTC:50,ETH:30,SOL:20" or "BTC,ETH" (equal weights) -> [{ symbol, weight }] with weights summing to 1, heaviest first
+export function parsePortfolio(value) {
+    const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [symbol, weight = '1'] = entry.split(':').map(part => part.trim());
+        if (!/^[A-Za-z0-9]{1,15}$/.test(symbol) || !/^\d+(\.\d+)?$/.test(weight) || parseFloat(weight) <= 0) {
+            throw new Error(`Invalid holding "${entry}", expected SYMBOL:weight like BTC:50`);
+        }
+        return { symbol: symbol.toUpperCase(), weight: parseFloat(weight) };
+    });
+    
+    if (entries.length === 0) {
+        throw new Error('expected at least one holding, e.g. BTC:50,ETH:50');
+    }
+    const duplicates = entries.filter((entry, i) => entries.findIndex(other => other.symbol === entry.symbol) !== i);
+    if (duplicates.length > 0) {
+        throw new Error(`${duplicates.map(entry => entry.symbol).join(', ')} listed more than once`);
+    }
+    
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    return entries
+        .map(entry => ({ symbol: entry.symbol, weight: entry.weight / total }))
+        .sort((a, b) => b.weight - a.weight);
+}
+
+// The P&L from the holdings' coins: { holdings: [{ symbol, name, weight, priceChange24h,
+// priceChange7d, contribution24h, contribution7d, provenance }], change24h, change7d, unknown }.
+// Contributions are in percentage points of the portfolio.
+export function buildPortfolio(holdings, coins) {
+    const rows = holdings.map(({ symbol, weight }) => {
+        const coin = coins.find(candidate => candidate.symbol === symbol);
+        const change24h = coin && hasKnownChange(coin) ? coin.priceChange24h : null;
+        const change7d = typeof coin?.priceChange7d === 'number' ? coin.priceChange7d : null;
+        return {
+            symbol,
+            name: coin?.name || symbol,
+            weight,
+            priceChange24h: change24h,
+            priceChange7d: change7d,
+            contribution24h: change24h === null ? null : weight * change24h,
+            contribution7d: change7d === null ? null : weight * change7d,
+            provenance: { priceChange24h: coin?.provenance?.priceChange24h || { source: null, status: 'unknown' } }
+        };
+    });
+    const total = field => rows.some(row => row[field] === null) ? null : rows.reduce((sum, row) => sum + row[field], 0);
+    
+    return {
+        holdings: rows,
+        change24h: total('contribution24h'),
+        change7d: total('contribution7d'),
+        unknown: rows.filter(row => row.priceChange24h === null).map(row => row.symbol)
+    };
+}
+
+// "+3.2%", "n/a" for an unknown total
+export function formatPortfolioChange(value) {
+    return typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(1)}%` : 'n/a';
+}
+
+// "+1.2 pts" for a holding's contribution
+export function formatContribution(value) {
+    return typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(1)} pts` : 'n/a';
+}
+
+// The {{portfolio}} prompt block. Empty without a portfolio, otherwise it starts with a blank line.
+export function formatPortfolioContext(portfolio) {
+    if (!portfolio) {
+        return '';
+    }
+    
+    const holdings = portfolio.holdings.map(holding =>
+        `- ${holding.name} (${holding.symbol}): ${Math.round(holding.weight * 100)}% of the portfolio, 24h ${formatPortfolioChange(holding.priceChange24h)}, contributing ${formatContribution(holding.contribution24h)}`
+    );
+    const total = portfolio.change24h === null
+        ? `The portfolio's 24h change is unknown because ${portfolio.unknown.join(', ')} has no 24h change, do not quote a total.`
+        : `The portfolio changed ${formatPortfolioChange(portfolio.change24h)} in 24h${portfolio.change7d === null ? '' : ` and ${formatPortfolioChange(portfolio.change7d)} in 7 days`}.`;
+    
+    return `\n\nOur model portfolio:\n${holdings.join('\n')}\n${total} Report this as the day's portfolio P&L. The only percentages you may quote are the portfolio total and each coin's own change; describe weights and contributions in words (e.g. "BTC did most of the lifting").`;
+}
+
+// The totals as an extra entry for the fact check, so "portfolio +3.2%" passes
+export function withPortfolioFigures(cryptoData, portfolio) {
+    if (!portfolio) {
+        return cryptoData;
+    }
+    return [...cryptoData, {
+        name: 'portfolio',
+        symbol: 'PORTFOLIO',
+        priceChange24h: portfolio.change24h,
+        priceChange7d: portfolio.change7d,
+        provenance: {}
+    }];
+}
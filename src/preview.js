@@ -0,0 +1,171 @@
+import path from 'path';
+import { formatComplianceReport } from './compliance.js';
+import { buildMainMessageBlocks } from './format.js';
+import { createI18n } from './i18n.js';
+import { xMediaFor } from './publishers.js';
+import { deliveryAsset } from './render.js';
+import { splitTelegramMessage } from './telegram-format.js';
+import { MAX_TWEET_LENGTH } from './thread.js';
+import { escapeHtml } from './utils.js';
+
+// Dry-run preview
+//
+// A single self-contained HTML file (visuals inlined as data URIs) showing
+// the thread as X-style cards, every image and chart, the Telegram message
+// roughly as Telegram renders it, and per-tweet length stats. Each other
+// language edition follows with its own thread, visuals and Telegram message.
+
+export function writePreviewPage(contentPackage, config, deps) {
+    if (!deps.fs.existsSync(config.previewDir)) {
+        deps.fs.mkdirSync(config.previewDir, { recursive: true });
+    }
+    
+    const filePath = path.join(config.previewDir, `preview-${deps.now().getTime()}.html`);
+    deps.fs.writeFileSync(filePath, buildPreviewHtml(contentPackage, config, deps.fs));
+    return filePath;
+}
+
+function buildPreviewHtml({ tweets, generation, notices = [], compliance, images, charts, cryptoData, comparison, editions = [], createdAt }, config, fs) {
+    const { telegramParseMode: parseMode, locales: [locale] } = config;
+    const visuals = [...images, ...charts];
+    const telegramMessages = splitTelegramMessage(buildMainMessageBlocks(tweets, cryptoData, comparison, parseMode, notices, { i18n: createI18n(locale) }));
+    const tweetCards = renderTweetCards(tweets, { images, charts }, config, fs);
+    
+    const statsRows = tweets.map(tweet => `
+      <tr class="${tweet.charCount > MAX_TWEET_LENGTH ? 'over' : ''}">
+        <td>${tweet.index}/${tweet.total}</td>
+        <td>${tweet.charCount}</td>
+        <td>${[...tweet.text].length}</td>
+        <td>${MAX_TWEET_LENGTH - tweet.charCount}</td>
+        <td>${tweet.hashtags.map(tag => `#${escapeHtml(tag)}`).join(' ')}</td>
+        <td>${tweet.cashtags.map(tag => `$${escapeHtml(tag)}`).join(' ')}</td>
+      </tr>`).join('');
+    
+    const gallery = renderGallery(visuals, fs);
+    
+    const editionSections = editions.map(edition => {
+        const i18n = createI18n(edition.locale);
+        const messages = splitTelegramMessage(buildMainMessageBlocks(edition.tweets, cryptoData, comparison, parseMode, edition.notices, { i18n }));
+        return `<section>
+  <h1>🌐 ${escapeHtml(i18n.language)} thread (${edition.tweets.length} tweets)</h1>
+${edition.notices.map(notice => `  <div class="banner"><strong>${escapeHtml(notice)}</strong></div>\n`).join('')}  ${renderTweetCards(edition.tweets, edition, config, fs)}
+  <div class="gallery">${renderGallery([...edition.images, ...edition.charts], fs)}</div>
+  <h2>📱 Telegram message <span class="muted small">${escapeHtml(edition.locale)}</span></h2>
+  <div class="telegram">${messages.map(text => `<div class="bubble">${renderTelegramMessage(text, parseMode)}</div>`).join('')}</div>
+</section>
+`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Crypto thread preview • ${escapeHtml(createdAt.slice(0, 10))}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; background: #f5f8fa; color: #0f1419; margin: 0; padding: 24px; }
+  h1, h2 { margin: 0 0 12px; }
+  section { max-width: 1100px; margin: 0 auto 32px; }
+  .banner { background: #fff3cd; border: 1px solid #ffe08a; padding: 10px 14px; border-radius: 8px; margin-bottom: 24px; }
+  .tweet { display: flex; gap: 12px; background: #fff; border: 1px solid #e1e8ed; border-radius: 12px; padding: 14px; margin-bottom: 10px; max-width: 600px; }
+  .avatar { width: 44px; height: 44px; border-radius: 50%; background: #f7931a; color: #fff; display: flex; align-items: center; justify-content: center; font-size: 22px; flex-shrink: 0; }
+  .tweet-body { flex: 1; min-width: 0; }
+  .tweet-body p { white-space: pre-wrap; margin: 4px 0 10px; line-height: 1.4; }
+  .tweet-media { display: grid; gap: 2px; border-radius: 14px; overflow: hidden; margin-bottom: 8px; }
+  .tweet-media img { width: 100%; display: block; }
+  .media-2, .media-3, .media-4 { grid-template-columns: 1fr 1fr; }
+  .tag { color: #1d9bf0; }
+  .meter { height: 4px; background: #eff3f4; border-radius: 2px; overflow: hidden; }
+  .meter span { display: block; height: 100%; background: #1d9bf0; }
+  .meter.over span { background: #f4212e; }
+  .muted { color: #536471; }
+  .small { font-size: 12px; }
+  table { border-collapse: collapse; background: #fff; }
+  th, td { border: 1px solid #e1e8ed; padding: 6px 10px; text-align: left; font-size: 14px; }
+  tr.over td { background: #fde8ea; }
+  .gallery { display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 16px; }
+  figure { margin: 0; background: #fff; border: 1px solid #e1e8ed; border-radius: 8px; padding: 8px; }
+  figure img { width: 100%; display: block; }
+  figcaption { font-size: 13px; margin-top: 6px; }
+  .telegram { background: #d7e4ee; padding: 16px; border-radius: 12px; max-width: 600px; }
+  .telegram .bubble { background: #fff; border-radius: 12px; padding: 10px 14px; margin-bottom: 8px; white-space: pre-wrap; font-size: 14px; line-height: 1.45; }
+</style>
+</head>
+<body>
+<section>
+  <div class="banner">🧪 <strong>Dry run</strong> • generated ${escapeHtml(createdAt)}${generation ? ` • prompt ${escapeHtml(generation.template)}${generation.model ? ` • model ${escapeHtml(generation.model)}` : ''}${generation.fallback ? ' (fallback thread)' : ''}` : ''} • nothing was sent to any channel</div>
+${notices.map(notice => `  <div class="banner"><strong>${escapeHtml(notice)}</strong></div>\n`).join('')}  <h1>🧵 Thread (${tweets.length} tweets)</h1>
+  ${tweetCards}
+</section>
+${compliance ? `<section>
+  <h2>🛡️ Compliance check</h2>
+  <div class="telegram"><div class="bubble">${escapeHtml(formatComplianceReport(compliance))}</div></div>
+</section>` : ''}
+<section>
+  <h2>📏 Length stats</h2>
+  <table>
+    <tr><th>Tweet</th><th>X length</th><th>Characters</th><th>Remaining</th><th>Hashtags</th><th>Cashtags</th></tr>
+    ${statsRows}
+  </table>
+</section>
+<section>
+  <h2>🎨 Images &amp; charts (${visuals.length})</h2>
+  <div class="gallery">${gallery}</div>
+</section>
+<section>
+  <h2>📱 Telegram message${telegramMessages.length > 1 ? ` (${telegramMessages.length} parts)` : ''} <span class="muted small">${escapeHtml(parseMode)}</span></h2>
+  <div class="telegram">${telegramMessages.map(text => `<div class="bubble">${renderTelegramMessage(text, parseMode)}</div>`).join('')}</div>
+</section>
+${editionSections}</body>
+</html>
+`;
+}
+
+// Media sits on the tweets xMediaTweets names, as the x and x-draft channels post it
+function renderTweetCards(tweets, visuals, config, fs) {
+    const mediaFor = position => xMediaFor(position, visuals, config);
+    return tweets.map((tweet, position) => `
+    <article class="tweet">
+      <div class="avatar">₿</div>
+      <div class="tweet-body">
+        <div class="tweet-header"><strong>Crypto Threads</strong> <span class="muted">@crypto_threads · ${tweet.index}/${tweet.total}</span></div>
+        <p>${highlightTweetText(tweet.text)}</p>
+        ${mediaFor(position).length ? `<div class="tweet-media media-${Math.min(mediaFor(position).length, 4)}">${mediaFor(position).map(item => `<img src="${assetDataUri(item, fs)}" alt="${escapeHtml(item.description)}">`).join('')}</div>` : ''}
+        <div class="meter ${tweet.charCount > MAX_TWEET_LENGTH ? 'over' : ''}"><span style="width: ${Math.min(100, tweet.charCount / MAX_TWEET_LENGTH * 100).toFixed(1)}%"></span></div>
+        <div class="muted small">${tweet.charCount}/${MAX_TWEET_LENGTH}</div>
+      </div>
+    </article>`).join('');
+}
+
+function renderGallery(visuals, fs) {
+    return visuals.map(item => `
+      <figure>
+        <img src="${assetDataUri(item, fs)}" alt="${escapeHtml(item.description)}">
+        <figcaption>${escapeHtml(item.description)}<br><span class="muted small">${escapeHtml(deliveryAsset(item).fileName)}</span></figcaption>
+      </figure>`).join('');
+}
+
+function highlightTweetText(text) {
+    return escapeHtml(text)
+        .replace(/(^|[^\w&])([#$][\p{L}\p{N}_]+)/gu, '$1<span class="tag">$2</span>')
+        .replace(/(https?:\/\/[^\s<]+)/g, '<span class="tag">$1</span>');
+}
+
+// Approximates how Telegram shows the message in each parse mode. Our HTML
+// only ever contains <b>/<i> around escaped text, so it is used as is.
+function renderTelegramMessage(text, parseMode) {
+    if (parseMode === 'HTML') {
+        return text;
+    }
+    if (parseMode === 'none') {
+        return escapeHtml(text);
+    }
+    return escapeHtml(text)
+        .replace(/(?<!\\)\*((?:\\.|[^*\\\n])+)\*/g, '<b>$1</b>')
+        .replace(/(?<!\\)_((?:\\.|[^_\\\n])+)_/g, '<i>$1</i>')
+        .replace(/\\(.)/g, '$1');
+}
+
+function assetDataUri(item, fs) {
+    const asset = deliveryAsset(item);
+    return `data:${asset.mimeType};base64,${fs.readFileSync(asset.filePath).toString('base64')}`;
+}
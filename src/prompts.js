@@ -0,0 +1,78 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Prompt templates
+//
+// Every thread format is a text file named <format>.v<N>.txt in the promptsDir
+// setting (default: the bundled prompts/ folder). {{name}} placeholders are
+// filled from the variables generateThreadContent builds, and a placeholder we
+// don't know is an error so a typo never reaches the model. threadFormat picks a
+// format ("daily-recap", newest version) or pins one ("daily-recap@v1"); the
+// resolved id is saved with the thread and the run for A/B comparisons.
+
+export const BUNDLED_PROMPTS_DIR = fileURLToPath(new URL('../prompts', import.meta.url));
+
+export const PERSONAS = {
+    analyst: 'a level-headed market analyst who leads with the numbers',
+    degen: 'a crypto-native trader who knows the memes but never shills',
+    teacher: 'a patient teacher who explains every term the first time it comes up',
+    newsroom: 'a neutral news desk that reports what moved and why, without opinions'
+};
+
+const TEMPLATE_SPEC_REGEX = /^([a-z0-9-]+)(?:@v(\d+))?$/;
+
+// "weekly-wrap@v2" -> { format: 'weekly-wrap', version: 2 }
+export function parseTemplateSpec(spec) {
+    const match = TEMPLATE_SPEC_REGEX.exec(spec);
+    if (!match) {
+        throw new Error(`expected <format> or <format>@v<N>, got "${spec}"`);
+    }
+    return { format: match[1], version: match[2] ? parseInt(match[2], 10) : null };
+}
+
+export function listPromptTemplates(promptsDir, deps) {
+    const dir = promptsDir || BUNDLED_PROMPTS_DIR;
+    if (!deps.fs.existsSync(dir)) {
+        throw new Error(`Prompt template directory ${dir} does not exist`);
+    }
+    
+    return deps.fs.readdirSync(dir)
+        .map(name => /^([a-z0-9-]+)\.v(\d+)\.txt$/.exec(name))
+        .filter(Boolean)
+        .map(([fileName, format, version]) => ({ format, version: parseInt(version, 10), filePath: path.join(dir, fileName) }))
+        .sort((a, b) => a.format.localeCompare(b.format) || a.version - b.version);
+}
+
+export function loadPromptTemplate(spec, promptsDir, deps) {
+    const { format, version } = parseTemplateSpec(spec);
+    const templates = listPromptTemplates(promptsDir, deps);
+    const versions = templates.filter(template => template.format === format);
+    
+    if (versions.length === 0) {
+        const formats = [...new Set(templates.map(template => template.format))];
+        throw new Error(`Unknown thread format "${format}" (available: ${formats.join(', ')})`);
+    }
+    
+    const template = version === null
+        ? versions.reduce((latest, candidate) => candidate.version > latest.version ? candidate : latest)
+        : versions.find(candidate => candidate.version === version);
+    if (!template) {
+        throw new Error(`No version ${version} of thread format "${format}" (available: ${versions.map(v => `v${v.version}`).join(', ')})`);
+    }
+    
+    return {
+        id: `${format}@v${template.version}`,
+        format,
+        version: template.version,
+        text: deps.fs.readFileSync(template.filePath, 'utf8').trim()
+    };
+}
+
+export function renderPromptTemplate(template, variables) {
+    return template.text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+        if (!Object.hasOwn(variables, name)) {
+            throw new Error(`Prompt template ${template.id} uses unknown variable {{${name}}} (available: ${Object.keys(variables).join(', ')})`);
+        }
+        return String(variables[name]);
+    });
+}
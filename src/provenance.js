@@ -0,0 +1,39 @@
+import { createI18n } from './i18n.js';
+
+export function createProvenance(source, status, fetchedAt = new Date().toISOString()) {
+    return { source, status, fetchedAt };
+}
+
+export function changeStatus(project) {
+    return project.provenance?.priceChange24h?.status || 'unknown';
+}
+
+export function hasKnownChange(project) {
+    return typeof project.priceChange24h === 'number' && changeStatus(project) !== 'unknown';
+}
+
+export function isSampleData(cryptoData) {
+    return cryptoData.some(p => changeStatus(p) === 'sample');
+}
+
+// "+3.2%", "≈-1.4%" for derived values, "n/a" when we have nothing real.
+// English unless options.i18n says otherwise; the prompt always gets English.
+export function formatChange(project, { i18n = createI18n() } = {}) {
+    if (!hasKnownChange(project)) {
+        return i18n.t('format.unknown');
+    }
+    const value = i18n.percent(project.priceChange24h);
+    return changeStatus(project) === 'derived' ? `≈${value}` : value;
+}
+
+export function describeDataSources(cryptoData, { i18n = createI18n() } = {}) {
+    if (isSampleData(cryptoData)) {
+        return i18n.t('sources.sample');
+    }
+    
+    const statuses = new Set(cryptoData.map(changeStatus));
+    const notes = [];
+    if (statuses.has('derived')) notes.push(i18n.t('sources.derived'));
+    if (statuses.has('unknown')) notes.push(i18n.t('sources.unknown'));
+    return `${i18n.t('sources.live')}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+}
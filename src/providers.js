@@ -0,0 +1,229 @@
+import { createProvenance } from './provenance.js';
+
+// Market data providers
+//
+// Every provider factory takes { fetch, now, sleep } from deps, returns coins in
+// the same normalized shape (see normalizeCoin) and implements:
+//   name                      - short id used in the marketDataProviders setting and provenance
+//   fetchCoins({ limit })     - the coins to write about, in display order
+//   fetchQuotes(symbols)      - current quotes for those symbols (cross-checks, on-demand coins)
+//   fetchTopCoins({ limit, category }) - optional, the largest coins by market cap, in that order
+//   fetchHistory(coin)        - optional, { '7d': series, '30d': series } for charts
+//   fetchProfile(coin)        - optional, { description, categories } for the news context
+
+export const HISTORY_RANGES = [7, 30];
+const HISTORY_REQUEST_DELAY = 1500; // Keeps us under CoinGecko's public rate limit
+
+export const MARKET_DATA_PROVIDERS = {
+    coingecko: createCoinGeckoProvider,
+    binance: createBinanceProvider
+};
+
+export const NORMALIZED_COIN_FIELDS = ['price', 'priceChange24h', 'priceChange7d', 'volume24h', 'marketCap', 'marketCapRank', 'allTimeHigh'];
+
+// Builds a coin in the common schema. Numeric fields that are missing become
+// null with an "unknown" provenance entry instead of being guessed.
+function normalizeCoin(fields, source, fetchedAt) {
+    const coin = {
+        id: fields.id,
+        name: fields.name,
+        symbol: String(fields.symbol || '').toUpperCase(),
+        rank: fields.rank,
+        trending: Boolean(fields.trending),
+        imageUrl: fields.imageUrl || null,
+        provenance: {}
+    };
+    
+    NORMALIZED_COIN_FIELDS.forEach(field => {
+        const value = toNumber(fields[field]);
+        coin[field] = value;
+        coin.provenance[field] = createProvenance(value === null ? null : source, value === null ? 'unknown' : 'real', fetchedAt);
+    });
+    
+    return coin;
+}
+
+function toNumber(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+async function fetchJson(fetch, url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Request to ${url} failed (${response.status})`);
+    }
+    return response.json();
+}
+
+function createCoinGeckoProvider({ fetch, now, sleep }) {
+    const baseUrl = 'https://api.coingecko.com/api/v3';
+    
+    async function fetchMarkets(query) {
+        return fetchJson(fetch, `${baseUrl}/coins/markets?vs_currency=usd&price_change_percentage=24h,7d&${query}`);
+    }
+    
+    function fromMarket(market, extra, fetchedAt) {
+        return normalizeCoin({
+            id: market.id,
+            name: market.name,
+            symbol: market.symbol,
+            price: market.current_price,
+            priceChange24h: market.price_change_percentage_24h_in_currency ?? market.price_change_percentage_24h,
+            priceChange7d: market.price_change_percentage_7d_in_currency,
+            volume24h: market.total_volume,
+            marketCap: market.market_cap,
+            marketCapRank: market.market_cap_rank,
+            allTimeHigh: market.ath,
+            imageUrl: market.image,
+            ...extra
+        }, 'coingecko:/coins/markets', fetchedAt);
+    }
+    
+    return {
+        name: 'coingecko',
+        
+        async fetchCoins({ limit }) {
+            const data = await fetchJson(fetch, `${baseUrl}/search/trending`);
+            const fetchedAt = now().toISOString();
+            const trending = (data.coins || []).slice(0, limit).map(coin => coin.item);
+            if (trending.length === 0) {
+                return [];
+            }
+            
+            // The trending payload only has a 24h change (sometimes); /coins/markets fills in the rest
+            let markets = [];
+            try {
+                markets = await fetchMarkets(`ids=${trending.map(item => encodeURIComponent(item.id)).join(',')}`);
+            } catch (error) {
+                console.warn('⚠️ Could not fetch /coins/markets for trending coins:', error.message);
+            }
+            
+            return trending.map((item, index) => {
+                const market = markets.find(m => m.id === item.id);
+                if (market) {
+                    return fromMarket(market, { rank: index + 1, trending: true }, fetchedAt);
+                }
+                
+                return normalizeCoin({
+                    id: item.id,
+                    name: item.name,
+                    symbol: item.symbol,
+                    rank: index + 1,
+                    trending: true,
+                    priceChange24h: item.data?.price_change_percentage_24h?.usd,
+                    marketCapRank: item.market_cap_rank,
+                    imageUrl: item.large || item.thumb
+                }, 'coingecko:/search/trending', fetchedAt);
+            });
+        },
+        
+        async fetchTopCoins({ limit, category = null }) {
+            const markets = await fetchMarkets(`order=market_cap_desc&per_page=${limit}&page=1${category ? `&category=${encodeURIComponent(category)}` : ''}`);
+            const fetchedAt = now().toISOString();
+            return markets.map((market, index) => fromMarket(market, { rank: index + 1 }, fetchedAt));
+        },
+        
+        async fetchQuotes(symbols) {
+            const markets = await fetchMarkets(`symbols=${symbols.map(s => encodeURIComponent(s.toLowerCase())).join(',')}`);
+            const fetchedAt = now().toISOString();
+            return markets.map(market => fromMarket(market, {}, fetchedAt));
+        },
+        
+        async fetchHistory(coin) {
+            const history = {};
+            if (!coin.id) {
+                return history;
+            }
+            
+            for (const days of HISTORY_RANGES) {
+                try {
+                    const coinUrl = `${baseUrl}/coins/${encodeURIComponent(coin.id)}`;
+                    
+                    const ohlc = await fetchJson(fetch, `${coinUrl}/ohlc?vs_currency=usd&days=${days}`);
+                    await sleep(HISTORY_REQUEST_DELAY);
+                    
+                    const marketChart = await fetchJson(fetch, `${coinUrl}/market_chart?vs_currency=usd&days=${days}`);
+                    await sleep(HISTORY_REQUEST_DELAY);
+                    
+                    history[`${days}d`] = {
+                        days,
+                        source: 'coingecko:/coins/ohlc+market_chart',
+                        status: 'real',
+                        fetchedAt: now().toISOString(),
+                        ohlc: Array.isArray(ohlc) ? ohlc : [],
+                        prices: marketChart.prices || [],
+                        volumes: marketChart.total_volumes || []
+                    };
+                } catch (error) {
+                    console.warn(`⚠️ Could not fetch ${days}d history for ${coin.id}:`, error.message);
+                }
+            }
+            
+            console.log(`✅ Fetched history for ${coin.id}: ${Object.keys(history).join(', ') || 'none'}`);
+            return history;
+        },
+        
+        // null when the id isn't a CoinGecko id for this coin (ids from other providers)
+        async fetchProfile(coin) {
+            if (!coin.id) {
+                return null;
+            }
+            
+            const data = await fetchJson(fetch, `${baseUrl}/coins/${encodeURIComponent(coin.id)}?localization=false&tickers=false&market_data=false&community_data=false&developer_data=false`);
+            await sleep(HISTORY_REQUEST_DELAY);
+            if (String(data.symbol || '').toUpperCase() !== coin.symbol) {
+                return null;
+            }
+            return { description: data.description?.en || '', categories: (data.categories || []).filter(Boolean) };
+        }
+    };
+}
+
+function createBinanceProvider({ fetch, now }) {
+    const baseUrl = 'https://api.binance.com/api/v3';
+    const quoteAsset = 'USDT';
+    
+    async function fetchUsdtTickers() {
+        const tickers = await fetchJson(fetch, `${baseUrl}/ticker/24hr`);
+        return tickers.filter(ticker => ticker.symbol.endsWith(quoteAsset));
+    }
+    
+    // Binance tickers have no names, market caps or 7d changes
+    function fromTicker(ticker, extra, fetchedAt) {
+        const symbol = ticker.symbol.slice(0, -quoteAsset.length);
+        return normalizeCoin({
+            id: ticker.symbol,
+            name: symbol,
+            symbol,
+            price: ticker.lastPrice,
+            priceChange24h: ticker.priceChangePercent,
+            volume24h: ticker.quoteVolume,
+            ...extra
+        }, 'binance:/api/v3/ticker/24hr', fetchedAt);
+    }
+    
+    return {
+        name: 'binance',
+        
+        // Most traded USDT pairs, skipping other stablecoins
+        async fetchCoins({ limit }) {
+            const tickers = await fetchUsdtTickers();
+            const fetchedAt = now().toISOString();
+            return tickers
+                .filter(ticker => !/^(USDC|FDUSD|TUSD|BUSD|DAI|USDP)USDT$/.test(ticker.symbol))
+                .sort((a, b) => (toNumber(b.quoteVolume) ?? 0) - (toNumber(a.quoteVolume) ?? 0))
+                .slice(0, limit)
+                .map((ticker, index) => fromTicker(ticker, { rank: index + 1 }, fetchedAt));
+        },
+        
+        async fetchQuotes(symbols) {
+            const wanted = new Set(symbols.map(s => `${s.toUpperCase()}${quoteAsset}`));
+            const tickers = await fetchUsdtTickers();
+            const fetchedAt = now().toISOString();
+            return tickers
+                .filter(ticker => wanted.has(ticker.symbol))
+                .map(ticker => fromTicker(ticker, {}, fetchedAt));
+        }
+    };
+}
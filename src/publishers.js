@@ -0,0 +1,412 @@
+import path from 'path';
+import { formatComplianceReport } from './compliance.js';
+import { buildMainMessageBlocks } from './format.js';
+import { createI18n } from './i18n.js';
+import { deliveryAsset } from './render.js';
+import { TELEGRAM_MEDIA_GROUP_LIMIT, sendToTelegram, sendImageToTelegram, sendMediaGroupToTelegram } from './telegram.js';
+import { MAX_TWEET_LENGTH, formatThreadText } from './thread.js';
+import { escapeHtml } from './utils.js';
+import { postTweet, uploadXMedia } from './x.js';
+
+// Publishers
+//
+// Each channel gets the same content package and formats it its own way:
+//   { tweets, generation, notices, compliance, images, charts, summary, cryptoData, editions, threadGeneratedAt, createdAt }
+// notices are warnings a reader must see before posting (e.g. a fallback thread),
+// and every channel shows them above the tweets. editions are the threads in the
+// other locales ({ locale, tweets, notices, compliance, images, charts }); only
+// Telegram delivers them, each to its own TELEGRAM_CHAT_ID_<LANG> chat.
+// A publisher has a name, missingConfig() listing any settings it still
+// needs, and publish(contentPackage) which resolves to a short details string,
+// or to { details, delivered } when the channel gives back message ids.
+
+const DISCORD_MAX_EMBEDS = 10;
+const DISCORD_MAX_FILES = 10;
+export const X_MAX_MEDIA_PER_TWEET = 4;
+const X_THREAD_FILE = 'x-thread.json';
+
+export const PUBLISHERS = {
+    telegram: createTelegramPublisher,
+    discord: createDiscordPublisher,
+    slack: createSlackPublisher,
+    email: createEmailPublisher,
+    'x-draft': createXDraftPublisher,
+    x: createXPublisher
+};
+
+export function resolvePublishers(config, env, deps) {
+    const publishers = config.publishChannels.map(name => PUBLISHERS[name](env, config, deps));
+    const misconfigured = publishers
+        .map(publisher => ({ name: publisher.name, missing: publisher.missingConfig() }))
+        .filter(({ missing }) => missing.length > 0);
+    if (misconfigured.length > 0) {
+        throw new Error(`Enabled channels are missing settings: ${misconfigured.map(({ name, missing }) => `${name} (${missing.join(', ')})`).join('; ')}`);
+    }
+    
+    return publishers;
+}
+
+function missingEnv(env, keys) {
+    return keys.filter(key => !env[key]);
+}
+
+// Publishes to every channel independently so one broken webhook can't
+// take the others down with it
+export async function publishPackage(contentPackage, publishers) {
+    const results = [];
+    
+    for (const publisher of publishers) {
+        console.log(`📤 Publishing to ${publisher.name}...`);
+        try {
+            const output = await publisher.publish(contentPackage);
+            const { details, delivered = [] } = typeof output === 'object' && output !== null ? output : { details: output };
+            results.push({ channel: publisher.name, ok: true, details, delivered });
+            console.log(`✅ Published to ${publisher.name}${details ? `: ${details}` : ''}`);
+        } catch (error) {
+            results.push({ channel: publisher.name, ok: false, error: error.message });
+            console.error(`❌ Publishing to ${publisher.name} failed:`, error.message);
+        }
+    }
+    
+    return results;
+}
+
+export function formatPublishReport(results) {
+    return results
+        .map(result => result.ok ? `✅ ${result.channel}` : `❌ ${result.channel}: ${result.error}`)
+        .join('\n');
+}
+
+// "TELEGRAM_CHAT_ID_ES" for the es edition
+export function telegramChatIdKey(locale) {
+    return `TELEGRAM_CHAT_ID_${locale.toUpperCase()}`;
+}
+
+function createTelegramPublisher(env, config, deps) {
+    const token = env.TELEGRAM_BOT_TOKEN;
+    const chatId = env.TELEGRAM_CHAT_ID;
+    
+    // The message, the visuals and the compliance report for one language
+    async function sendPackage({ tweets, notices = [], compliance, images, charts }, { cryptoData, comparison }, targetChatId, i18n) {
+        // One block per tweet, so a post over the length limit splits between tweets
+        const blocks = buildMainMessageBlocks(tweets, cryptoData, comparison, config.telegramParseMode, notices, { i18n });
+        const delivered = [(await sendToTelegram(blocks, token, targetChatId, config.telegramParseMode, deps)).message_id];
+        
+        const visuals = [...images, ...charts];
+        const rendered = visuals.filter(item => deliveryAsset(item).isRaster);
+        const unrendered = visuals.filter(item => !deliveryAsset(item).isRaster);
+        
+        // PNGs go out as inline albums
+        for (let start = 0; start < rendered.length; start += TELEGRAM_MEDIA_GROUP_LIMIT) {
+            const batch = rendered.slice(start, start + TELEGRAM_MEDIA_GROUP_LIMIT);
+            console.log(`📸 Sending album of ${batch.length} visual(s)...`);
+            delivered.push(...[await sendMediaGroupToTelegram(batch, token, targetChatId, deps)].flat().map(message => message.message_id));
+            await deps.sleep(config.sendDelayMs); // Optional extra pause, rate limits are handled per request
+        }
+        
+        // Anything we couldn't rasterize, plus the SVG sources if asked for
+        const documents = config.telegramSendSvg ? visuals : unrendered;
+        for (let i = 0; i < documents.length; i++) {
+            console.log(`📎 Sending SVG ${i + 1}/${documents.length}...`);
+            await sendImageToTelegram(documents[i], token, targetChatId, config.telegramParseMode, deps);
+            await deps.sleep(config.sendDelayMs);
+        }
+        
+        if (compliance) {
+            delivered.push((await sendToTelegram(formatComplianceReport(compliance), token, targetChatId, 'none', deps)).message_id);
+        }
+        
+        return {
+            details: `message + ${rendered.length} photos + ${documents.length} documents${compliance ? ' + compliance report' : ''}`,
+            delivered
+        };
+    }
+    
+    return {
+        name: 'telegram',
+        missingConfig: () => missingEnv(env, ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', ...config.locales.slice(1).map(telegramChatIdKey)]),
+        
+        async publish(contentPackage) {
+            const { details, delivered } = await sendPackage(contentPackage, contentPackage, chatId, createI18n(config.locales[0]));
+            const editionDetails = [];
+            
+            for (const edition of contentPackage.editions || []) {
+                console.log(`🌐 Sending the ${edition.locale} thread...`);
+                const result = await sendPackage(edition, contentPackage, env[telegramChatIdKey(edition.locale)], createI18n(edition.locale));
+                delivered.push(...result.delivered);
+                editionDetails.push(`${edition.locale}: ${result.details}`);
+            }
+            
+            return {
+                details: [details, ...editionDetails].join('; '),
+                delivered
+            };
+        }
+    };
+}
+
+function createDiscordPublisher(env, config, deps) {
+    const webhookUrl = env.DISCORD_WEBHOOK_URL;
+    
+    return {
+        name: 'discord',
+        missingConfig: () => missingEnv(env, ['DISCORD_WEBHOOK_URL']),
+        
+        async publish({ tweets, notices = [], images, charts, summary }) {
+            // One embed per tweet keeps each under Discord's limits and easy to copy
+            const embeds = tweets.slice(0, DISCORD_MAX_EMBEDS).map(tweet => ({
+                description: tweet.text,
+                footer: { text: `Tweet ${tweet.index}/${tweet.total} • ${tweet.charCount}/${MAX_TWEET_LENGTH} chars` },
+                color: 0x27ae60
+            }));
+            
+            await postJson(deps.fetch, webhookUrl, {
+                content: `🧵 **Your Daily Crypto Twitter Thread is Ready!**\n\n${notices.map(notice => `**${notice}**\n\n`).join('')}${summary.join('\n')}`,
+                embeds
+            });
+            
+            // Discord takes up to 10 files per message
+            const attachments = [...images, ...charts];
+            for (let start = 0; start < attachments.length; start += DISCORD_MAX_FILES) {
+                const batch = attachments.slice(start, start + DISCORD_MAX_FILES);
+                const formData = new FormData();
+                formData.append('payload_json', JSON.stringify({ content: batch.map(item => `• ${item.description}`).join('\n').slice(0, 2000) }));
+                batch.forEach((item, i) => {
+                    const asset = deliveryAsset(item);
+                    formData.append(`files[${i}]`, new Blob([deps.fs.readFileSync(asset.filePath)], { type: asset.mimeType }), asset.fileName);
+                });
+                
+                const response = await deps.fetch(webhookUrl, { method: 'POST', body: formData });
+                if (!response.ok) {
+                    throw new Error(`Discord upload failed (${response.status}): ${await response.text()}`);
+                }
+            }
+            
+            return `${embeds.length} tweets + ${attachments.length} files`;
+        }
+    };
+}
+
+function createSlackPublisher(env, config, deps) {
+    const webhookUrl = env.SLACK_WEBHOOK_URL;
+    
+    return {
+        name: 'slack',
+        missingConfig: () => missingEnv(env, ['SLACK_WEBHOOK_URL']),
+        
+        // Incoming webhooks can't upload files, so visuals are listed by name
+        async publish({ tweets, notices = [], images, charts, summary }) {
+            const attachments = [...images, ...charts];
+            
+            const blocks = [
+                { type: 'header', text: { type: 'plain_text', text: '🧵 Your Daily Crypto Twitter Thread is Ready!' } },
+                ...notices.map(notice => ({ type: 'section', text: { type: 'mrkdwn', text: `*${escapeSlackText(notice)}*` } })),
+                ...tweets.map(tweet => ({
+                    type: 'section',
+                    text: { type: 'mrkdwn', text: `*Tweet ${tweet.index}/${tweet.total}* (${tweet.charCount} chars)\n${escapeSlackText(tweet.text)}` }
+                })),
+                { type: 'divider' },
+                { type: 'section', text: { type: 'mrkdwn', text: escapeSlackText(summary.join('\n')) } }
+            ];
+            if (attachments.length > 0) {
+                blocks.push({
+                    type: 'context',
+                    elements: [{ type: 'mrkdwn', text: `🎨 Visuals saved with the run: ${attachments.map(item => escapeSlackText(deliveryAsset(item).fileName)).join(', ')}` }]
+                });
+            }
+            
+            await postJson(deps.fetch, webhookUrl, {
+                text: `Daily crypto thread (${tweets.length} tweets)`,
+                blocks
+            });
+            
+            return `${tweets.length} tweets`;
+        }
+    };
+}
+
+function escapeSlackText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function createEmailPublisher(env) {
+    return {
+        name: 'email',
+        missingConfig: () => missingEnv(env, ['SMTP_HOST', 'EMAIL_FROM', 'EMAIL_TO']),
+        
+        async publish({ tweets, notices = [], images, charts, summary, createdAt }) {
+            const { default: nodemailer } = await import('nodemailer');
+            const port = parseInt(env.SMTP_PORT || '587', 10);
+            const transport = nodemailer.createTransport({
+                host: env.SMTP_HOST,
+                port,
+                secure: port === 465,
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            });
+            
+            const html = `<h2>🧵 Your Daily Crypto Twitter Thread</h2>
+${notices.map(notice => `<p><strong>${escapeHtml(notice)}</strong></p>\n`).join('')}${tweets.map(tweet => `<p><strong>Tweet ${tweet.index}/${tweet.total}</strong> <small>(${tweet.charCount} chars)</small><br>${escapeHtml(tweet.text).replace(/\n/g, '<br>')}</p>`).join('\n')}
+<hr>
+<p>${summary.map(escapeHtml).join('<br>')}</p>`;
+
+            const attachments = [...images, ...charts];
+            const info = await transport.sendMail({
+                from: env.EMAIL_FROM,
+                to: env.EMAIL_TO,
+                subject: `Daily crypto thread • ${createdAt.slice(0, 10)}`,
+                text: `${notices.map(notice => `${notice}\n\n`).join('')}${formatThreadText(tweets)}\n\n${summary.join('\n')}`,
+                html,
+                attachments: attachments.map(item => {
+                    const asset = deliveryAsset(item);
+                    return { filename: asset.fileName, path: asset.filePath, contentType: asset.mimeType };
+                })
+            });
+            
+            return { details: `message ${info.messageId}`, delivered: [info.messageId] };
+        }
+    };
+}
+
+// "1:images,2:charts" -> [{ tweet: 1, visuals: 'images' }, { tweet: 2, visuals: 'charts' }]
+export function parseXMediaPlan(value) {
+    return String(value).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = /^(\d+):(images|charts)$/.exec(entry);
+        if (!match || parseInt(match[1], 10) < 1) {
+            throw new Error(`Invalid X media entry "${entry}", expected <tweet>:images or <tweet>:charts`);
+        }
+        return { tweet: parseInt(match[1], 10), visuals: match[2] };
+    });
+}
+
+// The visuals xMediaTweets puts on the tweet at this position, at most 4 as X allows
+export function xMediaFor(position, { images, charts }, config) {
+    return parseXMediaPlan(config.xMediaTweets)
+        .filter(entry => entry.tweet === position + 1)
+        .flatMap(entry => ({ images, charts })[entry.visuals])
+        .slice(0, X_MAX_MEDIA_PER_TWEET);
+}
+
+// Writes the thread as a JSON payload that a person (or the x channel) can
+// turn into an X thread, with the visuals placed as xMediaTweets says.
+function createXDraftPublisher(env, config, deps) {
+    const { draftsDir } = config;
+    
+    return {
+        name: 'x-draft',
+        missingConfig: () => [],
+        
+        async publish({ tweets, generation, notices = [], images, charts, createdAt }) {
+            if (!deps.fs.existsSync(draftsDir)) {
+                deps.fs.mkdirSync(draftsDir, { recursive: true });
+            }
+            
+            const mediaFor = position => xMediaFor(position, { images, charts }, config)
+                .map(item => {
+                    const asset = deliveryAsset(item);
+                    return { fileName: asset.fileName, filePath: asset.filePath, mimeType: asset.mimeType, altText: item.description, sourceSvg: item.filePath };
+                });
+            
+            const draft = {
+                createdAt,
+                generation,
+                notices,
+                tweets: tweets.map((tweet, position) => ({
+                    index: tweet.index,
+                    text: tweet.text,
+                    charCount: tweet.charCount,
+                    media: mediaFor(position)
+                }))
+            };
+            
+            const filePath = path.join(draftsDir, `x-thread-${deps.now().getTime()}.json`);
+            deps.fs.writeFileSync(filePath, JSON.stringify(draft, null, 2));
+            return filePath;
+        }
+    };
+}
+
+// Posts the thread to X as a reply chain. Every posted tweet is saved to
+// <workDir>/x-thread.json right away, keyed by when the thread was generated, so
+// running `publish` again skips what is already on X and carries on from the
+// last tweet that went out. A work dir holds one thread: once one is on X, a
+// regenerated thread is refused rather than posted as a second one. The tweet
+// links are reported to Telegram when it's set up.
+function createXPublisher(env, config, deps) {
+    const token = env.X_ACCESS_TOKEN;
+    const statePath = path.join(config.workDir, X_THREAD_FILE);
+    
+    const report = async message => {
+        if (!env.TELEGRAM_BOT_TOKEN || !env.TELEGRAM_CHAT_ID) {
+            return;
+        }
+        try {
+            await sendToTelegram(message, env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID, 'none', deps);
+        } catch (error) {
+            console.error('❌ Could not report the X thread to Telegram:', error.message);
+        }
+    };
+    
+    return {
+        name: 'x',
+        missingConfig: () => missingEnv(env, ['X_ACCESS_TOKEN']),
+        
+        async publish({ tweets, images, charts, threadGeneratedAt, createdAt }) {
+            const threadId = threadGeneratedAt || createdAt;
+            const saved = deps.fs.existsSync(statePath) ? JSON.parse(deps.fs.readFileSync(statePath, 'utf8')) : null;
+            if (saved?.posted.length > 0 && saved.threadGeneratedAt !== threadId) {
+                throw new Error(`A thread generated at ${saved.threadGeneratedAt} is already on X from ${config.workDir} (${saved.posted[0].url}), not posting a second one. Use a new --work-dir or remove ${statePath} to post this thread`);
+            }
+            const state = saved?.threadGeneratedAt === threadId ? saved : { threadGeneratedAt: threadId, posted: [] };
+            const links = () => state.posted.map((tweet, i) => `${i + 1}/${tweets.length} ${tweet.url}`).join('\n');
+            
+            if (state.posted.length === tweets.length) {
+                console.log(`ℹ️ This thread is already on X: ${state.posted[0].url}`);
+                return { details: `already posted: ${state.posted[0].url}`, delivered: state.posted.map(tweet => tweet.id) };
+            }
+            if (state.posted.length > 0) {
+                console.log(`↩️ Resuming the X thread after tweet ${state.posted.length}/${tweets.length}`);
+            }
+            
+            try {
+                for (let position = state.posted.length; position < tweets.length; position++) {
+                    const mediaIds = [];
+                    for (const item of xMediaFor(position, { images, charts }, config)) {
+                        const asset = deliveryAsset(item);
+                        if (!asset.isRaster) {
+                            console.warn(`⚠️ X doesn't take SVG, skipping ${asset.fileName}`);
+                            continue;
+                        }
+                        mediaIds.push(await uploadXMedia(asset, item.description, token, deps));
+                    }
+                    
+                    const tweet = await postTweet(tweets[position].text, { replyTo: state.posted.at(-1)?.id, mediaIds }, token, deps);
+                    state.posted.push({ index: tweets[position].index, id: tweet.id, url: tweet.url, mediaIds, postedAt: deps.now().toISOString() });
+                    if (!deps.fs.existsSync(config.workDir)) {
+                        deps.fs.mkdirSync(config.workDir, { recursive: true });
+                    }
+                    deps.fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+                    console.log(`🐦 Posted tweet ${position + 1}/${tweets.length}: ${tweet.url}`);
+                }
+            } catch (error) {
+                await report(`⚠️ Posting to X stopped after ${state.posted.length} of ${tweets.length} tweets: ${error.message}\nRun \`node automation.js publish\` to resume.${state.posted.length > 0 ? `\n\n${links()}` : ''}`);
+                throw error;
+            }
+            
+            await report(`🐦 Posted the thread to X:\n${links()}`);
+            return { details: `${tweets.length} tweets: ${state.posted[0].url}`, delivered: state.posted.map(tweet => tweet.id) };
+        }
+    };
+}
+
+async function postJson(fetch, url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    
+    if (!response.ok) {
+        throw new Error(`POST failed (${response.status}): ${await response.text()}`);
+    }
+    return response;
+}
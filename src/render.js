@@ -0,0 +1,94 @@
+import path from 'path';
+import { createRequire } from 'module';
+
+const DEFAULT_DELIVERY_RENDER = 'x-card';
+const RENDER_FONT_FAMILY = 'DejaVu Sans';
+const RENDER_FONT_FILES = [
+    'dejavu-fonts-ttf/ttf/DejaVuSans.ttf',
+    'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'
+];
+
+// Rasterizes every generated SVG to PNG at each configured size. Fonts come
+// from the bundled DejaVu TTFs, never the runner's system fonts, so output
+// looks the same everywhere. Adds item.renders = [{ size, width, height, fileName, filePath }].
+export async function renderVisuals(items, sizeList, deps) {
+    const sizes = parseRenderSizes(sizeList);
+    
+    let Resvg;
+    try {
+        ({ Resvg } = await import('@resvg/resvg-js'));
+    } catch (error) {
+        console.warn('⚠️ PNG renderer unavailable, visuals will be sent as SVG:', error.message);
+        return items;
+    }
+    
+    const require = createRequire(import.meta.url);
+    const fontFiles = RENDER_FONT_FILES.map(file => require.resolve(file));
+    
+    for (const item of items) {
+        item.renders = [];
+        
+        try {
+            const svg = deps.fs.readFileSync(item.filePath, 'utf8');
+            
+            for (const size of sizes) {
+                const resvg = new Resvg(fitSvgToCanvas(svg, size.width, size.height), {
+                    fitTo: { mode: 'width', value: size.width },
+                    font: {
+                        fontFiles,
+                        loadSystemFonts: false,
+                        defaultFontFamily: RENDER_FONT_FAMILY,
+                        sansSerifFamily: RENDER_FONT_FAMILY
+                    }
+                });
+                
+                const fileName = item.fileName.replace(/\.svg$/, `-${size.name}.png`);
+                const filePath = path.join(path.dirname(item.filePath), fileName);
+                deps.fs.writeFileSync(filePath, resvg.render().asPng());
+                
+                item.renders.push({ size: size.name, width: size.width, height: size.height, fileName, filePath });
+            }
+            
+            console.log(`✅ Rendered ${item.fileName} to ${item.renders.map(r => r.size).join(', ')}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not render ${item.fileName}:`, error.message);
+        }
+    }
+    
+    return items;
+}
+
+// "x-card:1200x675,square:1080x1080" -> [{ name, width, height }]
+export function parseRenderSizes(sizeList) {
+    return sizeList.split(',').map(entry => {
+        const match = entry.trim().match(/^([\w-]+):(\d+)x(\d+)$/);
+        if (!match) {
+            throw new Error(`Invalid render size "${entry.trim()}", expected name:WIDTHxHEIGHT`);
+        }
+        return { name: match[1], width: parseInt(match[2], 10), height: parseInt(match[3], 10) };
+    });
+}
+
+// Letterboxes the original drawing, centred, inside a canvas of the target size
+export function fitSvgToCanvas(svg, width, height) {
+    const openTag = svg.match(/<svg\b[^>]*>/)[0];
+    const sourceWidth = parseFloat(openTag.match(/\bwidth="([\d.]+)"/)?.[1] || width);
+    const sourceHeight = parseFloat(openTag.match(/\bheight="([\d.]+)"/)?.[1] || height);
+    const background = svg.match(/<rect width="100%" height="100%" fill="([^"]+)"/)?.[1] || '#ffffff';
+    
+    const inner = svg
+        .slice(svg.indexOf(openTag) + openTag.length, svg.lastIndexOf('</svg>'));
+    
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <svg x="0" y="0" width="${width}" height="${height}" viewBox="0 0 ${sourceWidth} ${sourceHeight}" preserveAspectRatio="xMidYMid meet">${inner}</svg>
+</svg>`;
+}
+
+// The file a channel should attach: the preferred PNG render when we have one, else the SVG
+export function deliveryAsset(item, sizeName = DEFAULT_DELIVERY_RENDER) {
+    const render = item.renders?.find(r => r.size === sizeName) || item.renders?.[0];
+    return render
+        ? { fileName: render.fileName, filePath: render.filePath, mimeType: 'image/png', isRaster: true }
+        : { fileName: item.fileName, filePath: item.filePath, mimeType: 'image/svg+xml', isRaster: false };
+}
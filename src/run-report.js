@@ -0,0 +1,189 @@
+import { format } from 'util';
+import { changeStatus, isSampleData } from './provenance.js';
+
+// Run observability
+//
+// Every command gets a run observer. It times the pipeline stages, keeps the
+// warnings and errors logged along the way and, with logFormat json, turns
+// each console line into one JSON object carrying the run id and the stage.
+// When the command ends the run is written to <workDir>/run-report.json, and
+// runs that publish or fail get a short health summary in Telegram.
+
+export const LOG_FORMATS = ['text', 'json'];
+const MAX_REPORTED_WARNINGS = 50;
+const HEALTH_STATUS_ICONS = { success: '✅', partial: '⚠️', blocked: '🛑', failed: '❌' };
+
+// Nested runs (the scheduler's stages, the bot's /thread) share one console
+// patch; lines belong to the innermost run
+const observers = [];
+let consoleMethods = null;
+
+export function createRunObserver(run, config, deps) {
+    run.stages = [];
+    run.warnings = [];
+    let current = null;
+    
+    const endStage = (status, details) => {
+        if (current) {
+            current.status = status;
+            current.durationMs = deps.now().getTime() - Date.parse(current.startedAt);
+            if (details) {
+                current.details = details;
+            }
+            current = null;
+        }
+    };
+    
+    const observer = {
+        run,
+        config,
+        deps,
+        currentStage: () => current?.name || null,
+        
+        stage(name) {
+            endStage('ok');
+            current = { name, status: 'running', startedAt: deps.now().toISOString(), durationMs: null };
+            run.stages.push(current);
+        },
+        
+        stageDone(details = null) {
+            endStage('ok', details);
+        },
+        
+        // Closes the open stage, as failed when the run failed
+        finish(error = null) {
+            if (error) {
+                run.error = { stage: current?.name || null, message: error.message };
+            }
+            endStage(error ? 'failed' : 'ok');
+        },
+        
+        // Hands the console back once the run has been reported
+        release() {
+            observers.splice(observers.indexOf(observer), 1);
+            if (observers.length === 0) {
+                Object.assign(console, consoleMethods);
+                consoleMethods = null;
+            }
+        }
+    };
+    
+    if (observers.length === 0) {
+        consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+        console.log = (...args) => writeLogLine('info', args);
+        console.warn = (...args) => writeLogLine('warn', args);
+        console.error = (...args) => writeLogLine('error', args);
+    }
+    observers.push(observer);
+    return observer;
+}
+
+function writeLogLine(level, args) {
+    const { run, config, deps, currentStage } = observers.at(-1);
+    const write = consoleMethods[level === 'info' ? 'log' : level];
+    const message = format(...args);
+    
+    if (level !== 'info' && run.warnings.length < MAX_REPORTED_WARNINGS) {
+        run.warnings.push({ level, stage: currentStage(), message });
+    }
+    if (config.logFormat === 'json') {
+        write(JSON.stringify({ time: deps.now().toISOString(), level, runId: run.runId, command: run.command, stage: currentStage(), message }));
+    } else {
+        write(...args);
+    }
+}
+
+// Everything that didn't go the normal way: sample data, a provider failover,
+// derived 24h changes, a fallback model or template thread, compliance fixes,
+// a language edition written from the template or held back by the compliance check
+export function describeRunFallbacks(run, cryptoData, config) {
+    const fallbacks = [];
+    
+    if (cryptoData?.length && isSampleData(cryptoData)) {
+        fallbacks.push({ type: 'sample-data', detail: 'built-in sample data, every market data provider failed' });
+    } else if (cryptoData?.length) {
+        const source = Object.values(cryptoData[0].provenance || {}).find(entry => entry?.status === 'real')?.source?.split(':')[0];
+        if (source && source !== config.marketDataProviders[0]) {
+            fallbacks.push({ type: 'provider-failover', detail: `market data from ${source}, ${config.marketDataProviders[0]} failed` });
+        }
+        const derived = cryptoData.filter(coin => changeStatus(coin) === 'derived').map(coin => coin.symbol);
+        if (derived.length > 0) {
+            fallbacks.push({ type: 'derived-change', detail: `24h change derived from hourly prices for ${derived.join(', ')}` });
+        }
+    }
+    
+    if (run.generation?.fallback) {
+        fallbacks.push({ type: 'template-thread', detail: `template thread, AI generation failed: ${run.generation.error}` });
+    } else if (run.generation?.modelFallback) {
+        fallbacks.push({ type: 'model-fallback', detail: `written by ${run.generation.model} (${run.generation.failedModels.join(', ')} failed)` });
+    }
+    
+    (run.compliance?.fixes || []).forEach(fix => fallbacks.push({ type: 'compliance-fix', detail: fix }));
+    (run.editions || []).forEach(edition => {
+        if (edition.generation?.fallback) {
+            fallbacks.push({ type: 'template-thread', detail: `${edition.locale} template thread, AI generation failed: ${edition.generation.error}` });
+        }
+        if (edition.status === 'blocked') {
+            fallbacks.push({ type: 'edition-blocked', detail: `${edition.locale} thread blocked by the compliance check, not published` });
+        } else if (edition.status !== 'ready') {
+            fallbacks.push({ type: 'edition-unapproved', detail: `${edition.locale} thread not approved in review (${edition.status}), not published` });
+        }
+    });
+    return fallbacks;
+}
+
+// The machine-readable summary saved as run-report.json
+export function buildRunReport(run, cryptoData, config) {
+    return {
+        runId: run.runId,
+        command: run.command,
+        status: run.status,
+        dryRun: config.dryRun,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: Date.parse(run.finishedAt) - Date.parse(run.startedAt),
+        error: run.error || null,
+        stages: run.stages,
+        fallbacks: describeRunFallbacks(run, cryptoData, config),
+        warnings: run.warnings,
+        coins: run.coins.map(coin => coin.symbol),
+        generation: run.generation,
+        llmUsage: run.llmUsage,
+        compliance: run.compliance ? { violations: run.compliance.violations.length, fixes: run.compliance.fixes } : null,
+        editions: (run.editions || []).map(({ locale, status, generation, compliance }) => ({
+            locale,
+            status,
+            model: generation?.model || null,
+            violations: compliance ? compliance.violations.length : null
+        })),
+        deliveries: run.publishResults.map(({ channel, ok, details = null, error = null, delivered = [] }) => ({ channel, ok, details, error, delivered }))
+    };
+}
+
+// A few plain-text lines for Telegram: outcome, stage timings, fallbacks,
+// warnings and where the package went
+export function formatHealthSummary(report) {
+    const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+    const lines = [
+        `${HEALTH_STATUS_ICONS[report.status] || '⏸️'} Run ${report.runId.slice(0, 8)} (${report.command}): ${report.status}${report.error?.stage ? ` during ${report.error.stage}` : ''} after ${seconds(report.durationMs)}`
+    ];
+    
+    if (report.stages.length > 0) {
+        lines.push(`⏱️ ${report.stages.map(stage => `${stage.name} ${stage.status === 'failed' ? '❌' : seconds(stage.durationMs)}`).join(' · ')}`);
+    }
+    if (report.error) {
+        lines.push(`❌ ${report.error.message}`);
+    }
+    if (report.fallbacks.length > 0) {
+        lines.push(`🔁 Fallbacks: ${report.fallbacks.map(fallback => fallback.detail).join('; ')}`);
+    }
+    const warnings = report.warnings.filter(warning => warning.level === 'warn');
+    if (warnings.length > 0) {
+        lines.push(`⚠️ ${warnings.length} warning(s), first: ${warnings[0].message.replace(/^⚠️\s*/, '').slice(0, 200)}`);
+    }
+    if (report.deliveries.length > 0) {
+        lines.push(`📬 ${report.deliveries.map(delivery => delivery.ok ? `${delivery.channel} ✅` : `${delivery.channel} ❌ ${delivery.error}`).join(' · ')}`);
+    }
+    
+    return lines.join('\n');
+}
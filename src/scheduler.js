@@ -0,0 +1,274 @@
+import path from 'path';
+import { parseTemplateSpec } from './prompts.js';
+
+// Scheduler
+//
+// The schedule setting lists slots, each a wall-clock time in a time zone
+// mapped to a thread format:
+//   "08:00 America/Los_Angeles daily-recap; 18:00 America/Los_Angeles gainers-losers; sun 10:00 America/Los_Angeles weekly-wrap"
+// A slot may start with days (mon-fri, sat+sun, sun). Each tick turns the slots
+// that came due since the last tick into queue entries, generates them (fetch,
+// generate, render and, with requireApproval, review) into their own work
+// directory under queueDir, then publishes every queued entry. An entry whose
+// thread is discarded or expires in review is marked discarded, and one the
+// compliance check blocks is marked blocked; neither is published or retried.
+// An entry that fails is retried on a later tick, up to QUEUE_MAX_ATTEMPTS
+// times. Ticks come from `node automation.js schedule` (long-lived) or
+// `node automation.js tick` (cron).
+
+export const SCHEDULE_MISSED_POLICIES = ['catch-up', 'skip'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_TICK_MS = 60 * 1000;
+const MAX_LOOKBACK_MS = 7 * DAY_MS;
+const QUEUE_MAX_ATTEMPTS = 3;
+const QUEUE_RETRY_MS = 15 * 60 * 1000;
+const QUEUE_HISTORY_MS = 30 * DAY_MS;
+
+// "sat+sun 10:00 Europe/Berlin weekly-wrap@v1; ..." -> [{ id, days, hour, minute, timeZone, format }]
+export function parseSchedule(value) {
+    const slots = String(value).split(';').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const tokens = entry.split(/\s+/);
+        if (tokens.length < 3 || tokens.length > 4) {
+            throw new Error(`Invalid schedule slot "${entry}", expected [days] HH:MM <time zone> <format>`);
+        }
+        const [dayList, time, timeZone, format] = tokens.length === 4 ? tokens : ['daily', ...tokens];
+        
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+        if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+            throw new Error(`Invalid time "${time}" in schedule slot "${entry}", expected HH:MM`);
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch {
+            throw new Error(`Unknown time zone "${timeZone}" in schedule slot "${entry}"`);
+        }
+        parseTemplateSpec(format);
+        
+        return { id: tokens.join(' '), days: parseDays(dayList, entry), hour: parseInt(match[1], 10), minute: parseInt(match[2], 10), timeZone, format };
+    });
+    
+    if (slots.length === 0) {
+        throw new Error('expected at least one slot, e.g. "08:00 America/Los_Angeles daily-recap"');
+    }
+    return slots;
+}
+
+// "daily", "sun", "mon-fri" or "sat+sun" -> weekday numbers (0 = Sunday)
+function parseDays(dayList, entry) {
+    if (dayList.toLowerCase() === 'daily') {
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+    
+    return [...new Set(dayList.toLowerCase().split('+').flatMap(part => {
+        const [first, last = first] = part.split('-').map(day => WEEKDAYS.indexOf(day));
+        if (first < 0 || last < 0) {
+            throw new Error(`Invalid days "${dayList}" in schedule slot "${entry}", expected e.g. daily, sun, mon-fri or sat+sun`);
+        }
+        const days = [];
+        for (let day = first; ; day = (day + 1) % 7) {
+            days.push(day);
+            if (day === last) {
+                return days;
+            }
+        }
+    }))].sort();
+}
+
+function zonedParts(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, parseInt(part.value, 10)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// The UTC timestamp of a wall-clock time in timeZone, following DST. A time
+// skipped by a spring-forward jump comes out an hour early.
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let utc = wall;
+    for (let i = 0; i < 2; i++) {
+        const local = zonedParts(utc, timeZone);
+        utc += wall - Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    }
+    return utc;
+}
+
+// Timestamps at which the slot was due, after from and up to and including to
+export function slotOccurrences(slot, from, to) {
+    const start = zonedParts(from - DAY_MS, slot.timeZone);
+    const occurrences = [];
+    
+    for (let offset = 0; offset <= Math.ceil((to - from) / DAY_MS) + 2; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        if (!slot.days.includes(date.getUTCDay())) {
+            continue;
+        }
+        const dueAt = zonedTimeToUtc({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: slot.hour,
+            minute: slot.minute
+        }, slot.timeZone);
+        if (dueAt > from && dueAt <= to) {
+            occurrences.push(dueAt);
+        }
+    }
+    
+    return occurrences;
+}
+
+export function loadScheduleState(filePath, deps) {
+    if (!deps.fs.existsSync(filePath)) {
+        return { lastCheckedAt: null, entries: [] };
+    }
+    return JSON.parse(deps.fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveScheduleState(filePath, state, deps) {
+    const dir = path.dirname(filePath);
+    if (!deps.fs.existsSync(dir)) {
+        deps.fs.mkdirSync(dir, { recursive: true });
+    }
+    deps.fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+}
+
+// One tick. runStage(command, entry) runs one pipeline stage for a queue entry
+// with entry.workDir and entry.format; for review it resolves to the decision
+// (approved, discarded or expired) and for publish to the run status (success,
+// partial or blocked). A dry run saves nothing, so it doesn't use up any slot.
+export async function runScheduleTick(context, deps) {
+    const { config, runStage } = context;
+    const slots = parseSchedule(config.schedule);
+    const state = loadScheduleState(config.scheduleStateFile, deps);
+    const now = deps.now().getTime();
+    const graceMs = config.scheduleGraceMinutes * 60 * 1000;
+    const save = () => config.dryRun || saveScheduleState(config.scheduleStateFile, state, deps);
+    
+    // A first tick only picks up slots that are due within the grace period
+    const from = Math.max(state.lastCheckedAt ? Date.parse(state.lastCheckedAt) : now - graceMs, now - MAX_LOOKBACK_MS);
+    
+    for (const slot of slots) {
+        const due = slotOccurrences(slot, from, now);
+        due.forEach((dueAt, i) => {
+            const key = `${slot.id}@${new Date(dueAt).toISOString()}`;
+            if (state.entries.some(entry => entry.key === key)) {
+                return;
+            }
+            
+            const entry = { key, slot: slot.id, format: slot.format, dueAt: new Date(dueAt).toISOString(), status: 'due', attempts: 0 };
+            const late = now - dueAt > graceMs;
+            // Catching up runs only the latest missed time of each slot
+            if (late && (config.scheduleMissed === 'skip' || i < due.length - 1)) {
+                console.log(`⏭️ Skipping ${slot.id} due ${formatSlotTime(dueAt, slot.timeZone)}, missed by ${Math.round((now - dueAt) / 60000)} min`);
+                state.entries.push({ ...entry, status: 'skipped' });
+                return;
+            }
+            
+            const local = zonedParts(dueAt, slot.timeZone);
+            const stamp = `${local.year}${pad(local.month)}${pad(local.day)}-${pad(local.hour)}${pad(local.minute)}`;
+            console.log(`⏰ ${slot.id} is due${late ? ` (catching up, ${Math.round((now - dueAt) / 60000)} min late)` : ''}`);
+            state.entries.push({ ...entry, workDir: path.join(config.queueDir, `${parseTemplateSpec(slot.format).format}-${stamp}`) });
+        });
+    }
+    state.lastCheckedAt = new Date(now).toISOString();
+    state.entries = state.entries.filter(entry => ['due', 'queued'].includes(entry.status) || Date.parse(entry.dueAt) > now - QUEUE_HISTORY_MS);
+    save();
+    
+    const ready = state.entries.filter(entry => ['due', 'queued'].includes(entry.status) && (!entry.retryAt || Date.parse(entry.retryAt) <= now));
+    for (const entry of ready) {
+        try {
+            if (entry.status === 'due') {
+                for (const stage of ['fetch', 'generate', 'render']) {
+                    await runStage(stage, entry);
+                }
+                // A thread discarded or left to expire in review is done, not failed
+                const review = config.requireApproval ? await runStage('review', entry) : null;
+                if (review && review !== 'approved') {
+                    entry.status = 'discarded';
+                    entry.review = review;
+                    console.log(`🛑 ${entry.slot} (due ${entry.dueAt}) was ${review} in review, nothing will be published`);
+                    save();
+                    continue;
+                }
+                entry.status = 'queued';
+                entry.generatedAt = deps.now().toISOString();
+                save();
+            }
+            
+            // The compliance check can hold a thread back without the stage failing
+            if (await runStage('publish', entry) === 'blocked') {
+                entry.status = 'blocked';
+                console.log(`🛑 ${entry.slot} (due ${entry.dueAt}) was blocked by the compliance check, nothing was published`);
+                save();
+                continue;
+            }
+            entry.status = 'published';
+            entry.publishedAt = deps.now().toISOString();
+            delete entry.error;
+            delete entry.retryAt;
+            console.log(`✅ Published ${entry.slot} (due ${entry.dueAt})`);
+        } catch (error) {
+            entry.attempts++;
+            entry.error = error.message;
+            if (entry.attempts >= QUEUE_MAX_ATTEMPTS) {
+                entry.status = 'failed';
+                console.error(`❌ Giving up on ${entry.slot} (due ${entry.dueAt}) after ${entry.attempts} attempts:`, error.message);
+            } else {
+                entry.retryAt = new Date(now + QUEUE_RETRY_MS).toISOString();
+                console.warn(`⚠️ ${entry.slot} failed, retrying after ${entry.retryAt.slice(11, 16)} UTC:`, error.message);
+            }
+        }
+        save();
+    }
+    
+    console.log(formatQueue(state, slots, now));
+    return state;
+}
+
+// Runs a tick every minute until context.signal is aborted
+export async function runScheduler(context, deps) {
+    const { config, signal } = context;
+    console.log(`🗓️ Scheduler running ${parseSchedule(config.schedule).length} slot(s), missed slots: ${config.scheduleMissed}`);
+    
+    while (!signal?.aborted) {
+        try {
+            await runScheduleTick(context, deps);
+        } catch (error) {
+            console.error('❌ Schedule tick failed:', error.message);
+        }
+        await deps.sleep(SCHEDULE_TICK_MS, signal);
+    }
+    
+    console.log('🛑 Scheduler stopped');
+}
+
+export function formatQueue(state, slots, now) {
+    const pending = state.entries.filter(entry => ['due', 'queued'].includes(entry.status));
+    const next = slots
+        .map(slot => ({ slot, dueAt: slotOccurrences(slot, now, now + 8 * DAY_MS)[0] }))
+        .filter(({ dueAt }) => dueAt)
+        .sort((a, b) => a.dueAt - b.dueAt)[0];
+    
+    return [
+        `📋 Queue: ${pending.length === 0 ? 'empty' : pending.map(entry => `${entry.slot} (${entry.status}${entry.retryAt ? `, retry ${entry.retryAt.slice(11, 16)} UTC` : ''})`).join(', ')}`,
+        next ? `⏭️ Next: ${next.slot.id} at ${formatSlotTime(next.dueAt, next.slot.timeZone)}` : '⏭️ Next: none'
+    ].join('\n');
+}
+
+function formatSlotTime(timestamp, timeZone) {
+    const local = zonedParts(timestamp, timeZone);
+    return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)} ${timeZone}`;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
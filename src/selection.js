@@ -0,0 +1,80 @@
+import { createI18n } from './i18n.js';
+
+// Coin selection
+//
+// coinSelection decides which coins a thread covers: a comma-separated list of
+// strategy[:category][:count] parts, filled in order until coinLimit coins are
+// picked. A part without a count takes whatever is left, and a coin an earlier
+// part already picked is skipped.
+//   trending          - the provider's trending list (or its stand-in, see providers.js)
+//   watchlist         - the coinWatchlist symbols, in that order
+//   top               - the largest coins by market cap
+//   gainers / losers  - the biggest 24h risers or fallers among the largest 100
+//   portfolio         - the portfolio holdings, heaviest first
+// top, gainers and losers take a category: one of COIN_CATEGORIES or any
+// CoinGecko category id, e.g. "watchlist:2,gainers:defi:2,trending".
+
+// Each strategy's label is the selection.<strategy> message, e.g. "top-gaining"
+export const COIN_SELECTION_STRATEGIES = {
+    trending: { categories: false },
+    watchlist: { categories: false },
+    top: { categories: true },
+    gainers: { categories: true },
+    losers: { categories: true },
+    portfolio: { categories: false }
+};
+
+// Short names for the CoinGecko categories asked for most
+export const COIN_CATEGORIES = {
+    defi: { id: 'decentralized-finance-defi', name: 'DeFi' },
+    l1: { id: 'layer-1', name: 'layer 1' },
+    l2: { id: 'layer-2', name: 'layer 2' },
+    memes: { id: 'meme-token', name: 'meme' },
+    ai: { id: 'artificial-intelligence', name: 'AI' },
+    gaming: { id: 'gaming', name: 'gaming' }
+};
+
+// "watchlist:2,gainers:defi,trending" -> [{ name: 'watchlist', strategy: 'watchlist', category: null, count: 2 }, ...]
+export function parseCoinSelection(value) {
+    const parts = String(value).split(',').map(part => part.trim().toLowerCase()).filter(Boolean).map(part => {
+        const [strategy, ...options] = part.split(':').map(option => option.trim());
+        if (!COIN_SELECTION_STRATEGIES[strategy]) {
+            throw new Error(`Unknown coin selection strategy "${strategy}" (available: ${Object.keys(COIN_SELECTION_STRATEGIES).join(', ')})`);
+        }
+        
+        let category = null;
+        let count = null;
+        options.forEach(option => {
+            if (/^\d+$/.test(option) && count === null && parseInt(option, 10) > 0) {
+                count = parseInt(option, 10);
+            } else if (/^[a-z][a-z0-9-]*$/.test(option) && category === null && COIN_SELECTION_STRATEGIES[strategy].categories) {
+                category = option;
+            } else {
+                throw new Error(`Invalid coin selection "${part}", expected ${strategy}${COIN_SELECTION_STRATEGIES[strategy].categories ? '[:category]' : ''}[:count]`);
+            }
+        });
+        
+        return { name: category ? `${strategy}:${category}` : strategy, strategy, category, count };
+    });
+    
+    if (parts.length === 0) {
+        throw new Error('expected at least one strategy, e.g. trending');
+    }
+    return parts;
+}
+
+// The CoinGecko category id for an alias or an id
+export function resolveCoinCategory(category) {
+    return COIN_CATEGORIES[category]?.id || category;
+}
+
+// "trending", "watchlist and top-gaining DeFi" for the prompt, cards and charts.
+// Coins without a selectedBy (older saved data, coins asked for by symbol) count as trending.
+export function describeCoinSelection(coins, { i18n = createI18n() } = {}) {
+    const labels = [...new Set(coins.map(coin => coin.selectedBy || 'trending'))].map(name => {
+        const [strategy, category] = name.split(':');
+        const label = COIN_SELECTION_STRATEGIES[strategy] ? i18n.t(`selection.${strategy}`) : strategy;
+        return category ? `${label} ${COIN_CATEGORIES[category]?.name || category}` : label;
+    });
+    return i18n.list(labels) || i18n.t('selection.trending');
+}
@@ -0,0 +1,102 @@
+import { escapeHtml } from './utils.js';
+
+// Telegram formatting
+//
+// Everything we send goes through the markup for the configured parse mode, so
+// an underscore in a coin name or an asterisk in a tweet can't break the message.
+// Each mode has escape(text) for plain content and bold/italic(text) which escape
+// their content too.
+
+export const TELEGRAM_PARSE_MODES = ['HTML', 'MarkdownV2', 'Markdown', 'none'];
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+const MARKDOWN_SPECIAL = /[_*`[]/g;
+
+const TELEGRAM_MARKUP = {
+    HTML: {
+        escape: text => escapeHtml(text),
+        bold: text => `<b>${escapeHtml(text)}</b>`,
+        italic: text => `<i>${escapeHtml(text)}</i>`
+    },
+    MarkdownV2: {
+        escape: text => String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&'),
+        bold: text => `*${String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&')}*`,
+        italic: text => `_${String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&')}_`
+    },
+    // Legacy Markdown can't escape inside an entity, so markers are dropped there
+    Markdown: {
+        escape: text => String(text).replace(MARKDOWN_SPECIAL, '\\$&'),
+        bold: text => `*${String(text).replace(/\*/g, '')}*`,
+        italic: text => `_${String(text).replace(/_/g, '')}_`
+    },
+    none: {
+        escape: text => String(text),
+        bold: text => String(text),
+        italic: text => String(text)
+    }
+};
+
+export function telegramMarkup(parseMode) {
+    const markup = TELEGRAM_MARKUP[parseMode];
+    if (!markup) {
+        throw new Error(`Unsupported Telegram parse mode "${parseMode}" (available: ${TELEGRAM_PARSE_MODES.join(', ')})`);
+    }
+    return markup;
+}
+
+// Undoes the markup so a message Telegram refused to parse can go out as plain text
+export function toPlainText(text, parseMode) {
+    switch (parseMode) {
+        case 'HTML':
+            return text
+                .replace(/<[^>]+>/g, '')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&amp;/g, '&');
+        case 'MarkdownV2':
+            return text
+                .replace(/(?<!\\)[*_~]|(?<!\\)\|\|/g, '')
+                .replace(/\\(.)/g, '$1');
+        case 'Markdown':
+            return text
+                .replace(/(?<!\\)[*_`]/g, '')
+                .replace(/\\([_*`[])/g, '$1');
+        default:
+            return text;
+    }
+}
+
+// Packs blocks (one per tweet or paragraph) into as few messages as fit the
+// limit. A block is only cut up when it is too long on its own: first at line
+// breaks, then hard at the limit.
+export function splitTelegramMessage(blocks, limit = TELEGRAM_MESSAGE_LIMIT) {
+    return packPieces(blocks.flatMap(block => block.length > limit ? splitLongBlock(block, limit) : [block]), '\n\n', limit);
+}
+
+function splitLongBlock(block, limit) {
+    const lines = block.split('\n').flatMap(line => line.length > limit ? line.match(new RegExp(`[^]{1,${limit}}`, 'g')) : [line]);
+    return packPieces(lines, '\n', limit);
+}
+
+function packPieces(pieces, separator, limit) {
+    const messages = [];
+    let current = null;
+    
+    pieces.forEach(piece => {
+        if (current === null) {
+            current = piece;
+        } else if (current.length + separator.length + piece.length > limit) {
+            messages.push(current);
+            current = piece;
+        } else {
+            current += separator + piece;
+        }
+    });
+    if (current !== null) {
+        messages.push(current);
+    }
+    
+    return messages;
+}
@@ -0,0 +1,181 @@
+import { deliveryAsset } from './render.js';
+import { splitTelegramMessage, telegramMarkup, toPlainText } from './telegram-format.js';
+
+export const TELEGRAM_MEDIA_GROUP_LIMIT = 10;
+const TELEGRAM_MAX_RETRIES = 3;
+const TELEGRAM_PARSE_ERROR = /can't parse entities|can't find end|unsupported start tag|unexpected end tag/i;
+
+// message is a string, or an array of blocks (one per tweet) that must not be
+// split. Anything over Telegram's limit goes out as several messages. extra
+// (e.g. reply_markup) goes on the last one, which is what resolves.
+export async function sendToTelegram(message, token, chatId, parseMode, deps, extra = {}) {
+    console.log(`📱 Sending to Telegram chat: ${chatId.substring(0, 3)}...`);
+    
+    const parts = splitTelegramMessage(Array.isArray(message) ? message : message.split('\n\n'));
+    let sent;
+    
+    for (const [i, text] of parts.entries()) {
+        const result = await callWithPlainFallback('sendMessage', token, parseMode, plain => ({
+            chat_id: chatId,
+            text: plain ? toPlainText(text, parseMode) : text,
+            parse_mode: plain || parseMode === 'none' ? undefined : parseMode,
+            disable_web_page_preview: true,
+            ...(i === parts.length - 1 ? extra : {})
+        }), deps);
+        
+        if (!result.ok) {
+            console.error('Telegram API response:', result.text);
+            throw new Error(`Telegram API error (${result.status}): ${result.text}`);
+        }
+        sent = JSON.parse(result.text).result;
+    }
+    
+    console.log(parts.length > 1 ? `✅ Message sent successfully in ${parts.length} parts!` : '✅ Message sent successfully!');
+    return sent;
+}
+
+export async function editTelegramMessage(messageId, text, token, chatId, parseMode, deps, extra = {}) {
+    const result = await callWithPlainFallback('editMessageText', token, parseMode, plain => ({
+        chat_id: chatId,
+        message_id: messageId,
+        text: plain ? toPlainText(text, parseMode) : text,
+        parse_mode: plain || parseMode === 'none' ? undefined : parseMode,
+        disable_web_page_preview: true,
+        ...extra
+    }), deps);
+    
+    // An edit that changes nothing (e.g. a double tap) is harmless
+    if (!result.ok && !/message is not modified/.test(result.text)) {
+        throw new Error(`Telegram editMessageText failed (${result.status}): ${result.text}`);
+    }
+}
+
+// For Bot API methods whose result we need (getUpdates, answerCallbackQuery, ...)
+export async function callTelegramMethod(method, token, body, deps) {
+    const result = await callTelegramApi(method, token, () => body, deps);
+    if (!result.ok) {
+        throw new Error(`Telegram ${method} failed (${result.status}): ${result.text}`);
+    }
+    return JSON.parse(result.text).result;
+}
+
+export async function sendImageToTelegram(imageData, token, chatId, parseMode, deps) {
+    console.log(`🖼️ Sending image: ${imageData.fileName}`);
+    
+    const { escape, bold, italic } = telegramMarkup(parseMode);
+    
+    try {
+        // Read the SVG file
+        const svgContent = deps.fs.readFileSync(imageData.filePath, 'utf8');
+        const caption = `🎨 ${bold(imageData.description)}\n\n📊 ${escape(`${imageData.project || 'Crypto'} Analysis`)}\n📈 ${escape(`Trend: ${imageData.trend || 'Market movement'}`)}\n\n${italic('Ready for your Twitter thread!')}`;
+        
+        // Send as document (SVG file)
+        const result = await callWithPlainFallback('sendDocument', token, parseMode, plain => {
+            const formData = new FormData();
+            formData.append('chat_id', chatId);
+            formData.append('document', new Blob([svgContent], { type: 'image/svg+xml' }), imageData.fileName);
+            formData.append('caption', plain ? toPlainText(caption, parseMode) : caption);
+            if (!plain && parseMode !== 'none') {
+                formData.append('parse_mode', parseMode);
+            }
+            return formData;
+        }, deps);
+        
+        if (!result.ok) {
+            console.warn('⚠️ Could not send as document, sending as text:', result.text.substring(0, 100));
+            
+            // Fallback: send image info as text message
+            const fallbackMessage = `🎨 ${bold('Generated Image:')} ${escape(imageData.fileName)}
+
+${escape(imageData.description)}
+
+📁 ${italic('Image saved locally and ready for download')}
+📊 ${italic('Use this for your Twitter thread visual content')}`;
+
+            await sendToTelegram(fallbackMessage, token, chatId, parseMode, deps);
+        } else {
+            console.log('✅ Image sent as document successfully!');
+        }
+        
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Image send failed, sending description:', error.message);
+        
+        const fallbackMessage = `🎨 ${bold('Generated Image:')} ${escape(imageData.fileName)}
+
+${escape(imageData.description)}
+
+📁 ${italic('Image created successfully and saved locally')}
+📊 ${italic('Perfect visual content for your crypto Twitter thread')}`;
+
+        await sendToTelegram(fallbackMessage, token, chatId, parseMode, deps);
+        return false;
+    }
+}
+
+// Resolves to the sent message (sendPhoto) or messages (sendMediaGroup)
+export async function sendMediaGroupToTelegram(items, token, chatId, deps) {
+    // A single photo can't be an album
+    const method = items.length === 1 ? 'sendPhoto' : 'sendMediaGroup';
+    const formData = new FormData();
+    formData.append('chat_id', chatId);
+    
+    if (method === 'sendPhoto') {
+        const asset = deliveryAsset(items[0]);
+        formData.append('photo', new Blob([deps.fs.readFileSync(asset.filePath)], { type: asset.mimeType }), asset.fileName);
+        formData.append('caption', `🎨 ${items[0].description}`);
+    } else {
+        const media = items.map((item, i) => {
+            const asset = deliveryAsset(item);
+            formData.append(`photo${i}`, new Blob([deps.fs.readFileSync(asset.filePath)], { type: asset.mimeType }), asset.fileName);
+            return { type: 'photo', media: `attach://photo${i}`, caption: `🎨 ${item.description}` };
+        });
+        formData.append('media', JSON.stringify(media));
+    }
+    
+    const result = await callTelegramApi(method, token, () => formData, deps);
+    
+    if (!result.ok) {
+        throw new Error(`Telegram ${method} failed (${result.status}): ${result.text}`);
+    }
+    
+    console.log(`✅ Sent ${items.length} photo(s) via ${method}`);
+    return JSON.parse(result.text).result;
+}
+
+// Calls a Bot API method and resolves to { ok, status, text }. A 429 waits as
+// long as Telegram's retry_after asks, then tries again.
+async function callTelegramApi(method, token, createBody, deps) {
+    for (let attempt = 0; ; attempt++) {
+        const body = createBody();
+        const response = await deps.fetch(`${deps.telegramApiBase}/bot${token}/${method}`, body instanceof FormData
+            ? { method: 'POST', body }
+            : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const text = await response.text();
+        
+        if (response.status !== 429 || attempt >= TELEGRAM_MAX_RETRIES) {
+            return { ok: response.ok, status: response.status, text };
+        }
+        
+        let retryAfter = 1;
+        try {
+            retryAfter = JSON.parse(text).parameters?.retry_after ?? retryAfter;
+        } catch {
+            // Not JSON, keep the default
+        }
+        console.warn(`⏳ Telegram rate limit on ${method}, retrying in ${retryAfter}s...`);
+        await deps.sleep(retryAfter * 1000);
+    }
+}
+
+// When Telegram rejects our markup, send the same content again as plain text
+// rather than losing the message
+async function callWithPlainFallback(method, token, parseMode, createBody, deps) {
+    const result = await callTelegramApi(method, token, () => createBody(false), deps);
+    if (result.ok || parseMode === 'none' || result.status !== 400 || !TELEGRAM_PARSE_ERROR.test(result.text)) {
+        return result;
+    }
+    
+    console.warn(`⚠️ Telegram could not parse the ${parseMode} formatting, resending as plain text:`, result.text);
+    return callTelegramApi(method, token, () => createBody(true), deps);
+}
@@ -0,0 +1,362 @@
+import { describeComplianceViolations, findComplianceViolations } from './compliance.js';
+import { describeRunComparison, findReusedPhrasing } from './history.js';
+import { LOCALES, createI18n } from './i18n.js';
+import { findUnsourcedLinks, formatNewsContext } from './news.js';
+import { formatPortfolioContext, withPortfolioFigures } from './portfolio.js';
+import { loadPromptTemplate, renderPromptTemplate, PERSONAS } from './prompts.js';
+import { hasKnownChange, isSampleData, formatChange } from './provenance.js';
+import { describeCoinSelection } from './selection.js';
+
+export const MAX_TWEET_LENGTH = 280;
+const TWEET_URL_LENGTH = 23;
+const TWEET_URL_REGEX = /https?:\/\/\S+/gi;
+const EMOJI_REGEX = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u;
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Tones for the tone setting and the reviewer's tone button; the default sets none
+export const THREAD_TONES = ['bullish', 'cautious', 'educational', 'playful'];
+
+// Writes the thread with the threadFormat prompt template (or options.format)
+// and resolves to { tweets, generation }. options.news is the fetchNewsContext
+// result for the {{news}} block and options.portfolio the fetchPortfolio P&L for
+// the {{portfolio}} block. options.locale is the language the thread is
+// written in, by default the first of locales. generation records the template
+// id, locale, persona, tone and model the tweets came from, and whether a
+// fallback model or the template thread (with the error that caused it) had to be used.
+export async function generateThreadContent(llm, cryptoData, { comparison = null, recentTweets = [], news = null, portfolio = null, tone = null, format = null, config, locale = config.locales[0] }, deps) {
+    const { threadLength, threadMaxAttempts } = config;
+    const template = loadPromptTemplate(format || config.threadFormat, config.promptsDir, deps);
+    const i18n = createI18n(locale);
+    const generation = {
+        template: template.id,
+        locale,
+        persona: config.persona,
+        tone: tone || config.tone,
+        model: null,
+        modelFallback: false,
+        failedModels: [],
+        fallback: false,
+        error: null
+    };
+    
+    console.log(`🧠 Generating AI-powered thread content (${template.id}${locale === 'en' ? '' : `, ${i18n.language}`})...`);
+    
+    try {
+        if (!llm) {
+            throw new Error('No LLM model configured');
+        }
+        
+        // Day-over-day context and recent hooks we must not repeat
+        const comparisonLines = describeRunComparison(cryptoData, comparison);
+        const recentHooks = recentTweets.filter(tweet => tweet.index === 1).map(tweet => tweet.text);
+        const historyText = [
+            comparisonLines.length ? `\n\nCompared with our previous thread (${comparison.previousRunDate}):\n${comparisonLines.join('\n')}\nMention streaks, new entrants and drop-outs where they are interesting.` : '',
+            recentHooks.length ? `\n\nDo not reuse these openings or their phrasing, we posted them recently:\n${recentHooks.map(hook => `- ${hook}`).join('\n')}` : ''
+        ].join('');
+        
+        const basePrompt = renderPromptTemplate(template, {
+            threadLength,
+            date: deps.now().toISOString().slice(0, 10),
+            selection: describeCoinSelection(cryptoData),
+            coins: describePromptData(cryptoData),
+            coinDetails: cryptoData.map(p => `- ${describePromptData([p])}, ${describeCoinDetails(p)}`).join('\n'),
+            gainers: describeMovers(cryptoData, p => p.priceChange24h > 0),
+            losers: describeMovers(cryptoData, p => p.priceChange24h < 0),
+            history: historyText,
+            news: formatNewsContext(news, cryptoData, { sourceLinks: config.threadSourceLinks }),
+            portfolio: formatPortfolioContext(portfolio),
+            style: describeStyle(generation.persona, generation.tone, locale),
+            outputFormat: `Format as:
+Tweet 1/${threadLength}: [content]
+Tweet 2/${threadLength}: [content]
+... etc`,
+            dataRules: promptDataRules(cryptoData, i18n)
+        });
+        
+        let currentPrompt = basePrompt;
+        let violations = [];
+        
+        for (let attempt = 1; attempt <= threadMaxAttempts; attempt++) {
+            const result = await llm.generate(currentPrompt);
+            const threadText = result.text;
+            generation.model = result.model;
+            generation.modelFallback ||= result.modelFallback;
+            generation.failedModels = [...new Set([...generation.failedModels, ...result.failedModels.map(failure => failure.model)])];
+            
+            const tweets = parseThread(threadText);
+            violations = [
+                ...validateThread(tweets, threadLength),
+                ...findReusedPhrasing(tweets, recentTweets),
+                ...findUnsourcedLinks(tweets, news, { sourceLinks: config.threadSourceLinks }),
+                ...describeComplianceViolations(findComplianceViolations(tweets, withPortfolioFigures(cryptoData, portfolio)))
+            ];
+            
+            if (violations.length === 0) {
+                console.log(`✅ AI thread content generated successfully (attempt ${attempt})`);
+                return { tweets, generation };
+            }
+            
+            console.warn(`⚠️ Thread attempt ${attempt}/${threadMaxAttempts} rejected:`, violations.join('; '));
+            
+            // Re-prompt with the exact problems so the model can fix them
+            currentPrompt = `${basePrompt}
+
+Your previous answer was rejected for these reasons:
+${violations.map(v => `- ${v}`).join('\n')}
+
+Previous answer:
+${threadText}
+
+Rewrite the whole thread fixing every problem above. Output only the ${threadLength} tweets in the required format.`;
+        }
+        
+        throw new Error(`Thread still invalid after ${threadMaxAttempts} attempts: ${violations.join('; ')}`);
+    } catch (error) {
+        console.warn('⚠️ AI generation failed, using template:', error.message);
+        return { tweets: buildFallbackThread(cryptoData, threadLength, i18n), generation: { ...generation, fallback: true, error: error.message } };
+    }
+}
+
+// A generic thread from the numbers alone: hook, movers, coin spotlights and a
+// closing tweet, cut to threadLength, in the thread's language. With few coins
+// it can come out shorter.
+function buildFallbackThread(cryptoData, threadLength, i18n) {
+    const gainers = cryptoData.filter(p => hasKnownChange(p) && p.priceChange24h > 0);
+    const losers = cryptoData.filter(p => hasKnownChange(p) && p.priceChange24h < 0);
+    const changes = projects => projects.map(p => `$${p.symbol} ${formatChange(p, { i18n })}`).join(', ');
+    
+    const middle = [
+        gainers.length ? i18n.t('fallback.gainers', { coins: changes(gainers) }) : null,
+        losers.length ? i18n.t('fallback.losers', { coins: changes(losers) }) : null,
+        i18n.t('fallback.insight', { first: cryptoData[0]?.symbol || 'BTC', second: cryptoData[2]?.symbol || 'ETH' }),
+        i18n.t('fallback.watch'),
+        ...cryptoData.map(p => hasKnownChange(p)
+            ? i18n.t('fallback.spotlightChange', { coin: `${p.name} ($${p.symbol})`, change: formatChange(p, { i18n }) })
+            : i18n.t('fallback.spotlight', { coin: `${p.name} ($${p.symbol})` }))
+    ].filter(Boolean);
+    
+    const texts = [
+        i18n.t('fallback.hook'),
+        ...middle.slice(0, threadLength - 2),
+        i18n.t('fallback.closing')
+    ];
+    if (texts.length < threadLength) {
+        console.warn(`⚠️ Template thread has ${texts.length} of ${threadLength} tweets, not enough coins to fill it`);
+    }
+    
+    return parseThread(texts.map((text, i) => `Tweet ${i + 1}/${texts.length}: ${text}`).join('\n\n'));
+}
+
+// Rewrites one tweet of an existing thread and returns the updated thread.
+// Unlike generateThreadContent there is no template fallback: the caller keeps
+// the current tweet when this throws.
+export async function regenerateTweet(llm, cryptoData, tweets, tweetIndex, { recentTweets = [], portfolio = null, tone = null, config, locale = config.locales[0] }) {
+    if (!llm) {
+        throw new Error('No LLM model configured');
+    }
+    
+    const total = tweets.length;
+    const current = tweets.find(tweet => tweet.index === tweetIndex);
+    if (!current) {
+        throw new Error(`Tweet ${tweetIndex} is not part of the thread`);
+    }
+    
+    const basePrompt = `Here is a ${total}-tweet Twitter thread about these crypto projects: ${describePromptData(cryptoData)}
+
+${formatThreadText(tweets)}
+
+Rewrite tweet ${tweetIndex} only.${describeStyle(config.persona, tone || config.tone, locale)} It must still fit between its neighbours, say it differently from the current version and stay under 240 characters.
+
+Format as:
+Tweet ${tweetIndex}/${total}: [content]
+
+${promptDataRules(cryptoData, createI18n(locale))}`;
+
+    let prompt = basePrompt;
+    let violations = [];
+    
+    for (let attempt = 1; attempt <= config.threadMaxAttempts; attempt++) {
+        const { text: answer } = await llm.generate(prompt);
+        
+        const replacement = parseThread(answer).find(tweet => tweet.index === tweetIndex);
+        const candidate = tweets.map(tweet => tweet.index === tweetIndex ? replacement : tweet);
+        violations = !replacement
+            ? [`No "Tweet ${tweetIndex}/${total}:" entry found`]
+            : [
+                ...validateThread(candidate, total),
+                ...findReusedPhrasing([replacement], recentTweets),
+                ...describeComplianceViolations(findComplianceViolations(candidate, withPortfolioFigures(cryptoData, portfolio)).filter(v => v.tweetIndex === tweetIndex)),
+                ...(replacement.text === current.text ? [`Tweet ${tweetIndex} is unchanged`] : [])
+            ];
+        
+        if (violations.length === 0) {
+            console.log(`✅ Tweet ${tweetIndex} regenerated (attempt ${attempt})`);
+            return candidate;
+        }
+        
+        console.warn(`⚠️ Tweet ${tweetIndex} attempt ${attempt}/${config.threadMaxAttempts} rejected:`, violations.join('; '));
+        
+        prompt = `${basePrompt}
+
+Your previous answer was rejected for these reasons:
+${violations.map(v => `- ${v}`).join('\n')}
+
+Previous answer:
+${answer}
+
+Output only the new tweet ${tweetIndex} in the required format.`;
+    }
+    
+    throw new Error(`Tweet ${tweetIndex} still invalid after ${config.threadMaxAttempts} attempts: ${violations.join('; ')}`);
+}
+
+function describePromptData(cryptoData) {
+    return cryptoData.map(p => 
+        `${p.name} (${p.symbol}): ${hasKnownChange(p) ? formatChange(p) : '24h change unknown'}${p.discrepancies?.length ? ' (sources disagree, do not quote)' : ''}`
+    ).join(', ');
+}
+
+// Notices for the delivered package when the thread didn't come from the first
+// model in the chain, so a fallback is never published unnoticed
+export function describeGenerationFallbacks(generation) {
+    if (!generation) {
+        return [];
+    }
+    if (generation.fallback) {
+        return [`⚠️ Template thread: AI generation failed (${generation.error}). Review it before posting.`];
+    }
+    if (generation.modelFallback) {
+        return [`⚠️ Written by fallback model ${generation.model} (${generation.failedModels.join(', ')} failed)`];
+    }
+    return [];
+}
+
+function describeMovers(cryptoData, filter) {
+    const movers = cryptoData
+        .filter(p => hasKnownChange(p) && !p.discrepancies?.length && filter(p))
+        .sort((a, b) => Math.abs(b.priceChange24h) - Math.abs(a.priceChange24h));
+    return movers.length ? movers.map(p => `${p.name} (${p.symbol}) ${formatChange(p)}`).join(', ') : 'none';
+}
+
+// Appended to a sentence, so it starts with a space when there is anything to say.
+// The prompt stays English; other languages are asked for by name.
+function describeStyle(persona, tone, locale = 'en') {
+    return [
+        persona ? ` Write as ${PERSONAS[persona]}.` : '',
+        tone ? ` Use a ${tone} tone.` : '',
+        locale !== 'en' ? ` Write in ${LOCALES[locale].language} as a native speaker would, not as a translation from English. Keep the "Tweet N/M:" markers, cashtags and dollar amounts exactly as given; percentages may use a decimal comma.` : ''
+    ].join('');
+}
+
+function describeCoinDetails(coin) {
+    return [
+        coin.price !== null && coin.price !== undefined ? `price $${coin.price}` : 'price unknown',
+        coin.priceChange7d !== null && coin.priceChange7d !== undefined ? `7d change ${coin.priceChange7d > 0 ? '+' : ''}${coin.priceChange7d.toFixed(1)}%` : '7d change unknown',
+        coin.marketCapRank ? `market cap rank #${coin.marketCapRank}` : null
+    ].filter(Boolean).join(', ');
+}
+
+function promptDataRules(cryptoData, i18n) {
+    return `Only use the numbers given above and never invent prices or percentages. Values starting with ≈ are approximations, so say "about". Do not quote any figure for coins marked unknown.${isSampleData(cryptoData) ? ' These are SAMPLE figures for a test run, not live data.' : ''}
+
+This goes to a public account: no price targets or predictions, no promises of returns, never tell people to buy or sell, and include a short disclaimer such as "${i18n.t('disclaimer')}" in the thread.`;
+}
+
+// Splits the model output into tweets using the "Tweet N/M:" markers.
+// Tolerates the markdown bold/heading decoration Gemini likes to add.
+export function parseThread(threadText) {
+    const markerRegex = /^[\s*#_]*Tweet\s+(\d+)\s*\/\s*(\d+)[\s*_]*:?[\s*_]*/gim;
+    const markers = [...threadText.matchAll(markerRegex)];
+    
+    return markers.map((marker, i) => {
+        const start = marker.index + marker[0].length;
+        const end = i + 1 < markers.length ? markers[i + 1].index : threadText.length;
+        const text = threadText.slice(start, end).trim();
+        
+        return {
+            index: parseInt(marker[1], 10),
+            total: parseInt(marker[2], 10),
+            text,
+            charCount: weightedTweetLength(text),
+            hashtags: [...text.matchAll(/(?:^|[^\w&])#([\p{L}\p{N}_]+)/gu)].map(m => m[1]),
+            cashtags: [...text.matchAll(/(?:^|[^\w&])\$([A-Za-z][A-Za-z0-9_]{0,14})\b/g)].map(m => m[1].toUpperCase())
+        };
+    });
+}
+
+// Length as X counts it: every URL is 23 chars, an emoji counts 2 however many
+// code points it is made of (ZWJ sequences, skin tones, the FE0F selector, flags),
+// and anything else outside the Latin/punctuation ranges (CJK, ...) counts double.
+export function weightedTweetLength(text) {
+    const withoutUrls = text.replace(TWEET_URL_REGEX, '');
+    const urlCount = (text.match(TWEET_URL_REGEX) || []).length;
+    
+    let length = urlCount * TWEET_URL_LENGTH;
+    for (const { segment } of graphemeSegmenter.segment(withoutUrls.normalize('NFC'))) {
+        const codePoints = [...segment];
+        // A plain "©" stays one light character, "©️" is an emoji
+        if (EMOJI_REGEX.test(segment) && (codePoints.length > 1 || !isLightCodePoint(segment.codePointAt(0)))) {
+            length += 2;
+        } else {
+            length += codePoints.reduce((sum, char) => sum + (isLightCodePoint(char.codePointAt(0)) ? 1 : 2), 0);
+        }
+    }
+    return length;
+}
+
+function isLightCodePoint(code) {
+    return code <= 0x10FF ||
+        (code >= 0x2000 && code <= 0x200D) ||
+        (code >= 0x2010 && code <= 0x201F) ||
+        (code >= 0x2032 && code <= 0x2037);
+}
+
+export function validateThread(tweets, expectedLength) {
+    const violations = [];
+    
+    if (tweets.length === 0) {
+        return ['No "Tweet N/M:" entries found'];
+    }
+    
+    const seenIndexes = new Set();
+    const seenTexts = new Set();
+    
+    tweets.forEach(tweet => {
+        if (seenIndexes.has(tweet.index)) {
+            violations.push(`Tweet ${tweet.index} appears more than once`);
+        }
+        seenIndexes.add(tweet.index);
+        
+        if (tweet.total !== expectedLength) {
+            violations.push(`Tweet ${tweet.index} is numbered out of ${tweet.total}, expected ${expectedLength}`);
+        }
+        
+        if (tweet.index < 1 || tweet.index > expectedLength) {
+            violations.push(`Tweet ${tweet.index} is outside 1-${expectedLength}`);
+        }
+        
+        if (!tweet.text) {
+            violations.push(`Tweet ${tweet.index} is empty`);
+        } else if (tweet.charCount > MAX_TWEET_LENGTH) {
+            violations.push(`Tweet ${tweet.index} is ${tweet.charCount} characters, limit is ${MAX_TWEET_LENGTH}`);
+        }
+        
+        const normalizedText = tweet.text.toLowerCase().replace(/\s+/g, ' ');
+        if (normalizedText && seenTexts.has(normalizedText)) {
+            violations.push(`Tweet ${tweet.index} duplicates an earlier tweet`);
+        }
+        seenTexts.add(normalizedText);
+    });
+    
+    for (let i = 1; i <= expectedLength; i++) {
+        if (!seenIndexes.has(i)) {
+            violations.push(`Tweet ${i} is missing`);
+        }
+    }
+    
+    return violations;
+}
+
+export function formatThreadText(tweets) {
+    return tweets.map(t => `Tweet ${t.index}/${t.total}: ${t.text}`).join('\n\n');
+}
@@ -0,0 +1,51 @@
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "btc, eth" -> ['BTC', 'ETH']
+export function parseWatchlist(value) {
+    const symbols = String(value).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    const invalid = symbols.filter(symbol => !/^[A-Z0-9]{1,15}$/.test(symbol));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid symbol(s) ${invalid.join(', ')}, expected tickers like BTC,ETH`);
+    }
+    if (symbols.length === 0) {
+        throw new Error('expected at least one symbol, e.g. BTC,ETH');
+    }
+    return symbols;
+}
+
+// The value of the [timestamp, value] point closest to timestamp, or null when
+// there are no points
+export function nearestValue(points, timestamp) {
+    let best = null;
+    points.forEach(([t, value]) => {
+        if (best === null || Math.abs(t - timestamp) < Math.abs(best[0] - timestamp)) {
+            best = [t, value];
+        }
+    });
+    return best ? best[1] : null;
+}
+
+export async function getFetch() {
+    try {
+        return globalThis.fetch || (await import('node-fetch')).default;
+    } catch {
+        return globalThis.fetch;
+    }
+}
+
+// Resolves early, and lets the process exit, when signal is aborted
+export function sleep(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+}
@@ -0,0 +1,61 @@
+// X API v2
+//
+// Calls are made with an OAuth 2.0 user-context access token (X_ACCESS_TOKEN)
+// that has the tweet.read, tweet.write, users.read and media.write scopes.
+
+const X_MAX_RETRIES = 2;
+const X_MAX_RATE_LIMIT_WAIT = 15 * 60 * 1000; // Longer waits fail the post; `publish` resumes it later
+const X_MAX_ALT_TEXT = 1000;
+
+export function xStatusUrl(id) {
+    return `https://x.com/i/web/status/${id}`;
+}
+
+// Resolves to { id, url } of the new tweet
+export async function postTweet(text, { replyTo = null, mediaIds = [] }, token, deps) {
+    const { data } = await callXApi('/2/tweets', token, () => ({
+        text,
+        ...(replyTo ? { reply: { in_reply_to_tweet_id: replyTo } } : {}),
+        ...(mediaIds.length > 0 ? { media: { media_ids: mediaIds } } : {})
+    }), deps);
+    return { id: data.id, url: xStatusUrl(data.id) };
+}
+
+// Uploads one image (see deliveryAsset) and resolves to its media id
+export async function uploadXMedia(asset, altText, token, deps) {
+    const { data } = await callXApi('/2/media/upload', token, () => {
+        const formData = new FormData();
+        formData.append('media', new Blob([deps.fs.readFileSync(asset.filePath)], { type: asset.mimeType }), asset.fileName);
+        formData.append('media_category', 'tweet_image');
+        return formData;
+    }, deps);
+    
+    if (altText) {
+        await callXApi('/2/media/metadata', token, () => ({ id: data.id, metadata: { alt_text: { text: altText.slice(0, X_MAX_ALT_TEXT) } } }), deps);
+    }
+    return data.id;
+}
+
+// A 429 waits until x-rate-limit-reset when that's soon enough, then tries again
+async function callXApi(apiPath, token, createBody, deps) {
+    for (let attempt = 0; ; attempt++) {
+        const body = createBody();
+        const response = await deps.fetch(`${deps.xApiBase}${apiPath}`, body instanceof FormData
+            ? { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body }
+            : { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const text = await response.text();
+        
+        if (response.ok) {
+            return JSON.parse(text);
+        }
+        
+        const reset = Number(response.headers.get('x-rate-limit-reset'));
+        const waitMs = reset ? reset * 1000 - deps.now().getTime() : 60 * 1000;
+        if (response.status !== 429 || attempt >= X_MAX_RETRIES || waitMs > X_MAX_RATE_LIMIT_WAIT) {
+            throw new Error(`X ${apiPath} failed (${response.status}): ${text}`);
+        }
+        
+        console.warn(`⏳ X rate limit on ${apiPath}, retrying in ${Math.ceil(Math.max(0, waitMs) / 1000)}s...`);
+        await deps.sleep(Math.max(0, waitMs));
+    }
+}
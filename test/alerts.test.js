@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { evaluateAlertRules, formatAlertMessage, loadAlertState, runAlerts } from '../src/alerts.js';
+import { parseWatchlist } from '../src/utils.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, replySequence, startTelegramStub, telegramReply } from './helpers/telegram-stub.js';
+import { createTempDir, createTestDeps, FIXED_NOW, testConfig } from './helpers/deps.js';
+
+const MINUTE = 60 * 1000;
+const NOW = FIXED_NOW.getTime();
+
+function coin(symbol, fields = {}) {
+    return { symbol, name: symbol, price: 100, volume24h: 1000, allTimeHigh: null, ...fields };
+}
+
+function emptyState() {
+    return { samples: {}, trending: null, lastFired: {} };
+}
+
+test('parseWatchlist normalizes tickers and rejects anything else', () => {
+    assert.deepEqual(parseWatchlist(' btc, Eth ,sol'), ['BTC', 'ETH', 'SOL']);
+    assert.throws(() => parseWatchlist('BTC,$ETH'), /Invalid symbol\(s\) \$ETH/);
+    assert.throws(() => parseWatchlist(' , '), /at least one symbol/);
+});
+
+test('evaluateAlertRules fires moves, volume spikes and all-time highs against the window', () => {
+    const config = testConfig();
+    const state = {
+        ...emptyState(),
+        samples: {
+            // The 90-minute-old sample is outside the 60 minute window, so ETH compares with 95
+            ETH: [[NOW - 90 * MINUTE, 50, 1000], [NOW - 45 * MINUTE, 95, 1000]],
+            SOL: [[NOW - 30 * MINUTE, 110, 400]],
+            BTC: [[NOW - 20 * MINUTE, 99, 1000]]
+        }
+    };
+    
+    const { alerts, state: next } = evaluateAlertRules([
+        coin('ETH', { price: 101 }),
+        coin('SOL', { price: 100 }),
+        coin('BTC', { price: 100, allTimeHigh: 100 })
+    ], null, state, config, FIXED_NOW);
+    
+    assert.deepEqual(alerts.map(alert => [alert.key, alert.title]), [
+        ['move:ETH:up', 'ETH +6.3% in 60 min'],
+        ['move:SOL:down', 'SOL -9.1% in 60 min'],
+        ['volume:SOL', 'SOL 24h volume +150% in 60 min'],
+        ['all-time-high:BTC', 'BTC hit a new all-time high']
+    ]);
+    assert.deepEqual(next.samples.ETH.at(-1), [NOW, 101, 1000]);
+    // The cooldown starts when runAlerts has sent the alert
+    assert.deepEqual(next.lastFired, {});
+});
+
+test('evaluateAlertRules keeps fired alerts quiet for the cooldown and skips disabled rules', () => {
+    const config = testConfig({ alertRules: ['move', 'trending'], alertCooldownMinutes: 60 });
+    const state = {
+        samples: { BTC: [[NOW - 10 * MINUTE, 90, 1000]] },
+        trending: ['SOL'],
+        lastFired: {
+            'move:BTC:up': new Date(NOW - 30 * MINUTE).toISOString(),
+            'trending:SOL:left': new Date(NOW - 61 * MINUTE).toISOString()
+        }
+    };
+    
+    const { alerts, state: next } = evaluateAlertRules([
+        coin('BTC', { price: 100, allTimeHigh: 100 }),
+        coin('SOL'),
+        coin('SUI')
+    ], ['SUI', 'PEPE'], state, config, FIXED_NOW);
+    
+    assert.deepEqual(alerts.map(alert => alert.key), ['trending:SOL:left', 'trending:SUI:entered']);
+    assert.equal(alerts[1].title, 'SUI entered the trending list (#1)');
+    assert.deepEqual(next.trending, ['SUI', 'PEPE']);
+    assert.deepEqual(Object.keys(next.lastFired), ['move:BTC:up']);
+    
+    // The first poll only learns the trending list
+    assert.deepEqual(evaluateAlertRules([coin('SUI')], ['SUI'], emptyState(), config, FIXED_NOW).alerts, []);
+});
+
+test('formatAlertMessage adds the tweet draft with a disclaimer when enabled', () => {
+    const config = testConfig({ alertTweetDraft: true });
+    const alert = { rule: 'move', key: 'move:SOL:up', symbol: 'SOL', price: 182.4, fromPrice: 171.74, change: 6.2, title: 'SOL +6.2% in 60 min' };
+    
+    assert.equal(formatAlertMessage(alert, config), [
+        '🚀 SOL +6.2% in 60 min',
+        '💵 $182.40 (was $171.74)',
+        '',
+        '📝 Tweet draft:',
+        '$SOL is up 6.2% in the last 60 minutes, now at $182.40. 🚀',
+        '',
+        'Not financial advice, DYOR. #SOL #crypto'
+    ].join('\n'));
+});
+
+// Two polls of runAlerts against the Telegram stub, starting from a BTC sample
+// 30 minutes ago at $60,000 and a trending list without BTC
+async function runTwoAlertPolls(t, settings = {}, routes = {}) {
+    const dir = createTempDir(t);
+    const alertStateFile = path.join(dir, 'alert-state.json');
+    fs.writeFileSync(alertStateFile, JSON.stringify({
+        samples: { BTC: [[NOW - 30 * MINUTE, 60000, 31200000000]] },
+        trending: ['SOL'],
+        lastFired: {}
+    }));
+    
+    const { stub, deps: stubDeps } = await startTelegramStub(t, routes);
+    const controller = new AbortController();
+    let polls = 0;
+    const deps = createTestDeps({
+        ...stubDeps,
+        sleep: async () => {
+            if (++polls === 2) {
+                controller.abort();
+            }
+        }
+    });
+    const config = testConfig({ ...settings, alertWatchlist: 'BTC,ETH', alertStateFile, chartsDir: path.join(dir, 'charts') });
+    
+    await runAlerts({ config, token: TOKEN, chatId: CHAT_ID, signal: controller.signal }, deps);
+    return { stub, deps, alertStateFile };
+}
+
+test('runAlerts sends each new alert with its chart and remembers the cooldown', async t => {
+    const { stub, deps, alertStateFile } = await runTwoAlertPolls(t);
+    
+    const messages = stub.requests.filter(r => r.path.endsWith('/sendMessage')).map(r => jsonBody(r).text);
+    assert.deepEqual(messages, [
+        '🚀 BTC +12.1% in 60 min\n💵 $67,250.12 (was $60,000.00)',
+        '🔥 BTC entered the trending list (#1)\n💵 $67,250.12'
+    ]);
+    assert.equal(stub.requests.filter(r => r.path.endsWith('/sendPhoto')).length, 2);
+    
+    const state = loadAlertState(alertStateFile, deps);
+    assert.deepEqual(Object.keys(state.lastFired), ['move:BTC:up', 'trending:BTC:entered']);
+    assert.equal(state.samples.BTC.length, 3);
+    assert.deepEqual(state.trending, ['BTC', 'SOL', 'PEPE', 'SUI', 'HYPE']);
+});
+
+test('an alert whose send fails is not muted and the rest of the poll still goes out', async t => {
+    const failOnce = replySequence({ status: 500, body: { ok: false, description: 'Internal Server Error' } }, telegramReply('sendMessage-ok'));
+    const { stub, deps, alertStateFile } = await runTwoAlertPolls(t, {}, { '/sendMessage': failOnce });
+    
+    // The move fails in the first poll, the trending alert after it is still sent, and the next poll retries the move
+    const messages = stub.requests.filter(r => r.path.endsWith('/sendMessage')).map(r => jsonBody(r).text.split('\n')[0]);
+    assert.deepEqual(messages, ['🚀 BTC +12.1% in 60 min', '🔥 BTC entered the trending list (#1)', '🚀 BTC +12.1% in 60 min']);
+    assert.deepEqual(Object.keys(loadAlertState(alertStateFile, deps).lastFired).sort(), ['move:BTC:up', 'trending:BTC:entered']);
+});
+
+test('a dry run of the alerts sends nothing and leaves the state file alone', async t => {
+    const { stub, alertStateFile } = await runTwoAlertPolls(t, { dryRun: true });
+    
+    assert.deepEqual(stub.requests, []);
+    assert.deepEqual(JSON.parse(fs.readFileSync(alertStateFile, 'utf8')), {
+        samples: { BTC: [[NOW - 30 * MINUTE, 60000, 31200000000]] },
+        trending: ['SOL'],
+        lastFired: {}
+    });
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { reviewThread, buildReviewKeyboard } from '../src/approval.js';
+import { createUpdateQueue } from '../src/bot.js';
+import { parseThread } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, replySequence, startTelegramStub, telegramReply } from './helpers/telegram-stub.js';
+import { FIXED_NOW, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+function methodsCalled(stub) {
+    return stub.requests.map(r => r.path.split('/').pop());
+}
+
+test('buildReviewKeyboard has a regenerate button per tweet', () => {
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    const { inline_keyboard: rows } = buildReviewKeyboard(tweets, 'bullish');
+    
+    assert.deepEqual(rows[0].map(button => button.callback_data), ['approve', 'discard']);
+    assert.deepEqual(rows.slice(1, -1).flat().map(button => button.callback_data), ['regen:1', 'regen:2', 'regen:3', 'regen:4', 'regen:5', 'regen:6']);
+    assert.deepEqual(rows.at(-1).map(button => button.text), ['🔄 Regenerate all', '🎭 Tone: bullish']);
+});
+
+test('reviewThread regenerates a tweet in place and records the approval', async t => {
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-regenerate'), telegramReply('getUpdates-approve'))
+    });
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    const gemini = createFakeLlm([readFixture('gemini', 'tweet-2-rewrite.txt')]);
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: gemini, config: testConfig(), token: TOKEN, chatId: CHAT_ID }, deps);
+    
+    assert.equal(review.status, 'approved');
+    assert.equal(review.version, 2);
+    assert.equal(review.decidedBy, '@dana_editor');
+    assert.equal(review.decidedAt, FIXED_NOW.toISOString());
+    assert.deepEqual(review.actions.map(action => action.action), ['regen:2', 'approve']);
+    assert.match(review.tweets[1].text, /^📈 \$BTC keeps grinding higher/);
+    assert.deepEqual(review.tweets.filter((tweet, i) => i !== 1), tweets.filter((tweet, i) => i !== 1));
+    assert.match(gemini.prompts[0], /Rewrite tweet 2 only/);
+    
+    assert.deepEqual(methodsCalled(stub), ['sendMessage', 'getUpdates', 'answerCallbackQuery', 'editMessageText', 'getUpdates', 'answerCallbackQuery', 'editMessageText']);
+    const [sent, firstPoll, , regenerated, secondPoll, , approved] = stub.requests.map(jsonBody);
+    assert.equal(sent.reply_markup.inline_keyboard[0][0].callback_data, 'approve');
+    assert.equal(firstPoll.offset, undefined);
+    assert.equal(secondPoll.offset, 880002);
+    assert.equal(regenerated.message_id, 4211);
+    assert.match(regenerated.text, /version 2, tone: default[^]*keeps grinding higher/);
+    assert.match(approved.text, /✅ <b>Approved by @dana_editor<\/b> \(2026-10-18 08:00 UTC\)/);
+    assert.deepEqual(approved.reply_markup, { inline_keyboard: [] });
+});
+
+test('reviewThread keeps the tweet when regeneration fails', async t => {
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-regenerate'), telegramReply('getUpdates-approve'))
+    });
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: null, config: testConfig(), token: TOKEN, chatId: CHAT_ID }, deps);
+    
+    assert.equal(review.status, 'approved');
+    assert.equal(review.version, 1);
+    assert.deepEqual(review.tweets, tweets);
+    const notice = stub.requests.map(jsonBody).find(body => body.text?.startsWith('⚠️'));
+    assert.equal(notice.text, '⚠️ Could not regenerate (regen:2): No LLM model configured');
+});
+
+test('regenerate all writes the thread in the configured format', async t => {
+    const { deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-regenerate-all'), telegramReply('getUpdates-approve'))
+    });
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-valid.txt')]);
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: gemini, config: testConfig({ threadFormat: 'gainers-losers' }), token: TOKEN, chatId: CHAT_ID }, deps);
+    
+    assert.equal(review.version, 2);
+    assert.equal(review.generation.template, 'gainers-losers@v3');
+    assert.match(gemini.prompts[0], /on today's biggest movers among the/);
+});
+
+test('a regenerated thread too long for the review message is rejected and the old one kept', async t => {
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-regenerate-all'), telegramReply('getUpdates-approve'))
+    });
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    // A valid 16-tweet thread, but too long for one Telegram message
+    const longThread = Array.from({ length: 16 }, (_, i) => `Tweet ${i + 1}/16: Part ${i + 1} of the story. ${'Builders keep shipping while the market chops sideways. '.repeat(4).trim()} DYOR.`).join('\n\n');
+    const gemini = createFakeLlm([longThread]);
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: gemini, config: testConfig({ threadLength: 16 }), token: TOKEN, chatId: CHAT_ID }, deps);
+    
+    assert.equal(review.status, 'approved');
+    assert.equal(review.version, 1);
+    assert.deepEqual(review.tweets, tweets);
+    const notice = stub.requests.map(jsonBody).find(body => body.text?.startsWith('⚠️'));
+    assert.match(notice.text, /^⚠️ Could not regenerate \(regen:all\): Thread is too long to review in one Telegram message \(\d+\/4096 characters\)$/);
+});
+
+test('inside the bot, reviewThread takes the presses from the bot instead of polling getUpdates', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    const updates = createUpdateQueue();
+    updates.push(JSON.parse(readFixture('telegram', 'getUpdates-approve.json')).result[0]);
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: null, config: testConfig(), token: TOKEN, chatId: CHAT_ID }, { ...deps, nextCallbackQueries: updates.next });
+    
+    assert.equal(review.status, 'approved');
+    assert.deepEqual(methodsCalled(stub), ['sendMessage', 'answerCallbackQuery', 'editMessageText']);
+});
+
+test('reviewThread expires when nobody decides in time', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    
+    // Every poll moves the clock on by 20 minutes
+    let ticks = 0;
+    deps.now = () => new Date(FIXED_NOW.getTime() + ticks++ * 20 * 60 * 1000);
+    
+    const review = await reviewThread(tweets, cryptoData, { llm: null, config: testConfig({ approvalTimeoutMinutes: 30 }), token: TOKEN, chatId: CHAT_ID }, deps);
+    
+    assert.equal(review.status, 'expired');
+    assert.equal(methodsCalled(stub).at(-1), 'editMessageText');
+    assert.match(jsonBody(stub.requests.at(-1)).text, /Review timed out/);
+});
@@ -0,0 +1,282 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { runAutomation } from '../automation.js';
+import { loadRunHistory } from '../src/history.js';
+import { parseThread } from '../src/thread.js';
+import { createFakeGemini } from './helpers/fake-gemini.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, replySequence, startTelegramStub, telegramReply } from './helpers/telegram-stub.js';
+import { createTempDir, createTestDeps, MARKET_DATA_FIXTURES, readFixture } from './helpers/deps.js';
+
+// Only the keys runAutomation reads from the environment
+function withEnv(t, env) {
+    const keys = ['GEMINI_API_KEY', 'OPENAI_API_KEY', 'LLM_MODELS', 'TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID', 'TELEGRAM_CHAT_ID_ES', 'CONFIG_FILE'];
+    const saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+    keys.forEach(key => delete process.env[key]);
+    Object.assign(process.env, env);
+    t.after(() => keys.forEach(key => saved[key] === undefined ? delete process.env[key] : process.env[key] = saved[key]));
+}
+
+function stageArgs(dir, settings = {}) {
+    const configFile = path.join(dir, 'crypto-thread.config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        ...settings,
+        marketDataFixtures: MARKET_DATA_FIXTURES,
+        publishChannels: ['x-draft'],
+        renderSizes: 'x-card:1200x675',
+        imagesDir: path.join(dir, 'images'),
+        chartsDir: path.join(dir, 'charts'),
+        draftsDir: path.join(dir, 'drafts'),
+        previewDir: path.join(dir, 'preview'),
+        workDir: path.join(dir, 'work'),
+        runHistoryFile: path.join(dir, 'history', 'runs.jsonl')
+    }));
+    return ['--config', configFile];
+}
+
+test('the fetch, generate, render and publish stages run offline end to end', async t => {
+    withEnv(t, { GEMINI_API_KEY: 'test-key' });
+    const dir = createTempDir(t);
+    const gemini = createFakeGemini([readFixture('gemini', 'thread-valid.txt')]);
+    const deps = createTestDeps({
+        createGeminiClient: async apiKey => {
+            assert.equal(apiKey, 'test-key');
+            return gemini;
+        }
+    });
+    
+    for (const command of ['fetch', 'generate', 'render', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir)], deps);
+    }
+    
+    const [draftFile] = fs.readdirSync(path.join(dir, 'drafts'));
+    const draft = JSON.parse(fs.readFileSync(path.join(dir, 'drafts', draftFile), 'utf8'));
+    assert.equal(draft.createdAt, '2026-10-18T08:00:00.000Z');
+    assert.equal(draft.tweets.length, 6);
+    assert.equal(draft.generation.template, 'daily-recap@v4');
+    assert.equal(draft.generation.model, 'gemini:gemini-2.0-flash');
+    assert.deepEqual(draft.notices, []);
+    assert.deepEqual(draft.tweets[0].media.map(media => path.basename(media.filePath)), ['crypto-btc-1792310400000-1-x-card.png', 'crypto-sol-1792310400000-2-x-card.png']);
+    assert.equal(draft.tweets[1].media.length, 3);
+    
+    const [run] = loadRunHistory(path.join(dir, 'history', 'runs.jsonl'), deps);
+    assert.equal(run.command, 'publish');
+    assert.equal(run.status, 'success');
+    assert.equal(run.generation.template, 'daily-recap@v4');
+    assert.equal(run.llmUsage.calls, 1);
+    assert.deepEqual(run.publishResults.map(result => result.channel), ['x-draft']);
+});
+
+test('a thread written by a fallback model is flagged in the delivered package', async t => {
+    withEnv(t, { GEMINI_API_KEY: 'test-key' });
+    const dir = createTempDir(t);
+    const gemini = createFakeGemini([new Error('[400 Bad Request] API key not valid')]);
+    const deps = createTestDeps({ createGeminiClient: async () => gemini });
+    
+    for (const command of ['fetch', 'generate', 'render', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir, { llmModels: 'gemini:gemini-2.0-flash,stub:offline' })], deps);
+    }
+    
+    const [draftFile] = fs.readdirSync(path.join(dir, 'drafts'));
+    const draft = JSON.parse(fs.readFileSync(path.join(dir, 'drafts', draftFile), 'utf8'));
+    assert.equal(gemini.prompts.length, 1);
+    assert.equal(draft.generation.model, 'stub:offline');
+    assert.deepEqual(draft.notices, ['⚠️ Written by fallback model stub:offline (gemini:gemini-2.0-flash failed)']);
+    assert.match(draft.tweets[0].text, /^🧪 Stub tweet 1 of 6/);
+    
+    const [run] = loadRunHistory(path.join(dir, 'history', 'runs.jsonl'), deps);
+    assert.deepEqual(Object.keys(run.llmUsage.byModel), ['gemini:gemini-2.0-flash', 'stub:offline']);
+    assert.equal(run.llmUsage.failedCalls, 1);
+});
+
+test('with requireApproval, publish sends the thread approved in the review stage', async t => {
+    withEnv(t, { GEMINI_API_KEY: 'test-key', TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-regenerate'), telegramReply('getUpdates-approve'))
+    });
+    const gemini = createFakeGemini([readFixture('gemini', 'thread-valid.txt'), readFixture('gemini', 'tweet-2-rewrite.txt')]);
+    deps.createGeminiClient = async () => gemini;
+    
+    for (const command of ['fetch', 'generate', 'render', 'review', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir, { requireApproval: true })], deps);
+    }
+    
+    const approval = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'approval.json'), 'utf8'));
+    assert.equal(approval.status, 'approved');
+    assert.equal(approval.threadGeneratedAt, '2026-10-18T08:00:00.000Z');
+    assert.equal(jsonBody(stub.requests[0]).reply_markup.inline_keyboard[0][0].text, '✅ Approve');
+    
+    const [draftFile] = fs.readdirSync(path.join(dir, 'drafts'));
+    const draft = JSON.parse(fs.readFileSync(path.join(dir, 'drafts', draftFile), 'utf8'));
+    assert.match(draft.tweets[1].text, /^📈 \$BTC keeps grinding higher/);
+    
+    const [run] = loadRunHistory(path.join(dir, 'history', 'runs.jsonl'), deps);
+    assert.deepEqual(run.approval, { status: 'approved', version: 2, tone: null, decidedBy: '@dana_editor', decidedAt: '2026-10-18T08:00:00.000Z' });
+});
+
+test('publish blocks a thread that fails the compliance check and reports why', async t => {
+    withEnv(t, { TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t);
+    
+    for (const command of ['fetch', 'render']) {
+        await runAutomation([command, ...stageArgs(dir)], deps);
+    }
+    fs.writeFileSync(path.join(dir, 'work', 'thread.json'), JSON.stringify({
+        generatedAt: '2026-10-18T08:00:00.000Z',
+        tweets: parseThread(readFixture('gemini', 'thread-advice.txt'))
+    }));
+    await runAutomation(['publish', ...stageArgs(dir)], deps);
+    
+    assert.ok(!fs.existsSync(path.join(dir, 'drafts')));
+    const [run] = loadRunHistory(path.join(dir, 'history', 'runs.jsonl'), deps);
+    assert.equal(run.status, 'blocked');
+    assert.equal(run.compliance.violations.length, 5);
+    assert.deepEqual(run.compliance.fixes, ['added "Not financial advice, DYOR." to tweet 6']);
+    assert.match(jsonBody(stub.requests.at(-1)).text, /^🛑 Today's thread was blocked and not published\.\n\n🛡️ Compliance check found 5 problem\(s\):/);
+});
+
+test('a dry run writes the preview page, with media placed as xMediaTweets says, and records no history', async t => {
+    withEnv(t, {});
+    const dir = createTempDir(t);
+    
+    await runAutomation(['--dry-run', ...stageArgs(dir, { xMediaTweets: '3:charts,5:images' })], createTestDeps());
+    
+    const [previewFile] = fs.readdirSync(path.join(dir, 'preview'));
+    assert.equal(previewFile, 'preview-1792310400000.html');
+    const html = fs.readFileSync(path.join(dir, 'preview', previewFile), 'utf8');
+    assert.match(html, /Dry run<\/strong> • generated 2026-10-18T08:00:00\.000Z/);
+    assert.match(html, /<img src="data:image\/png;base64,/);
+    assert.ok(!fs.existsSync(path.join(dir, 'history')));
+    
+    // The tweet cards carry the media on the tweets xMediaTweets names, like the x channel
+    const cards = html.split('<article class="tweet">').slice(1);
+    assert.deepEqual(cards.map((card, i) => card.includes('class="tweet-media') ? i + 1 : null).filter(Boolean), [3, 5]);
+});
+
+test('with a second locale, the Spanish thread and visuals go to their own Telegram chat', async t => {
+    const spanishChatId = '-1009876543210';
+    withEnv(t, { GEMINI_API_KEY: 'test-key', TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID, TELEGRAM_CHAT_ID_ES: spanishChatId });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t);
+    const gemini = createFakeGemini([readFixture('gemini', 'thread-valid.txt'), readFixture('gemini', 'thread-valid-es.txt')]);
+    deps.createGeminiClient = async () => gemini;
+    
+    for (const command of ['fetch', 'generate', 'render', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir, { locales: ['en', 'es'] }), '--publish-channels', 'telegram'], deps);
+    }
+    
+    assert.match(gemini.prompts[1], /Write in Spanish as a native speaker would/);
+    assert.ok(fs.readdirSync(path.join(dir, 'images', 'es')).some(file => file.endsWith('.png')));
+    
+    const messages = stub.requests.filter(request => request.path.endsWith('/sendMessage')).map(jsonBody);
+    const english = messages.filter(body => body.chat_id === CHAT_ID);
+    const spanish = messages.filter(body => body.chat_id === spanishChatId);
+    assert.match(english[0].text, /Your Daily Crypto Twitter Thread is Ready!/);
+    assert.match(spanish[0].text, /¡Tu hilo cripto diario para Twitter está listo!/);
+    assert.match(spanish[0].text, /Mayor subida: Sui \(SUI\) \+11,0\u00a0%/);
+    assert.match(spanish[0].text, /\$SOL gana un \+6,9%/);
+    assert.ok(stub.requests.some(request => request.path.endsWith('/sendMediaGroup') && request.body.includes(spanishChatId)));
+    
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'run-report.json'), 'utf8'));
+    assert.deepEqual(report.editions, [{ locale: 'es', status: 'ready', model: 'gemini:gemini-2.0-flash', violations: 0 }]);
+});
+
+test('with requireApproval, each edition is reviewed on its own and one not approved is not published', async t => {
+    const spanishChatId = '-1009876543210';
+    withEnv(t, { GEMINI_API_KEY: 'test-key', TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID, TELEGRAM_CHAT_ID_ES: spanishChatId });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': replySequence(telegramReply('getUpdates-approve'), telegramReply('getUpdates-discard'))
+    });
+    deps.createGeminiClient = async () => createFakeGemini([readFixture('gemini', 'thread-valid.txt'), readFixture('gemini', 'thread-valid-es.txt')]);
+    
+    for (const command of ['fetch', 'generate', 'render', 'review', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir, { locales: ['en', 'es'], requireApproval: true }), '--publish-channels', 'telegram'], deps);
+    }
+    
+    const reviews = stub.requests.filter(request => request.path.endsWith('/sendMessage')).map(jsonBody).filter(body => body.reply_markup);
+    assert.deepEqual(reviews.map(body => body.chat_id), [CHAT_ID, CHAT_ID]);
+    assert.match(reviews[1].text, /Thread for review.*\(es, version 1, tone: default\)/);
+    
+    const approval = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'approval.json'), 'utf8'));
+    assert.equal(approval.status, 'approved');
+    assert.equal(approval.editions.es.status, 'discarded');
+    
+    const messages = stub.requests.filter(request => request.path.endsWith('/sendMessage')).map(jsonBody);
+    assert.ok(messages.some(body => /Your Daily Crypto Twitter Thread is Ready!/.test(body.text)));
+    assert.ok(!stub.requests.some(request => request.body.includes(spanishChatId)));
+    
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'run-report.json'), 'utf8'));
+    assert.deepEqual(report.editions, [{ locale: 'es', status: 'discarded', model: 'gemini:gemini-2.0-flash', violations: null }]);
+    assert.ok(report.fallbacks.some(fallback => fallback.detail === 'es thread not approved in review (discarded), not published'));
+});
+
+test('publish writes the run report with fallbacks and delivered message ids, and sends the health summary', async t => {
+    withEnv(t, { GEMINI_API_KEY: 'test-key', TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t);
+    deps.createGeminiClient = async () => createFakeGemini([new Error('[400 Bad Request] API key not valid')]);
+    
+    for (const command of ['fetch', 'generate', 'render', 'publish']) {
+        await runAutomation([command, ...stageArgs(dir, { llmModels: 'gemini:gemini-2.0-flash,stub:offline' }), '--publish-channels', 'x-draft,telegram'], deps);
+    }
+    
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'run-report.json'), 'utf8'));
+    assert.equal(report.command, 'publish');
+    assert.equal(report.status, 'success');
+    assert.deepEqual(report.stages.map(stage => `${stage.name}: ${stage.status}`), ['compliance: ok', 'publish: ok']);
+    assert.deepEqual(report.fallbacks, [{ type: 'model-fallback', detail: 'written by stub:offline (gemini:gemini-2.0-flash failed)' }]);
+    assert.deepEqual(report.deliveries.map(delivery => [delivery.channel, delivery.delivered]), [['x-draft', []], ['telegram', [4211, 4212, 4211]]]);
+    assert.ok(report.warnings.some(warning => warning.message === '⚠️ Written by fallback model stub:offline (gemini:gemini-2.0-flash failed)'));
+    
+    const [run] = loadRunHistory(path.join(dir, 'history', 'runs.jsonl'), deps);
+    assert.equal(run.runId, report.runId);
+    
+    assert.match(jsonBody(stub.requests.at(-1)).text, new RegExp([
+        `^✅ Run ${report.runId.slice(0, 8)} \\(publish\\): success after 0\\.0s`,
+        '⏱️ compliance 0\\.0s · publish 0\\.0s',
+        '🔁 Fallbacks: written by stub:offline \\(gemini:gemini-2\\.0-flash failed\\)',
+        '⚠️ \\d+ warning\\(s\\), first: .+',
+        '📬 x-draft ✅ · telegram ✅$'
+    ].join('\n')));
+});
+
+test('a failed stage is named in the run report, the JSON log lines and the health summary', async t => {
+    withEnv(t, { TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID });
+    const dir = createTempDir(t);
+    const { stub, deps } = await startTelegramStub(t);
+    await runAutomation(['fetch', ...stageArgs(dir)], deps);
+    
+    // Cards can't be written below a file
+    fs.writeFileSync(path.join(dir, 'not-a-dir'), '');
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(JSON.parse(line));
+    t.after(() => {
+        console.log = log;
+    });
+    await assert.rejects(runAutomation(['render', ...stageArgs(dir), '--images-dir', path.join(dir, 'not-a-dir', 'images'), '--log-format', 'json'], deps), /ENOTDIR/);
+    console.log = log;
+    
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'work', 'run-report.json'), 'utf8'));
+    assert.equal(report.status, 'failed');
+    assert.equal(report.error.stage, 'images');
+    assert.deepEqual(report.stages.map(stage => `${stage.name}: ${stage.status}`), ['images: failed']);
+    
+    assert.ok(lines.every(line => line.runId === report.runId && line.command === 'render' && line.level === 'info'));
+    assert.deepEqual(lines.find(line => line.message === '🎨 Generating crypto images...'), {
+        time: '2026-10-18T08:00:00.000Z',
+        level: 'info',
+        runId: report.runId,
+        command: 'render',
+        stage: 'images',
+        message: '🎨 Generating crypto images...'
+    });
+    
+    assert.match(jsonBody(stub.requests.at(-1)).text, new RegExp(`^❌ Run ${report.runId.slice(0, 8)} \\(render\\): failed during images after 0\\.0s\n⏱️ images ❌\n❌ ENOTDIR`));
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import path from 'path';
+import { createRateLimiter, formatStatus, parseBotCommand, runBot } from '../src/bot.js';
+import { loadRunHistory } from '../src/history.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, startTelegramStub, telegramReply } from './helpers/telegram-stub.js';
+import { createTempDir, createTestDeps, FIXED_NOW, FIXTURES_DIR, readFixture, testConfig } from './helpers/deps.js';
+
+const RUNS_FILE = path.join(FIXTURES_DIR, 'run-history', 'runs.jsonl');
+
+function methodsCalled(stub) {
+    return stub.requests.map(r => r.path.split('/').pop());
+}
+
+// Answers each poll with the next named updates and stops the bot on the poll after the last
+async function startBotStub(t, ...updates) {
+    const controller = new AbortController();
+    let polls = 0;
+    const { stub, deps } = await startTelegramStub(t, {
+        '/getUpdates': () => {
+            polls++;
+            if (polls === updates.length + 1) {
+                controller.abort();
+            }
+            return telegramReply(updates[polls - 1] || 'getUpdates-empty');
+        }
+    });
+    return { stub, deps, signal: controller.signal };
+}
+
+function botConfig(t, overrides = {}) {
+    const dir = createTempDir(t);
+    return testConfig({
+        imagesDir: path.join(dir, 'images'),
+        chartsDir: path.join(dir, 'charts'),
+        runHistoryFile: RUNS_FILE,
+        ...overrides
+    });
+}
+
+test('parseBotCommand reads the command, a bot mention and the arguments', () => {
+    assert.deepEqual(parseBotCommand('/chart@CryptoThreadsBot 7d btc  eth'), { name: 'chart', args: ['7d', 'btc', 'eth'] });
+    assert.deepEqual(parseBotCommand(' /STATUS '), { name: 'status', args: [] });
+    assert.equal(parseBotCommand('gm everyone'), null);
+    assert.equal(parseBotCommand(undefined), null);
+});
+
+test('createRateLimiter allows limit commands per user in a sliding window', () => {
+    let time = FIXED_NOW.getTime();
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000 }, () => new Date(time));
+    
+    assert.equal(limiter.take(1).allowed, true);
+    time += 20000;
+    assert.equal(limiter.take(1).allowed, true);
+    assert.equal(limiter.take(2).allowed, true);
+    assert.deepEqual(limiter.take(1), { allowed: false, retryInMs: 40000 });
+    time += 40000;
+    assert.equal(limiter.take(1).allowed, true);
+});
+
+test('formatStatus summarizes the last recorded run', () => {
+    const status = formatStatus(loadRunHistory(RUNS_FILE, createTestDeps()));
+    
+    assert.equal(status, [
+        '📋 Last run: failed (run)',
+        '🕗 Started 2026-10-17 14:30 UTC, finished 14:30 UTC',
+        '🪙 Coins: BTC',
+        '❌ Publishing failed on every channel',
+        '🗂️ 3 run(s) recorded'
+    ].join('\n'));
+    assert.equal(formatStatus([]), '📋 No runs recorded yet');
+});
+
+test('runBot answers allowed commands, ignores other chats and rate limits users', async t => {
+    const { stub, deps, signal } = await startBotStub(t, 'getUpdates-commands');
+    const config = botConfig(t, { botRateLimit: 2 });
+    let pipelineRuns = 0;
+    
+    await runBot({ config, token: TOKEN, chatId: CHAT_ID, signal, llm: null, runPipeline: async () => pipelineRuns++ }, deps);
+    
+    assert.equal(pipelineRuns, 0);
+    assert.deepEqual(methodsCalled(stub), ['setMyCommands', 'getUpdates', 'sendMessage', 'sendPhoto', 'sendMessage', 'getUpdates', 'getUpdates']);
+    const [commands, firstPoll, status, chart, slowDown, , confirm] = stub.requests;
+    
+    assert.deepEqual(jsonBody(commands).commands.map(command => command.command), ['thread', 'coin', 'chart', 'status', 'help']);
+    assert.deepEqual(jsonBody(firstPoll).allowed_updates, ['message', 'callback_query']);
+    assert.equal(jsonBody(status).reply_to_message_id, 4301);
+    assert.match(jsonBody(status).text, /^📋 Last run: failed \(run\)/);
+    assert.match(chart.body, /filename="comparison-btc-eth-7d-\d+-x-card\.png"/);
+    assert.equal(jsonBody(slowDown).text, '⏳ Slow down: 2 commands per 10 min. Try again in 10 min.');
+    assert.equal(jsonBody(confirm).offset, 880106);
+});
+
+test('runBot /coin sends a deep-dive thread and an image card for the top coin with that symbol', async t => {
+    const { stub, deps, signal } = await startBotStub(t, 'getUpdates-coin');
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-sol-deep-dive.txt')]);
+    
+    await runBot({ config: botConfig(t), token: TOKEN, chatId: CHAT_ID, signal, llm: gemini, runPipeline: async () => {} }, deps);
+    
+    assert.match(gemini.prompts[0], /Solana \(SOL\)/);
+    assert.deepEqual(methodsCalled(stub), ['setMyCommands', 'getUpdates', 'sendMessage', 'sendMessage', 'sendPhoto', 'getUpdates', 'getUpdates']);
+    const [, , researching, thread, image] = stub.requests;
+    assert.equal(jsonBody(researching).text, '🔎 Researching SOL...');
+    assert.match(jsonBody(thread).text, /^🔎 <b>Deep dive: Solana \(SOL\)<\/b>\n\nTweet 1\/6: 🔎 Deep dive: \$SOL trades at \$171\.44/);
+    assert.match(image.body, /filename="crypto-sol-\d+-1-x-card\.png"/);
+});
+
+test('runBot keeps answering commands during a /thread review and hands it the button presses', async t => {
+    const { stub, deps, signal } = await startBotStub(t, 'getUpdates-thread', 'getUpdates-status', 'getUpdates-approve');
+    const presses = [];
+    
+    // Stands in for the review: waits for presses from the bot's own polling loop
+    const runPipeline = async ({ nextCallbackQueries }) => {
+        while (presses.length === 0) {
+            presses.push(...await nextCallbackQueries(30));
+        }
+    };
+    await runBot({ config: botConfig(t), token: TOKEN, chatId: CHAT_ID, signal, llm: null, runPipeline }, deps);
+    
+    assert.deepEqual(presses.map(update => update.callback_query.data), ['approve']);
+    assert.deepEqual(methodsCalled(stub), ['setMyCommands', 'getUpdates', 'sendMessage', 'getUpdates', 'sendMessage', 'getUpdates', 'getUpdates', 'getUpdates']);
+    const [, , running, , status] = stub.requests.map(request => request.body ? jsonBody(request) : null);
+    assert.equal(running.text, '🧵 Running the full pipeline, this takes a few minutes...');
+    assert.equal(status.reply_to_message_id, 4305);
+    assert.match(status.text, /^📋 Last run: failed \(run\)/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { enforceCompliance, findComplianceViolations, formatComplianceReport } from '../src/compliance.js';
+import { generateThreadContent, parseThread } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { createTestDeps, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+test('a thread that quotes the market data and carries a disclaimer passes', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    
+    assert.deepEqual(findComplianceViolations(parseThread(readFixture('gemini', 'thread-valid.txt')), cryptoData), []);
+    assert.deepEqual(findComplianceViolations(parseThread(readFixture('gemini', 'thread-sol-deep-dive.txt')), cryptoData), []);
+});
+
+test('findComplianceViolations flags made-up figures, advice language and a missing disclaimer', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    
+    const violations = findComplianceViolations(parseThread(readFixture('gemini', 'thread-advice.txt')), cryptoData);
+    
+    assert.deepEqual(violations.map(({ tweetIndex, rule, message }) => `${tweetIndex} ${rule}: ${message}`), [
+        '2 unverified-number: $100K matches no price, market cap or volume in $BTC',
+        '2 banned-phrase: tells people to buy or sell ("Buy the dip")',
+        '2 banned-phrase: predicts the price ("will hit")',
+        '3 unverified-number: +15.2% matches no 24h or 7d change in $SOL',
+        '5 banned-phrase: promises guaranteed returns ("Guaranteed gains")',
+        'null disclaimer: no disclaimer such as "Not financial advice, DYOR."'
+    ]);
+});
+
+test('figures are checked against the coins the tweet mentions, allowing for rounding', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const check = text => findComplianceViolations(parseThread(`Tweet 1/1: ${text} DYOR`), cryptoData).map(v => v.message);
+    
+    assert.deepEqual(check('Bitcoin trades near $67,250 with a $1.3T market cap, +6% on the week.'), []);
+    assert.deepEqual(check('$PEPE slipped 4.5% to $0.00001123.'), []);
+    assert.deepEqual(check('$PEPE is +4.5% today.'), ['+4.5% matches no 24h or 7d change in $PEPE']);
+    assert.deepEqual(check('$BTC moved 11.0% today.'), ['11.0% matches no 24h or 7d change in $BTC']);
+});
+
+test('enforceCompliance appends a missing disclaimer and reports what is left', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const tweets = parseThread('Tweet 1/2: 📈 $BTC is up +2.4% today.\n\nTweet 2/2: 🎯 Follow for more.');
+    
+    const result = enforceCompliance(tweets, cryptoData);
+    
+    assert.equal(result.tweets[1].text, '🎯 Follow for more. Not financial advice, DYOR.');
+    assert.equal(result.tweets[1].charCount, 47);
+    assert.deepEqual(result.violations, []);
+    assert.equal(formatComplianceReport(result), '🛡️ Compliance check passed\n🔧 Added "Not financial advice, DYOR." to tweet 2');
+    
+    const blocked = enforceCompliance(parseThread(readFixture('gemini', 'thread-advice.txt')), cryptoData);
+    assert.match(formatComplianceReport(blocked), /^🛡️ Compliance check found 5 problem\(s\):\n❌ Tweet 2: \$100K matches no price/);
+});
+
+test('generateThreadContent re-prompts when the thread fails the compliance check', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-advice.txt'), readFixture('gemini', 'thread-valid.txt')]);
+    
+    const { tweets } = await generateThreadContent(gemini, cryptoData, { config: testConfig() }, createTestDeps());
+    
+    assert.match(gemini.prompts[0], /never tell people to buy or sell, and include a short disclaimer such as "Not financial advice, DYOR\."/);
+    assert.match(gemini.prompts[1], /- Tweet 3: \+15\.2% matches no 24h or 7d change in \$SOL\n/);
+    assert.match(gemini.prompts[1], /- Thread: no disclaimer such as/);
+    assert.deepEqual(tweets, parseThread(readFixture('gemini', 'thread-valid.txt')));
+});
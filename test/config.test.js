@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, readWorkFile, writeWorkFile } from '../src/config.js';
+import { createTempDir, createTestDeps } from './helpers/deps.js';
+
+function writeConfigFile(t, settings) {
+    const filePath = path.join(createTempDir(t), 'crypto-thread.config.json');
+    fs.writeFileSync(filePath, JSON.stringify(settings));
+    return filePath;
+}
+
+test('loadConfig layers defaults, config file, env and flags', t => {
+    const configFile = writeConfigFile(t, { coinLimit: 8, threadLength: 4, imageCount: 1 });
+    
+    const { command, config } = loadConfig(
+        ['render', '--config', configFile, '--thread-length=7', '--dry-run'],
+        { COIN_LIMIT: '6', PUBLISH_CHANNELS: 'telegram, X-Draft', ALERT_MOVE_PERCENT: '2.5' },
+        createTestDeps()
+    );
+    
+    assert.equal(command, 'render');
+    assert.equal(config.coinLimit, 6);
+    assert.equal(config.threadLength, 7);
+    assert.equal(config.imageCount, 1);
+    assert.equal(config.dryRun, true);
+    assert.equal(config.sendDelayMs, 0);
+    assert.equal(config.telegramParseMode, 'HTML');
+    assert.deepEqual(config.publishChannels, ['telegram', 'x-draft']);
+    assert.equal(config.alertMovePercent, 2.5);
+});
+
+test('loadConfig collects every problem into one error', t => {
+    const configFile = writeConfigFile(t, { coinLimt: 5 });
+    
+    assert.throws(
+        () => loadConfig(['tweet', '--config', configFile, '--coin-limit', 'many', '--render-sizes', 'big', '--verbose'], { PUBLISH_CHANNELS: 'fax', THREAD_FORMAT: 'hot-takes', BRAND_COLOR: 'orange', BRAND_LOGO: '/nonexistent/logo.png', COIN_SELECTION: 'watchlist,portfolio', LOCALES: 'en,pt,pt', ALERT_MOVE_PERCENT: '0' }, createTestDeps()),
+        error => {
+            assert.match(error.message, /^Invalid configuration:\n/);
+            [
+                'Unknown option --verbose',
+                'Unknown command "tweet" (available: fetch, generate, render, review, publish, run, bot, alerts, schedule, tick)',
+                `Unknown setting "coinLimt" in ${configFile}`,
+                'coinLimit (from --coin-limit): expected a whole number, got "many"',
+                'publishChannels (from env PUBLISH_CHANNELS): unknown value(s) fax (available: telegram, discord, slack, email, x-draft, x)',
+                'renderSizes (from --render-sizes): Invalid render size "big", expected name:WIDTHxHEIGHT',
+                'threadFormat: Unknown thread format "hot-takes" (available: daily-recap, deep-dive, explain-like-new, gainers-losers, weekly-wrap)',
+                'brandColor (from env BRAND_COLOR): expected a #RRGGBB color, got "orange"',
+                'brandLogo: /nonexistent/logo.png does not exist',
+                'coinSelection: watchlist needs coinWatchlist, e.g. BTC,ETH,SOL',
+                'coinSelection: portfolio needs the portfolio setting, e.g. BTC:50,ETH:30,SOL:20',
+                'locales: pt listed more than once',
+                'alertMovePercent (from env ALERT_MOVE_PERCENT): must be above 0 and at most 100, got 0'
+            ].forEach(problem => assert.ok(error.message.includes(`  - ${problem}`), `missing "${problem}"`));
+            return true;
+        }
+    );
+});
+
+test('loadConfig reports a missing --config file', () => {
+    assert.throws(() => loadConfig(['--config', '/nonexistent/config.json'], {}, createTestDeps()), /Config file \/nonexistent\/config\.json does not exist/);
+});
+
+test('work files round-trip and explain which stage to run first', t => {
+    const deps = createTestDeps();
+    const config = { workDir: path.join(createTempDir(t), 'work') };
+    
+    assert.throws(() => readWorkFile(config, 'thread', 'generate', deps), /thread\.json not found, run `node automation\.js generate` first/);
+    
+    writeWorkFile(config, 'thread', { tweets: [{ index: 1, text: 'gm' }] }, deps);
+    assert.deepEqual(readWorkFile(config, 'thread', 'generate', deps), { tweets: [{ index: 1, text: 'gm' }] });
+});
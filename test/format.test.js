@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import path from 'path';
+import { buildMainMessageBlocks, buildMarketSummary, formatMainMessage } from '../src/format.js';
+import { buildRunComparison, loadRunHistory } from '../src/history.js';
+import { parseThread } from '../src/thread.js';
+import { assertGolden } from './helpers/golden.js';
+import { createTestDeps, FIXED_NOW, FIXTURES_DIR, loadFixtureMarketData, readFixture } from './helpers/deps.js';
+
+async function loadDailyPost() {
+    const deps = createTestDeps();
+    const cryptoData = await loadFixtureMarketData(deps);
+    const runs = loadRunHistory(path.join(FIXTURES_DIR, 'run-history', 'runs.jsonl'), deps);
+    return {
+        tweets: parseThread(readFixture('gemini', 'thread-valid.txt')),
+        cryptoData,
+        comparison: buildRunComparison(cryptoData, runs, FIXED_NOW)
+    };
+}
+
+test('formatMainMessage matches the golden daily post', async () => {
+    const { tweets, cryptoData, comparison } = await loadDailyPost();
+    assertGolden('main-message.txt', formatMainMessage(tweets, cryptoData, comparison));
+});
+
+test('formatMainMessage escapes the post for MarkdownV2', async () => {
+    const { tweets, cryptoData, comparison } = await loadDailyPost();
+    assertGolden('main-message-markdownv2.txt', formatMainMessage(tweets, cryptoData, comparison, 'MarkdownV2'));
+});
+
+test('buildMainMessageBlocks keeps one block per tweet', async () => {
+    const { tweets, cryptoData } = await loadDailyPost();
+    const blocks = buildMainMessageBlocks(tweets, cryptoData, null, 'none');
+    
+    assert.equal(blocks.length, tweets.length + 5);
+    assert.equal(blocks[1], `Tweet 1/${tweets.length}: ${tweets[0].text}`);
+});
+
+test('formatMainMessage without history matches the golden first-run post', async () => {
+    const { tweets, cryptoData } = await loadDailyPost();
+    assertGolden('main-message-first-run.txt', formatMainMessage(tweets, cryptoData));
+});
+
+test('buildMarketSummary ranks only coins with a known 24h change', async () => {
+    const { cryptoData } = await loadDailyPost();
+    cryptoData.find(coin => coin.symbol === 'SUI').provenance.priceChange24h.status = 'unknown';
+    
+    const summary = buildMarketSummary(cryptoData);
+    
+    assert.equal(summary[0], '🚀 Top Gainer: Solana (SOL) +6.9%');
+    assert.equal(summary[1], '📉 Biggest Move: Pepe (PEPE) -4.5%');
+    assert.equal(summary[2], '📡 Live market data (n/a = no data) • fetched 2026-10-18 08:00 UTC');
+});
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_SCHEMA } from '../../src/config.js';
+import { createDeps } from '../../src/deps.js';
+import { fetchCryptoData } from '../../src/market-data.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures', import.meta.url));
+export const MARKET_DATA_FIXTURES = path.join(FIXTURES_DIR, 'market-data');
+export const FIXED_NOW = new Date('2026-10-18T08:00:00Z');
+
+// Offline deps: fixed clock, no waiting, and any unexpected network call fails the test
+export function createTestDeps(overrides = {}) {
+    return createDeps({
+        fetch: async url => {
+            throw new Error(`Unexpected network call to ${url}`);
+        },
+        now: () => new Date(FIXED_NOW),
+        sleep: async () => {},
+        telegramApiBase: 'http://telegram.invalid',
+        xApiBase: 'http://x.invalid',
+        createGeminiClient: async () => {
+            throw new Error('Tests must pass a fake Gemini client');
+        },
+        ...overrides
+    });
+}
+
+export function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crypto-thread-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A tiny SVG visual with a fake x-card PNG render next to it
+export function writeVisual(dir, fileName, description) {
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, '<svg width="10" height="10" xmlns="http://www.w3.org/2000/svg"/>');
+    const pngPath = filePath.replace(/\.svg$/, '-x-card.png');
+    fs.writeFileSync(pngPath, Buffer.from('89504e470d0a1a0a', 'hex'));
+    return {
+        fileName,
+        filePath,
+        description,
+        renders: [{ size: 'x-card', width: 1200, height: 675, fileName: path.basename(pngPath), filePath: pngPath }]
+    };
+}
+
+export function readFixture(...parts) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, ...parts), 'utf8');
+}
+
+// Schema defaults, tuned so nothing waits or touches the network
+export function testConfig(overrides = {}) {
+    return {
+        ...Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])),
+        marketDataFixtures: MARKET_DATA_FIXTURES,
+        sendDelayMs: 0,
+        renderSizes: 'x-card:1200x675',
+        ...overrides
+    };
+}
+
+// The five trending coins from the recorded CoinGecko responses
+export function loadFixtureMarketData(deps = createTestDeps()) {
+    return fetchCryptoData(testConfig(), deps);
+}
@@ -0,0 +1,35 @@
+import { createLlmClient } from '../../src/llm.js';
+import { createTestDeps, testConfig } from './deps.js';
+
+// Stands in for GoogleGenerativeAI: answers each generateContent call with the
+// next canned response and keeps the prompts for assertions.
+export function createFakeGemini(responses) {
+    const prompts = [];
+    const models = [];
+    
+    return {
+        prompts,
+        models,
+        getGenerativeModel({ model }) {
+            models.push(model);
+            return {
+                async generateContent(prompt) {
+                    prompts.push(prompt);
+                    const next = responses[Math.min(prompts.length, responses.length) - 1];
+                    if (next instanceof Error) {
+                        throw next;
+                    }
+                    return { response: { text: () => next } };
+                }
+            };
+        }
+    };
+}
+
+// The LLM client automation builds, over a fake Gemini: prompts and models are
+// exposed for assertions like on the fake itself
+export function createFakeLlm(responses, config = testConfig()) {
+    const gemini = createFakeGemini(responses);
+    const llm = createLlmClient(config, { GEMINI_API_KEY: 'test-key' }, createTestDeps({ createGeminiClient: async () => gemini }));
+    return { ...llm, prompts: gemini.prompts, models: gemini.models };
+}
@@ -0,0 +1,21 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const GOLDEN_DIR = fileURLToPath(new URL('../golden', import.meta.url));
+
+// Compares against test/golden/<name>. Run with UPDATE_GOLDEN=1 to accept
+// intentional output changes, then review the diff before committing.
+export function assertGolden(name, actual) {
+    const filePath = path.join(GOLDEN_DIR, name);
+    if (process.env.UPDATE_GOLDEN === '1' || !fs.existsSync(filePath)) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(filePath, actual);
+        if (process.env.UPDATE_GOLDEN !== '1') {
+            assert.fail(`Golden file ${name} was missing and has been written; review it and re-run`);
+        }
+        return;
+    }
+    assert.equal(actual, fs.readFileSync(filePath, 'utf8'), `Output differs from test/golden/${name} (UPDATE_GOLDEN=1 to accept)`);
+}
@@ -0,0 +1,7 @@
+// The pipeline narrates everything with console.log; keep test output readable
+// (and the test runner's stdout protocol intact). TEST_LOGS=1 shows the logs.
+if (process.env.TEST_LOGS !== '1') {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
@@ -0,0 +1,39 @@
+import http from 'http';
+
+// A local HTTP server standing in for the Telegram Bot API and webhooks.
+// routes maps a path (or a path suffix such as '/sendMessage') to
+// { status, body } or a function (request) => { status, body }.
+export async function startStubServer(routes) {
+    const requests = [];
+    
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const request = {
+                method: req.method,
+                path: req.url,
+                headers: req.headers,
+                body: Buffer.concat(chunks).toString('utf8')
+            };
+            requests.push(request);
+            
+            const route = routes[req.url] || Object.entries(routes).find(([suffix]) => req.url.endsWith(suffix))?.[1];
+            const { status = 200, body = {} } = typeof route === 'function' ? route(request) : route || { status: 404, body: { ok: false, description: 'Not Found' } };
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(typeof body === 'string' ? body : JSON.stringify(body));
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+export function jsonBody(request) {
+    return JSON.parse(request.body);
+}
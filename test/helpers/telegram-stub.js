@@ -0,0 +1,32 @@
+import { startStubServer } from './stub-server.js';
+import { createTestDeps, readFixture } from './deps.js';
+
+export const TOKEN = '123456:TEST-TOKEN';
+export const CHAT_ID = '-1001234567890';
+
+export function telegramReply(name, status = 200) {
+    return { status, body: readFixture('telegram', `${name}.json`) };
+}
+
+// Replies with each response in turn, repeating the last one
+export function replySequence(...replies) {
+    let calls = 0;
+    return () => replies[Math.min(calls++, replies.length - 1)];
+}
+
+// A Bot API stub answering with the recorded happy-path responses; routes override them
+export async function startTelegramStub(t, routes = {}) {
+    const stub = await startStubServer({
+        '/sendMessage': telegramReply('sendMessage-ok'),
+        '/sendMediaGroup': telegramReply('sendMediaGroup-ok'),
+        '/sendPhoto': telegramReply('sendMediaGroup-ok'),
+        '/sendDocument': telegramReply('sendDocument-ok'),
+        '/editMessageText': telegramReply('editMessageText-ok'),
+        '/answerCallbackQuery': telegramReply('answerCallbackQuery-ok'),
+        '/getUpdates': telegramReply('getUpdates-empty'),
+        '/setMyCommands': telegramReply('setMyCommands-ok'),
+        ...routes
+    });
+    t.after(stub.close);
+    return { stub, deps: createTestDeps({ fetch: globalThis.fetch, telegramApiBase: stub.url }) };
+}
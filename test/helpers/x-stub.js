@@ -0,0 +1,26 @@
+import { startStubServer } from './stub-server.js';
+
+export const X_TOKEN = 'x-user-token';
+
+// A local stand-in for the X API v2 endpoints the x channel calls. Tweets get
+// ids 1001, 1002, ... and media 5001, 5002, ...; failTweet makes that (1-based)
+// tweet request answer 503 instead.
+export async function startXStub(t, { failTweet = null } = {}) {
+    let tweetRequests = 0;
+    let nextTweetId = 1001;
+    let nextMediaId = 5001;
+    
+    const stub = await startStubServer({
+        '/2/tweets': () => {
+            tweetRequests++;
+            if (tweetRequests === failTweet) {
+                return { status: 503, body: { title: 'Service Unavailable' } };
+            }
+            return { status: 201, body: { data: { id: String(nextTweetId++), text: '' } } };
+        },
+        '/2/media/upload': () => ({ body: { data: { id: String(nextMediaId++), media_key: '3_media' } } }),
+        '/2/media/metadata': { body: { data: { associated_metadata: true } } }
+    });
+    t.after(stub.close);
+    return stub;
+}
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { appendRunHistory, buildRunComparison, describeRunComparison, findReusedPhrasing, loadRunHistory, recentPublishedTweets } from '../src/history.js';
+import { createTempDir, createTestDeps, FIXED_NOW, FIXTURES_DIR } from './helpers/deps.js';
+
+const RUNS_FILE = path.join(FIXTURES_DIR, 'run-history', 'runs.jsonl');
+
+const today = [
+    { id: 'bitcoin', symbol: 'BTC', rank: 1 },
+    { id: 'solana', symbol: 'SOL', rank: 2 },
+    { id: 'sui', symbol: 'SUI', rank: 3 }
+];
+
+test('buildRunComparison compares with the latest published run of the previous day', () => {
+    const comparison = buildRunComparison(today, loadRunHistory(RUNS_FILE, createTestDeps()), FIXED_NOW);
+    
+    assert.equal(comparison.previousRunDate, '2026-10-17');
+    assert.deepEqual(comparison.coins.bitcoin, { streakDays: 3, isNew: false, previousRank: 2, rankChange: 1 });
+    assert.deepEqual(comparison.coins.sui, { streakDays: 1, isNew: true, previousRank: null, rankChange: null });
+    assert.deepEqual(comparison.newEntrants, ['SUI']);
+    assert.deepEqual(comparison.dropOuts, ['PEPE', 'ETH']);
+    assert.deepEqual(describeRunComparison(today, comparison), [
+        '🔁 Still trending: BTC (3 days in a row), SOL (3 days in a row)',
+        '🆕 New today: SUI',
+        '👋 Dropped out since 2026-10-17: PEPE, ETH',
+        '↕️ Rank moves: BTC ▲1 (#2 → #1), SOL ▼1 (#1 → #2)'
+    ]);
+});
+
+test('buildRunComparison ignores runs from the same day and failed runs', () => {
+    const runs = loadRunHistory(RUNS_FILE, createTestDeps());
+    
+    assert.equal(buildRunComparison(today, runs, new Date('2026-10-17T20:00:00Z')).previousRunDate, '2026-10-16');
+    assert.equal(buildRunComparison(today, [], FIXED_NOW).previousRunDate, null);
+    assert.deepEqual(describeRunComparison(today, buildRunComparison(today, [], FIXED_NOW)), []);
+});
+
+test('run history appends one JSON line per run and skips unreadable lines', t => {
+    const deps = createTestDeps();
+    const filePath = path.join(createTempDir(t), 'history', 'runs.jsonl');
+    
+    appendRunHistory({ runId: 'a', status: 'success' }, filePath, deps);
+    fs.appendFileSync(filePath, '{"runId": "truncated\n');
+    appendRunHistory({ runId: 'b', status: 'failed' }, filePath, deps);
+    
+    assert.deepEqual(loadRunHistory(filePath, deps).map(run => run.runId), ['a', 'b']);
+    assert.deepEqual(loadRunHistory(path.join(path.dirname(filePath), 'missing.jsonl'), deps), []);
+});
+
+test('findReusedPhrasing flags tweets that repeat a recent hook', () => {
+    const recentTweets = recentPublishedTweets(loadRunHistory(RUNS_FILE, createTestDeps()), FIXED_NOW);
+    assert.equal(recentTweets.length, 4);
+    
+    const tweets = [
+        { index: 1, text: '🔥 Solana takes the top trending spot as memecoins wake up again! Let\'s dig in 👇 #crypto' },
+        { index: 2, text: '📈 $SUI +11.0% leads a rotation into mid caps.' }
+    ];
+    assert.deepEqual(findReusedPhrasing(tweets, recentTweets), ['Tweet 1 reuses wording from a thread published in the last 7 days']);
+});
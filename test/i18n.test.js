@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { generatePriceCharts } from '../src/charts.js';
+import { enforceCompliance, findComplianceViolations } from '../src/compliance.js';
+import { buildMarketSummary } from '../src/format.js';
+import { LOCALES, createI18n } from '../src/i18n.js';
+import { generateCryptoImages } from '../src/images.js';
+import { generateThreadContent, parseThread } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { createTempDir, createTestDeps, FIXED_NOW, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+test('numbers, percentages, prices and dates follow the locale', () => {
+    const [en, es, pt] = ['en', 'es', 'pt'].map(locale => createI18n(locale));
+    
+    assert.deepEqual([en.percent(2.41), en.percent(-4.5), en.price(67250.123), en.price(0.00001123), en.date(FIXED_NOW), en.points(1.2)], ['+2.4%', '-4.5%', '$67,250.12', '$0.00001123', '10/18/2026', '+1.2 pts']);
+    assert.deepEqual([es.percent(2.41), es.price(67250.123), es.date(FIXED_NOW), es.day(FIXED_NOW)], ['+2,4\u00a0%', '$67.250,12', '18/10/2026', '18/10']);
+    assert.deepEqual([pt.percent(2.41), pt.price(67250.123), pt.share(0.5), pt.percent(null)], ['+2,4%', '$67.250,12', '50%', 'n/d']);
+    assert.equal(es.list(['a', 'b', 'c']), 'a, b y c');
+    assert.equal(en.title('watchlist and top-gaining'), 'Watchlist and Top-gaining');
+    assert.equal(es.title('en tendencia'), 'en tendencia');
+    
+    assert.throws(() => createI18n('fr'), /Unknown locale "fr" \(available: en, es, pt\)/);
+    assert.throws(() => en.t('card.nope'), /No message "card\.nope" in the en catalog/);
+});
+
+test('every catalog has the English messages and placeholders', () => {
+    const catalog = locale => JSON.parse(fs.readFileSync(new URL(`../locales/${locale}.json`, import.meta.url), 'utf8'));
+    const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+    const english = catalog('en');
+    
+    Object.keys(LOCALES).forEach(locale => {
+        const messages = catalog(locale);
+        assert.deepEqual(Object.keys(messages).sort(), Object.keys(english).sort(), `${locale} keys`);
+        Object.entries(english).forEach(([key, text]) => assert.deepEqual(placeholders(messages[key]), placeholders(text), `${locale} ${key}`));
+    });
+});
+
+test('the market summary, cards and charts are drawn in the chosen language', async t => {
+    const outDir = createTempDir(t);
+    const config = testConfig({ imagesDir: path.join(outDir, 'images'), chartsDir: path.join(outDir, 'charts'), cardLayouts: ['coin', 'cover'], imageCount: 1 });
+    const deps = createTestDeps();
+    const cryptoData = await loadFixtureMarketData(deps);
+    
+    assert.match(buildMarketSummary(cryptoData, null, { i18n: createI18n('pt') })[0], /^🚀 Maior alta: Sui \(SUI\) \+11,0%$/);
+    
+    const images = await generateCryptoImages(cryptoData, config, deps, { locale: 'pt' });
+    const cover = fs.readFileSync(images[1].filePath, 'utf8');
+    assert.match(images[1].description, /^Capa da thread de 18\/10\/2026: /);
+    assert.match(cover, />THREAD CRIPTO DIÁRIA</);
+    assert.match(fs.readFileSync(images[0].filePath, 'utf8'), />\$67\.250,12</);
+    
+    const charts = await generatePriceCharts(cryptoData, config, deps, { locale: 'es' });
+    assert.match(charts.find(chart => chart.type === 'price-change-bar-chart').description, /^Gráfico comparativo del cambio de precio en 24 horas de \d+ proyectos cripto en tendencia/);
+    assert.match(fs.readFileSync(charts.find(chart => chart.type === 'line-chart').filePath, 'utf8'), />Bitcoin \(BTC\) • Precio a 30 días</);
+});
+
+test('a Spanish thread is asked for natively and checked with decimal commas and its own disclaimer', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const llm = createFakeLlm([readFixture('gemini', 'thread-valid-es.txt')]);
+    
+    const { tweets, generation } = await generateThreadContent(llm, cryptoData, { locale: 'es', config: testConfig({ locales: 'en,es' }) }, createTestDeps());
+    assert.equal(generation.locale, 'es');
+    assert.match(llm.prompts[0], /Write in Spanish as a native speaker would, not as a translation from English\./);
+    assert.match(llm.prompts[0], /No es asesoramiento financiero, DYOR\./);
+    assert.deepEqual(findComplianceViolations(tweets, cryptoData), []);
+    
+    const check = text => findComplianceViolations(parseThread(`Tweet 1/1: ${text} DYOR`), cryptoData).map(v => v.message);
+    assert.deepEqual(check('$PEPE cae un 4,5% hoy.'), []);
+    assert.deepEqual(check('$PEPE sube un +4,5% hoy.'), ['+4,5% matches no 24h or 7d change in $PEPE']);
+    assert.equal(check('Compra ya $BTC, dinero fácil.').length, 2);
+    
+    const result = enforceCompliance(parseThread('Tweet 1/1: 📈 $BTC sube un +2,4% hoy.'), cryptoData, { disclaimer: createI18n('es').t('disclaimer') });
+    assert.equal(result.tweets[0].text, '📈 $BTC sube un +2,4% hoy. No es asesoramiento financiero, DYOR.');
+    assert.deepEqual(result.fixes, ['added "No es asesoramiento financiero, DYOR." to tweet 1']);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { checkLlmModels, createLlmClient, parseModelChain } from '../src/llm.js';
+import { generateThreadContent, validateThread } from '../src/thread.js';
+import { createFakeGemini, createFakeLlm } from './helpers/fake-gemini.js';
+import { jsonBody, startStubServer } from './helpers/stub-server.js';
+import { createTestDeps, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+test('parseModelChain reads provider:model entries and rejects unknown providers', () => {
+    assert.deepEqual(parseModelChain('gemini:gemini-2.0-flash, openai:llama3.1:8b'), [
+        { provider: 'gemini', model: 'gemini-2.0-flash', id: 'gemini:gemini-2.0-flash' },
+        { provider: 'openai', model: 'llama3.1:8b', id: 'openai:llama3.1:8b' }
+    ]);
+    assert.throws(() => parseModelChain('gemini-2.0-flash'), /"gemini-2\.0-flash" is not provider:model \(providers: gemini, openai, stub\)/);
+    assert.throws(() => parseModelChain('claude:sonnet'), /"claude:sonnet" is not provider:model/);
+    assert.throws(() => parseModelChain(' , '), /expected at least one provider:model/);
+});
+
+test('checkLlmModels lists the secrets each model still needs', () => {
+    const config = testConfig({ llmModels: 'gemini:gemini-2.0-flash,openai:gpt-4o-mini,stub:offline' });
+    
+    assert.deepEqual(checkLlmModels(config, {}).map(entry => entry.missing), [['GEMINI_API_KEY'], ['OPENAI_API_KEY'], []]);
+    // A local OpenAI-compatible server needs no key
+    assert.deepEqual(checkLlmModels({ ...config, openaiBaseUrl: 'http://localhost:11434/v1' }, {})[1].missing, []);
+    assert.equal(createLlmClient(testConfig(), {}, createTestDeps()), null);
+});
+
+test('generate retries rate limits with exponential backoff before moving on', async () => {
+    const gemini = createFakeGemini([new Error('[429 Too Many Requests] Resource exhausted'), new Error('[503 Service Unavailable] The model is overloaded'), 'Tweet 1/1: ok']);
+    const delays = [];
+    const deps = createTestDeps({ createGeminiClient: async () => gemini, sleep: async ms => delays.push(ms) });
+    const llm = createLlmClient(testConfig({ llmRetryDelayMs: 1000 }), { GEMINI_API_KEY: 'test-key' }, deps);
+    
+    const result = await llm.generate('prompt');
+    
+    assert.deepEqual(delays, [1000, 2000]);
+    assert.equal(result.text, 'Tweet 1/1: ok');
+    assert.equal(result.model, 'gemini:gemini-2.0-flash');
+    assert.equal(result.modelFallback, false);
+    assert.deepEqual(llm.usage(), {
+        calls: 3,
+        failedCalls: 2,
+        promptTokens: 0,
+        outputTokens: 0,
+        latencyMs: 0,
+        byModel: { 'gemini:gemini-2.0-flash': { calls: 3, failedCalls: 2, promptTokens: 0, outputTokens: 0, latencyMs: 0 } }
+    });
+});
+
+test('generate moves to the next model right away on errors a retry would not fix', async () => {
+    const llm = createFakeLlm([new Error('[404 Not Found] models/gemini-2.0-flash is not found'), 'Tweet 1/1: from the fallback']);
+    
+    const result = await llm.generate('prompt');
+    
+    assert.deepEqual(llm.models, ['gemini-2.0-flash', 'gemini-2.0-flash-lite']);
+    assert.equal(result.model, 'gemini:gemini-2.0-flash-lite');
+    assert.equal(result.modelFallback, true);
+    assert.deepEqual(result.failedModels, [{ model: 'gemini:gemini-2.0-flash', error: '[404 Not Found] models/gemini-2.0-flash is not found' }]);
+});
+
+test('the openai provider talks to any chat completions server and counts tokens', async t => {
+    const server = await startStubServer({ '/v1/chat/completions': { body: readFixture('openai', 'chat-completion-thread.json') } });
+    t.after(server.close);
+    const config = testConfig({ llmModels: 'openai:llama3.1:8b', openaiBaseUrl: `${server.url}/v1` });
+    const llm = createLlmClient(config, {}, createTestDeps({ fetch: globalThis.fetch }));
+    
+    const result = await llm.generate('Write the thread');
+    
+    assert.equal(result.text, readFixture('gemini', 'thread-valid.txt'));
+    assert.deepEqual([result.promptTokens, result.outputTokens], [812, 344]);
+    assert.deepEqual(jsonBody(server.requests[0]), { model: 'llama3.1:8b', messages: [{ role: 'user', content: 'Write the thread' }] });
+    assert.equal(server.requests[0].headers.authorization, undefined);
+    assert.deepEqual([llm.usage().promptTokens, llm.usage().outputTokens], [812, 344]);
+});
+
+test('the stub provider writes the same valid thread offline every time', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const config = testConfig({ llmModels: 'stub:offline' });
+    const deps = createTestDeps();
+    
+    const first = await generateThreadContent(createLlmClient(config, {}, deps), cryptoData, { config }, deps);
+    const second = await generateThreadContent(createLlmClient(config, {}, deps), cryptoData, { config }, deps);
+    
+    assert.equal(first.generation.fallback, false);
+    assert.equal(first.generation.model, 'stub:offline');
+    assert.deepEqual(validateThread(first.tweets, config.threadLength), []);
+    assert.match(first.tweets[5].text, /Not financial advice, DYOR\.$/);
+    assert.deepEqual(second.tweets, first.tweets);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { fetchCryptoData, deriveChangeFromHistory } from '../src/market-data.js';
+import { createFixtureFetch, fixtureFileName } from '../src/fixtures.js';
+import { formatChange, isSampleData } from '../src/provenance.js';
+import { describeCoinSelection, parseCoinSelection } from '../src/selection.js';
+import { nearestValue } from '../src/utils.js';
+import { createTestDeps, createTempDir, loadFixtureMarketData, MARKET_DATA_FIXTURES, testConfig } from './helpers/deps.js';
+
+test('fetchCryptoData replays the recorded CoinGecko responses', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    
+    assert.deepEqual(cryptoData.map(coin => coin.symbol), ['BTC', 'SOL', 'PEPE', 'SUI', 'HYPE']);
+    assert.deepEqual(cryptoData.map(formatChange), ['+2.4%', '+6.9%', '-4.5%', '+11.0%', '-1.4%']);
+    
+    const [btc] = cryptoData;
+    assert.equal(btc.price, 67250.12);
+    assert.equal(btc.priceChange7d, 5.9);
+    assert.deepEqual(btc.provenance.price, { source: 'coingecko:/coins/markets', status: 'real', fetchedAt: '2026-10-18T08:00:00.000Z' });
+    assert.equal(btc.history['7d'].ohlc.length, 42);
+    assert.equal(btc.history['30d'].prices.length, 181);
+    assert.deepEqual(cryptoData[1].history, {}, 'coins without recorded history get no charts');
+});
+
+test('fetchCryptoData flags prices that disagree across providers', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const sui = cryptoData.find(coin => coin.symbol === 'SUI');
+    
+    assert.deepEqual(sui.discrepancies, [{ field: 'price', source: 'binance', primary: 3.21, other: 3.35445 }]);
+    assert.equal(cryptoData.filter(coin => coin.discrepancies).length, 1);
+});
+
+test('fetchCryptoData fails over to the next provider', async () => {
+    const replay = createFixtureFetch(MARKET_DATA_FIXTURES, fs);
+    const requested = [];
+    const deps = createTestDeps({
+        fetch: async url => {
+            requested.push(url);
+            return url.includes('coingecko') ? { ok: false, status: 429, json: async () => ({}), text: async () => 'Too Many Requests' } : replay(url);
+        }
+    });
+    
+    const cryptoData = await fetchCryptoData(testConfig({ marketDataFixtures: null, marketDataProviders: ['coingecko', 'binance'] }), deps);
+    
+    assert.equal(requested[0], 'https://api.coingecko.com/api/v3/search/trending');
+    assert.equal(cryptoData.length, 5);
+    assert.ok(cryptoData.every(coin => coin.provenance.price.source === 'binance:/api/v3/ticker/24hr'));
+    assert.ok(!cryptoData.some(coin => /^(USDC|FDUSD)$/.test(coin.symbol)), 'stablecoins are skipped');
+});
+
+test('binance ranks the pairs by volume and puts one without a volume last', async () => {
+    const tickers = [
+        { symbol: 'AAAUSDT', lastPrice: '1', priceChangePercent: '1', quoteVolume: '100' },
+        { symbol: 'BBBUSDT', lastPrice: '1', priceChangePercent: '1' },
+        { symbol: 'CCCUSDT', lastPrice: '1', priceChangePercent: '1', quoteVolume: '300' },
+        { symbol: 'DDDUSDT', lastPrice: '1', priceChangePercent: '1', quoteVolume: '200' }
+    ];
+    const deps = createTestDeps({ fetch: async () => ({ ok: true, status: 200, json: async () => tickers }) });
+    
+    const cryptoData = await fetchCryptoData(testConfig({ marketDataFixtures: null, marketDataProviders: ['binance'] }), deps);
+    
+    assert.deepEqual(cryptoData.map(coin => coin.symbol), ['CCC', 'DDD', 'AAA', 'BBB']);
+});
+
+test('fetchCryptoData returns labelled sample data when every provider fails', async () => {
+    const deps = createTestDeps({
+        fetch: async () => {
+            throw new Error('getaddrinfo ENOTFOUND');
+        }
+    });
+    
+    const cryptoData = await fetchCryptoData(testConfig({ marketDataFixtures: null }), deps);
+    
+    assert.ok(isSampleData(cryptoData));
+    assert.equal(cryptoData[0].provenance.priceChange24h.source, 'built-in sample');
+});
+
+test('recording fetch writes fixtures that replay to the same data', async t => {
+    const recordDir = createTempDir(t);
+    const replay = createFixtureFetch(MARKET_DATA_FIXTURES, fs);
+    
+    const recorded = await fetchCryptoData(testConfig({ marketDataFixtures: null, marketDataRecord: recordDir }), createTestDeps({ fetch: async url => {
+        const response = await replay(url);
+        return { ...response, text: async () => JSON.stringify(await response.json()) };
+    } }));
+    assert.ok(fs.existsSync(path.join(recordDir, fixtureFileName('https://api.coingecko.com/api/v3/search/trending'))));
+    
+    const replayed = await fetchCryptoData(testConfig({ marketDataFixtures: recordDir }), createTestDeps());
+    assert.deepEqual(replayed, recorded);
+});
+
+test('deriveChangeFromHistory compares the last price with the one a day earlier, and nearestValue finds it', () => {
+    const hour = 60 * 60 * 1000;
+    const prices = Array.from({ length: 30 }, (_, i) => [i * hour, 100 + i]);
+    
+    assert.equal(deriveChangeFromHistory({ prices }).toFixed(4), ((129 - 105) / 105 * 100).toFixed(4));
+    assert.equal(deriveChangeFromHistory({ prices: prices.slice(0, 1) }), null);
+    assert.equal(deriveChangeFromHistory(undefined), null);
+    assert.equal(deriveChangeFromHistory({ prices: [[0, 0], [24 * hour, 5]] }), null);
+    
+    assert.equal(nearestValue(prices, 4.4 * hour), 104);
+    assert.equal(nearestValue([], 4.4 * hour), null);
+});
+
+test('fetchCryptoData with symbols picks the highest ranked coin for each symbol', async () => {
+    const coins = await fetchCryptoData(testConfig(), createTestDeps(), { symbols: ['BTC', 'ETH'] });
+    
+    assert.deepEqual(coins.map(coin => [coin.id, coin.rank]), [['bitcoin', 1], ['ethereum', 2]]);
+    await assert.rejects(fetchCryptoData(testConfig(), createTestDeps(), { symbols: ['NOPE'] }), /No market data found for NOPE/);
+});
+
+test('fetchCryptoData fills coinLimit from the coinSelection parts in order, skipping repeats', async () => {
+    const config = testConfig({ coinSelection: 'watchlist:2,gainers:defi:2,trending', coinWatchlist: 'BTC,ETH' });
+    const cryptoData = await fetchCryptoData(config, createTestDeps());
+    
+    // BTC is also trending, so the trending part moves on to SOL; Maker has no 24h change to rank
+    assert.deepEqual(cryptoData.map(coin => [coin.rank, coin.symbol, coin.selectedBy]), [
+        [1, 'BTC', 'watchlist'],
+        [2, 'ETH', 'watchlist'],
+        [3, 'PENDLE', 'gainers:defi'],
+        [4, 'AAVE', 'gainers:defi'],
+        [5, 'SOL', 'trending']
+    ]);
+    assert.equal(cryptoData[1].id, 'ethereum');
+    assert.equal(describeCoinSelection(cryptoData), 'watchlist, top-gaining DeFi and trending');
+    
+    // A provider without a market cap ranking can't serve "top"
+    const binanceOnly = await fetchCryptoData(testConfig({ coinSelection: 'top', marketDataProviders: ['binance'] }), createTestDeps());
+    assert.ok(isSampleData(binanceOnly));
+});
+
+test('parseCoinSelection reads strategy[:category][:count] parts', () => {
+    assert.deepEqual(parseCoinSelection('watchlist:2, losers:memes'), [
+        { name: 'watchlist', strategy: 'watchlist', category: null, count: 2 },
+        { name: 'losers:memes', strategy: 'losers', category: 'memes', count: null }
+    ]);
+    assert.throws(() => parseCoinSelection('hot'), /Unknown coin selection strategy "hot"/);
+    assert.throws(() => parseCoinSelection('trending:defi'), /Invalid coin selection "trending:defi", expected trending\[:count\]/);
+    assert.throws(() => parseCoinSelection('top:0'), /expected top\[:category\]\[:count\]/);
+});
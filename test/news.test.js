@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { fetchNewsContext, findUnsourcedLinks, formatNewsContext, matchHeadlineCoins, parseFeed, parseFeedList } from '../src/news.js';
+import { generateThreadContent, parseThread } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { createTestDeps, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+const FEEDS = 'https://www.coindesk.com/arc/outboundfeeds/rss/,https://www.theblock.co/rss.xml';
+
+function readFeedFixture(fileName) {
+    return JSON.parse(readFixture('market-data', fileName)).body;
+}
+
+test('parseFeed reads RSS items and Atom entries', () => {
+    const rss = parseFeed(readFeedFixture('www_coindesk_com_arc_outboundfeeds_rss.json'));
+    assert.equal(rss.title, 'CoinDesk: Bitcoin, Ethereum, Crypto News and Price Data');
+    assert.deepEqual(rss.items[1], {
+        title: 'Solana’s Firedancer Client Goes Live on Mainnet',
+        url: 'https://www.coindesk.com/tech/2026/10/17/solanas-firedancer-client-goes-live-on-mainnet',
+        publishedAt: '2026-10-17T15:02:00.000Z'
+    });
+    
+    const atom = parseFeed(readFeedFixture('www_theblock_co_rss_xml.json'));
+    assert.equal(atom.title, 'The Block');
+    assert.deepEqual(atom.items.map(item => item.url), [
+        'https://www.theblock.co/post/371002/spot-bitcoin-etfs-inflows',
+        'https://www.theblock.co/post/371010/sui-open-interest-record',
+        'https://www.theblock.co/post/371011/memecoins-rally'
+    ]);
+    assert.equal(atom.items[2].title, 'PEPE & friends: memecoins rally on the weekend');
+    
+    assert.throws(() => parseFeedList('https://a.example/rss, feeds.example/atom'), /Invalid feed URL\(s\) feeds\.example\/atom/);
+});
+
+test('matchHeadlineCoins needs a whole name, a cashtag or a capitalised ticker', () => {
+    const coins = [{ name: 'Sui', symbol: 'SUI' }, { name: 'Hyperliquid', symbol: 'HYPE' }, { name: 'Toncoin', symbol: 'TON' }];
+    
+    assert.deepEqual(matchHeadlineCoins('Sui validators upgrade', coins), ['SUI']);
+    assert.deepEqual(matchHeadlineCoins('Pursuit of yield: HYPE stakers pile in', coins), ['HYPE']);
+    assert.deepEqual(matchHeadlineCoins('Ignore the hype, a ton of tokens unlock', coins), []);
+    assert.deepEqual(matchHeadlineCoins('$ton and $sui lead', coins), ['SUI', 'TON']);
+});
+
+test('fetchNewsContext keeps recent headlines about the coins once, with coin profiles', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const news = await fetchNewsContext(cryptoData, testConfig({ newsFeeds: FEEDS }), createTestDeps());
+    
+    // The CoinDesk ETF story repeats The Block's, the Fed one names no coin and the miners one is too old
+    assert.deepEqual(news.headlines.map(headline => [headline.id, headline.source, headline.coins.join(',')]), [
+        ['N1', 'The Block', 'PEPE'],
+        ['N2', 'The Block', 'SUI'],
+        ['N3', 'The Block', 'BTC'],
+        ['N4', 'CoinDesk', 'SOL']
+    ]);
+    
+    // Profiles for the coins with a recorded /coins/{id}, cut to a sentence or two
+    assert.deepEqual(Object.keys(news.profiles), ['BTC', 'SOL']);
+    assert.deepEqual(news.profiles.BTC.categories, ['Cryptocurrency', 'Layer 1 (L1)', 'Proof of Work (PoW)']);
+    assert.equal(news.profiles.BTC.description, 'Bitcoin is the first successful internet money based on peer-to-peer technology; whereby no central bank or authority is involved in the transaction and production of the Bitcoin currency.');
+    assert.match(news.profiles.SOL.description, /creation of decentralized finance \(DeFi\) apps, NFTs and dApps\.$/);
+    
+    const capped = await fetchNewsContext(cryptoData, testConfig({ newsFeeds: FEEDS, newsMaxHeadlines: 2, coinProfiles: false }), createTestDeps());
+    assert.deepEqual(capped.headlines.map(headline => headline.id), ['N1', 'N2']);
+    assert.deepEqual(capped.profiles, {});
+});
+
+test('the thread prompt cites the news, and with source links only the given links pass', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const config = testConfig({ newsFeeds: FEEDS, threadSourceLinks: true });
+    const news = await fetchNewsContext(cryptoData, config, createTestDeps());
+    
+    const prompt = formatNewsContext(news, cryptoData, { sourceLinks: true });
+    assert.match(prompt, /^\n\nWhat these projects are:\n- Bitcoin \(BTC\) \[Cryptocurrency, Layer 1 \(L1\), Proof of Work \(PoW\)\]: Bitcoin is the first/);
+    assert.match(prompt, /\n- N2 "\$SUI open interest hits a record as Mysticeti v2 ships" \(The Block, 2026-10-18\) about SUI: https:\/\/www\.theblock\.co\/post\/371010\/sui-open-interest-record\n/);
+    assert.match(prompt, /at most 2 links in the whole thread/);
+    assert.doesNotMatch(formatNewsContext(news, cryptoData), /https:/);
+    assert.equal(formatNewsContext({ headlines: [], profiles: {} }, cryptoData), '');
+    
+    const tweets = parseThread([
+        'Tweet 1/2: $SUI open interest hit a record, per The Block https://www.theblock.co/post/371010/sui-open-interest-record',
+        'Tweet 2/2: More at https://example.com/made-up.'
+    ].join('\n\n'));
+    assert.deepEqual(findUnsourcedLinks(tweets, news, { sourceLinks: true }), ['Tweet 2 links to https://example.com/made-up, which is not one of the headlines given']);
+    assert.deepEqual(findUnsourcedLinks(tweets, news), []);
+    
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-valid.txt')]);
+    await generateThreadContent(gemini, cryptoData, { news, config }, createTestDeps());
+    assert.match(gemini.prompts[0], /Recent headlines:\n- N1 "PEPE & friends: memecoins rally on the weekend" \(The Block, 2026-10-18\) about PEPE/);
+});
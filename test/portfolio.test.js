@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { findComplianceViolations } from '../src/compliance.js';
+import { fetchPortfolio } from '../src/market-data.js';
+import { buildPortfolio, formatPortfolioContext, parsePortfolio, withPortfolioFigures } from '../src/portfolio.js';
+import { generateThreadContent, parseThread } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { createTestDeps, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+test('parsePortfolio normalizes the weights, heaviest first', () => {
+    assert.deepEqual(parsePortfolio('eth:1, BTC:3'), [{ symbol: 'BTC', weight: 0.75 }, { symbol: 'ETH', weight: 0.25 }]);
+    assert.deepEqual(parsePortfolio('BTC,ETH').map(holding => holding.weight), [0.5, 0.5]);
+    assert.throws(() => parsePortfolio('BTC:half'), /Invalid holding "BTC:half", expected SYMBOL:weight/);
+    assert.throws(() => parsePortfolio('BTC:0'), /Invalid holding "BTC:0"/);
+    assert.throws(() => parsePortfolio('BTC:1,btc:2'), /BTC listed more than once/);
+});
+
+test('fetchPortfolio weights the holdings and quotes the ones the run doesn\'t cover', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const portfolio = await fetchPortfolio(cryptoData, testConfig({ portfolio: 'BTC:50,SOL:30,ETH:20' }), createTestDeps());
+    
+    // ETH isn't trending, so it is quoted on its own
+    assert.deepEqual(portfolio.holdings.map(h => [h.symbol, h.weight, h.priceChange24h, Number(h.contribution24h.toFixed(3))]), [
+        ['BTC', 0.5, 2.41, 1.205],
+        ['SOL', 0.3, 6.87, 2.061],
+        ['ETH', 0.2, 1.94, 0.388]
+    ]);
+    assert.equal(portfolio.change24h.toFixed(3), '3.654');
+    assert.equal(portfolio.change7d.toFixed(2), '7.70');
+    assert.deepEqual(portfolio.unknown, []);
+    
+    assert.equal(formatPortfolioContext(portfolio), [
+        '\n\nOur model portfolio:',
+        '- Bitcoin (BTC): 50% of the portfolio, 24h +2.4%, contributing +1.2 pts',
+        '- Solana (SOL): 30% of the portfolio, 24h +6.9%, contributing +2.1 pts',
+        '- Ethereum (ETH): 20% of the portfolio, 24h +1.9%, contributing +0.4 pts',
+        'The portfolio changed +3.7% in 24h and +7.7% in 7 days. Report this as the day\'s portfolio P&L. The only percentages you may quote are the portfolio total and each coin\'s own change; describe weights and contributions in words (e.g. "BTC did most of the lifting").'
+    ].join('\n'));
+    assert.equal(formatPortfolioContext(null), '');
+});
+
+test('a holding without a 24h change leaves the portfolio P&L unknown', () => {
+    const coins = [
+        { name: 'Bitcoin', symbol: 'BTC', priceChange24h: 2, priceChange7d: 4, provenance: { priceChange24h: { status: 'real' } } },
+        { name: 'Dogwifhat', symbol: 'WIF', priceChange24h: null, priceChange7d: null, provenance: { priceChange24h: { status: 'unknown' } } }
+    ];
+    
+    const portfolio = buildPortfolio(parsePortfolio('BTC:50,WIF:50'), coins);
+    
+    assert.equal(portfolio.change24h, null);
+    assert.deepEqual(portfolio.unknown, ['WIF']);
+    assert.match(formatPortfolioContext(portfolio), /The portfolio's 24h change is unknown because WIF has no 24h change, do not quote a total\./);
+});
+
+test('the thread prompt gets the portfolio, and the fact check accepts its totals', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const config = testConfig({ portfolio: 'BTC:50,SOL:30,ETH:20' });
+    const portfolio = await fetchPortfolio(cryptoData, config, createTestDeps());
+    
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-valid.txt')]);
+    await generateThreadContent(gemini, cryptoData, { portfolio, config }, createTestDeps());
+    assert.match(gemini.prompts[0], /about these trending crypto projects: /);
+    assert.match(gemini.prompts[0], /\n\nOur model portfolio:\n- Bitcoin \(BTC\): 50% of the portfolio/);
+    
+    const tweets = parseThread('Tweet 1/1: Our model portfolio is up 3.7% today and +7.7% on the week, led by $SOL +6.9%. DYOR.');
+    assert.deepEqual(findComplianceViolations(tweets, withPortfolioFigures(cryptoData, portfolio)), []);
+    assert.deepEqual(findComplianceViolations(tweets, cryptoData).map(v => v.message), [
+        '3.7% matches no 24h or 7d change in $SOL',
+        '+7.7% matches no 24h or 7d change in $SOL'
+    ]);
+});
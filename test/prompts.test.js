@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { listPromptTemplates, loadPromptTemplate, parseTemplateSpec, renderPromptTemplate } from '../src/prompts.js';
+import { createTempDir, createTestDeps } from './helpers/deps.js';
+
+function writeTemplates(t, files) {
+    const dir = createTempDir(t);
+    Object.entries(files).forEach(([name, text]) => fs.writeFileSync(path.join(dir, name), text));
+    return dir;
+}
+
+test('the bundled prompts cover every thread format', () => {
+    const formats = [...new Set(listPromptTemplates(null, createTestDeps()).map(template => template.format))];
+    assert.deepEqual(formats, ['daily-recap', 'deep-dive', 'explain-like-new', 'gainers-losers', 'weekly-wrap']);
+});
+
+test('loadPromptTemplate picks the newest version unless one is pinned', t => {
+    const dir = writeTemplates(t, {
+        'daily-recap.v1.txt': 'First {{coins}}\n',
+        'daily-recap.v2.txt': 'Second {{coins}}\n',
+        'README.md': 'not a template'
+    });
+    const deps = createTestDeps();
+    
+    assert.deepEqual(loadPromptTemplate('daily-recap', dir, deps), { id: 'daily-recap@v2', format: 'daily-recap', version: 2, text: 'Second {{coins}}' });
+    assert.equal(loadPromptTemplate('daily-recap@v1', dir, deps).text, 'First {{coins}}');
+    assert.throws(() => loadPromptTemplate('daily-recap@v3', dir, deps), /No version 3 of thread format "daily-recap" \(available: v1, v2\)/);
+    assert.throws(() => loadPromptTemplate('weekly-wrap', dir, deps), /Unknown thread format "weekly-wrap" \(available: daily-recap\)/);
+    assert.throws(() => parseTemplateSpec('Daily Recap'), /expected <format> or <format>@v<N>/);
+});
+
+test('renderPromptTemplate fills placeholders and rejects unknown ones', () => {
+    const template = { id: 'test@v1', text: 'A {{threadLength}}-tweet thread about {{ coins }}' };
+    
+    assert.equal(renderPromptTemplate(template, { threadLength: 4, coins: 'BTC' }), 'A 4-tweet thread about BTC');
+    assert.throws(() => renderPromptTemplate(template, { threadLength: 4 }), /test@v1 uses unknown variable \{\{coins\}\}/);
+});
+
+test('new prompt variables come in new template versions, the published ones stay as they were', () => {
+    const deps = createTestDeps();
+    const templates = listPromptTemplates(null, deps);
+    const newest = templates.filter(template => !templates.some(other => other.format === template.format && other.version > template.version));
+    
+    assert.doesNotMatch(loadPromptTemplate('daily-recap@v2', null, deps).text, /\{\{news\}\}/);
+    assert.doesNotMatch(loadPromptTemplate('daily-recap@v3', null, deps).text, /\{\{(selection|portfolio)\}\}/);
+    // deep-dive covers one coin, so it has no {{selection}}
+    newest.forEach(template => ['news', 'portfolio', ...(template.format === 'deep-dive' ? [] : ['selection'])].forEach(name =>
+        assert.match(fs.readFileSync(template.filePath, 'utf8'), new RegExp(`\\{\\{${name}\\}\\}`), `${template.format} v${template.version} {{${name}}}`)
+    ));
+});
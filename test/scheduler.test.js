@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import path from 'path';
+import { formatQueue, loadScheduleState, parseSchedule, runScheduleTick, slotOccurrences, zonedTimeToUtc } from '../src/scheduler.js';
+import { createTempDir, createTestDeps, testConfig } from './helpers/deps.js';
+
+const SCHEDULE = '08:00 America/Los_Angeles daily-recap; 18:00 America/Los_Angeles gainers-losers; sun 10:00 America/Los_Angeles weekly-wrap';
+
+// A clock the test moves, and a runStage that records its calls, fails the named
+// stages and resolves to the outcome set for a stage (review decision, publish status)
+function createScheduleHarness(t, overrides = {}) {
+    const dir = createTempDir(t);
+    let time = Date.parse('2026-10-18T15:05:00Z'); // Sunday 08:05 in Los Angeles
+    const stages = [];
+    const failing = new Set();
+    const outcomes = {};
+
+    const deps = createTestDeps({ now: () => new Date(time) });
+    const config = testConfig({
+        schedule: SCHEDULE,
+        scheduleStateFile: path.join(dir, 'schedule.json'),
+        queueDir: path.join(dir, 'queue'),
+        ...overrides
+    });
+    const context = {
+        config,
+        runStage: async (stage, entry) => {
+            stages.push(`${stage} ${entry.format} ${path.basename(entry.workDir)}`);
+            if (failing.has(stage)) {
+                throw new Error(`${stage} failed`);
+            }
+            return outcomes[stage];
+        }
+    };
+
+    return {
+        config,
+        deps,
+        stages,
+        failing,
+        outcomes,
+        tick: () => runScheduleTick(context, deps),
+        setTime: iso => {
+            time = Date.parse(iso);
+        }
+    };
+}
+
+test('parseSchedule reads days, times, time zones and formats', () => {
+    const [daily, weekend] = parseSchedule('08:00 America/Los_Angeles daily-recap; sat+sun 9:30 Asia/Tokyo weekly-wrap@v1');
+
+    assert.deepEqual(daily, { id: '08:00 America/Los_Angeles daily-recap', days: [0, 1, 2, 3, 4, 5, 6], hour: 8, minute: 0, timeZone: 'America/Los_Angeles', format: 'daily-recap' });
+    assert.deepEqual(weekend.days, [0, 6]);
+    assert.deepEqual(parseSchedule('fri-mon 12:00 UTC deep-dive')[0].days, [0, 1, 5, 6]);
+
+    assert.throws(() => parseSchedule('25:00 UTC daily-recap'), /Invalid time "25:00"/);
+    assert.throws(() => parseSchedule('08:00 Mars/Olympus daily-recap'), /Unknown time zone "Mars\/Olympus"/);
+    assert.throws(() => parseSchedule('someday 08:00 UTC daily-recap'), /Invalid days "someday"/);
+    assert.throws(() => parseSchedule('08:00 daily-recap'), /expected \[days\] HH:MM <time zone> <format>/);
+});
+
+test('slot times follow daylight saving in their time zone', () => {
+    assert.equal(new Date(zonedTimeToUtc({ year: 2026, month: 10, day: 18, hour: 8, minute: 0 }, 'America/Los_Angeles')).toISOString(), '2026-10-18T15:00:00.000Z');
+    assert.equal(new Date(zonedTimeToUtc({ year: 2026, month: 11, day: 2, hour: 8, minute: 0 }, 'America/Los_Angeles')).toISOString(), '2026-11-02T16:00:00.000Z');
+
+    const [sunday] = parseSchedule('sun 10:00 America/Los_Angeles weekly-wrap');
+    assert.deepEqual(
+        slotOccurrences(sunday, Date.parse('2026-10-25T00:00:00Z'), Date.parse('2026-11-09T00:00:00Z')).map(t => new Date(t).toISOString()),
+        ['2026-10-25T17:00:00.000Z', '2026-11-01T18:00:00.000Z', '2026-11-08T18:00:00.000Z']
+    );
+});
+
+test('a tick generates and publishes the due slots, and the next tick does nothing', async t => {
+    const { config, deps, stages, tick } = createScheduleHarness(t);
+
+    await tick();
+
+    assert.deepEqual(stages, [
+        'fetch daily-recap daily-recap-20261018-0800',
+        'generate daily-recap daily-recap-20261018-0800',
+        'render daily-recap daily-recap-20261018-0800',
+        'publish daily-recap daily-recap-20261018-0800'
+    ]);
+    const state = loadScheduleState(config.scheduleStateFile, deps);
+    assert.equal(state.entries[0].status, 'published');
+    assert.equal(state.entries[0].dueAt, '2026-10-18T15:00:00.000Z');
+
+    await tick();
+    assert.equal(stages.length, 4);
+    assert.equal(formatQueue(state, parseSchedule(SCHEDULE), deps.now().getTime()), '📋 Queue: empty\n⏭️ Next: sun 10:00 America/Los_Angeles weekly-wrap at 2026-10-18 10:00 America/Los_Angeles');
+});
+
+test('a failed publish stays queued and is retried without generating again', async t => {
+    const { config, deps, stages, failing, tick, setTime } = createScheduleHarness(t);
+
+    failing.add('publish');
+    await tick();
+    let [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'queued');
+    assert.equal(entry.retryAt, '2026-10-18T15:20:00.000Z');
+
+    // Too early for the retry
+    setTime('2026-10-18T15:10:00Z');
+    await tick();
+    assert.equal(stages.length, 4);
+
+    failing.clear();
+    setTime('2026-10-18T15:21:00Z');
+    await tick();
+    assert.deepEqual(stages.slice(4), ['publish daily-recap daily-recap-20261018-0800']);
+    [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'published');
+    assert.equal(entry.attempts, 1);
+});
+
+test('a thread discarded in review is marked discarded and never published or retried', async t => {
+    const { config, deps, stages, outcomes, tick, setTime } = createScheduleHarness(t, { requireApproval: true });
+
+    outcomes.review = 'discarded';
+    await tick();
+
+    assert.deepEqual(stages.map(stage => stage.split(' ')[0]), ['fetch', 'generate', 'render', 'review']);
+    let [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'discarded');
+    assert.equal(entry.review, 'discarded');
+    assert.equal(entry.attempts, 0);
+    assert.equal(entry.retryAt, undefined);
+
+    setTime('2026-10-18T15:30:00Z');
+    await tick();
+    assert.equal(stages.length, 4);
+    [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'discarded');
+});
+
+test('a thread blocked by the compliance check is marked blocked, not published or retried', async t => {
+    const { config, deps, stages, outcomes, tick, setTime } = createScheduleHarness(t);
+
+    outcomes.publish = 'blocked';
+    await tick();
+
+    let [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'blocked');
+    assert.equal(entry.publishedAt, undefined);
+    assert.equal(entry.retryAt, undefined);
+
+    setTime('2026-10-18T15:30:00Z');
+    await tick();
+    assert.equal(stages.length, 4);
+    [entry] = loadScheduleState(config.scheduleStateFile, deps).entries;
+    assert.equal(entry.status, 'blocked');
+});
+
+test('missed slots are caught up once or skipped by policy', async t => {
+    const catchUp = createScheduleHarness(t);
+    await catchUp.tick();
+
+    // Offline until Monday 09:00: Sunday 10:00, Sunday 18:00 and Monday 08:00 were missed
+    catchUp.setTime('2026-10-19T16:00:00Z');
+    await catchUp.tick();
+    assert.deepEqual(catchUp.stages.slice(4).filter(stage => stage.startsWith('publish')), [
+        'publish daily-recap daily-recap-20261019-0800',
+        'publish gainers-losers gainers-losers-20261018-1800',
+        'publish weekly-wrap weekly-wrap-20261018-1000'
+    ]);
+
+    const skip = createScheduleHarness(t, { scheduleMissed: 'skip' });
+    await skip.tick();
+    skip.setTime('2026-10-19T16:00:00Z');
+    await skip.tick();
+    assert.equal(skip.stages.length, 4);
+    assert.deepEqual(
+        loadScheduleState(skip.config.scheduleStateFile, skip.deps).entries.map(entry => `${entry.slot}: ${entry.status}`),
+        [
+            '08:00 America/Los_Angeles daily-recap: published',
+            '08:00 America/Los_Angeles daily-recap: skipped',
+            '18:00 America/Los_Angeles gainers-losers: skipped',
+            'sun 10:00 America/Los_Angeles weekly-wrap: skipped'
+        ]
+    );
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { telegramMarkup, toPlainText, splitTelegramMessage } from '../src/telegram-format.js';
+
+const NASTY = 'PEPE_USD <3 *moon* [1.5x] & (more)!';
+
+test('each parse mode escapes dynamic text', () => {
+    assert.equal(telegramMarkup('HTML').escape(NASTY), 'PEPE_USD &lt;3 *moon* [1.5x] &amp; (more)!');
+    assert.equal(telegramMarkup('MarkdownV2').escape(NASTY), 'PEPE\\_USD <3 \\*moon\\* \\[1\\.5x\\] & \\(more\\)\\!');
+    assert.equal(telegramMarkup('Markdown').escape(NASTY), 'PEPE\\_USD <3 \\*moon\\* \\[1.5x] & (more)!');
+    assert.equal(telegramMarkup('none').escape(NASTY), NASTY);
+});
+
+test('bold and italic escape their content', () => {
+    assert.equal(telegramMarkup('HTML').bold('a < b'), '<b>a &lt; b</b>');
+    assert.equal(telegramMarkup('MarkdownV2').bold('Tip: 2.5x!'), '*Tip: 2\\.5x\\!*');
+    assert.equal(telegramMarkup('MarkdownV2').italic('snake_case'), '_snake\\_case_');
+    assert.equal(telegramMarkup('Markdown').bold('*starred*'), '*starred*');
+});
+
+test('telegramMarkup rejects unknown parse modes', () => {
+    assert.throws(() => telegramMarkup('BBCode'), /Unsupported Telegram parse mode "BBCode"/);
+});
+
+test('toPlainText undoes the markup of every mode', () => {
+    for (const parseMode of ['HTML', 'MarkdownV2', 'Markdown', 'none']) {
+        const { escape, bold } = telegramMarkup(parseMode);
+        assert.equal(toPlainText(`${bold('Top')} ${escape(NASTY)}`, parseMode), `Top ${NASTY}`, parseMode);
+    }
+});
+
+test('splitTelegramMessage packs whole blocks up to the limit', () => {
+    assert.deepEqual(splitTelegramMessage(['one', 'two', 'three'], 9), ['one\n\ntwo', 'three']);
+    assert.deepEqual(splitTelegramMessage(['short'], 4096), ['short']);
+});
+
+test('splitTelegramMessage cuts an oversized block at line breaks, then hard', () => {
+    assert.deepEqual(splitTelegramMessage(['aaaa\nbbbb\ncc', 'dd'], 10), ['aaaa\nbbbb', 'cc\n\ndd']);
+    assert.deepEqual(splitTelegramMessage(['x'.repeat(25)], 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
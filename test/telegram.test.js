@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { sendToTelegram, sendImageToTelegram, sendMediaGroupToTelegram } from '../src/telegram.js';
+import { resolvePublishers, publishPackage, formatPublishReport } from '../src/publishers.js';
+import { parseThread } from '../src/thread.js';
+import { buildMarketSummary } from '../src/format.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, replySequence, startTelegramStub, telegramReply } from './helpers/telegram-stub.js';
+import { createTempDir, createTestDeps, loadFixtureMarketData, readFixture, testConfig, writeVisual } from './helpers/deps.js';
+
+test('sendToTelegram posts the message to the Bot API', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    
+    await sendToTelegram('🚀 <b>Hello</b>', TOKEN, CHAT_ID, 'HTML', deps);
+    
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].path, `/bot${TOKEN}/sendMessage`);
+    assert.deepEqual(jsonBody(stub.requests[0]), { chat_id: CHAT_ID, text: '🚀 <b>Hello</b>', parse_mode: 'HTML', disable_web_page_preview: true });
+});
+
+test('sendToTelegram leaves parse_mode out for plain text', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    
+    await sendToTelegram('plain_text', TOKEN, CHAT_ID, 'none', deps);
+    
+    assert.equal(jsonBody(stub.requests[0]).parse_mode, undefined);
+});
+
+test('sendToTelegram surfaces Bot API errors', async t => {
+    const { stub, deps } = await startTelegramStub(t, { '/sendMessage': telegramReply('sendMessage-bad-markdown', 400) });
+    
+    await assert.rejects(
+        sendToTelegram('*broken', TOKEN, CHAT_ID, 'Markdown', deps),
+        /Telegram API error \(400\): [^]*can't parse entities/
+    );
+    assert.equal(stub.requests.length, 2);
+});
+
+test('sendToTelegram resends as plain text when Telegram rejects the formatting', async t => {
+    const { stub, deps } = await startTelegramStub(t, {
+        '/sendMessage': replySequence(telegramReply('sendMessage-bad-markdown', 400), telegramReply('sendMessage-ok'))
+    });
+    
+    await sendToTelegram('🚀 *Top\\_gainer* PEPE\\_USD', TOKEN, CHAT_ID, 'MarkdownV2', deps);
+    
+    assert.equal(jsonBody(stub.requests[0]).parse_mode, 'MarkdownV2');
+    assert.deepEqual(jsonBody(stub.requests[1]), { chat_id: CHAT_ID, text: '🚀 Top_gainer PEPE_USD', disable_web_page_preview: true });
+});
+
+test('sendToTelegram waits out a 429 for as long as retry_after says', async t => {
+    const sleeps = [];
+    const { stub, deps } = await startTelegramStub(t, {
+        '/sendMessage': replySequence(telegramReply('sendMessage-rate-limited', 429), telegramReply('sendMessage-ok'))
+    });
+    deps.sleep = async ms => sleeps.push(ms);
+    
+    await sendToTelegram('hello', TOKEN, CHAT_ID, 'none', deps);
+    
+    assert.equal(stub.requests.length, 2);
+    assert.deepEqual(sleeps, [7000]);
+});
+
+test('sendToTelegram gives up after repeated 429s', async t => {
+    const { stub, deps } = await startTelegramStub(t, { '/sendMessage': telegramReply('sendMessage-rate-limited', 429) });
+    
+    await assert.rejects(sendToTelegram('hello', TOKEN, CHAT_ID, 'none', deps), /Telegram API error \(429\)/);
+    assert.equal(stub.requests.length, 4);
+});
+
+test('sendToTelegram splits long messages between blocks', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    const blocks = ['a'.repeat(3000), 'b'.repeat(3000), 'c'.repeat(500)];
+    
+    await sendToTelegram(blocks, TOKEN, CHAT_ID, 'none', deps);
+    
+    assert.deepEqual(stub.requests.map(r => jsonBody(r).text), [blocks[0], `${blocks[1]}\n\n${blocks[2]}`]);
+});
+
+test('sendImageToTelegram falls back to a text message when the upload is rejected', async t => {
+    const { stub, deps } = await startTelegramStub(t, { '/sendDocument': { status: 413, body: { ok: false, description: 'Request Entity Too Large' } } });
+    const item = writeVisual(createTempDir(t), 'crypto-btc-1.svg', 'Bitcoin card');
+    
+    await sendImageToTelegram(item, TOKEN, CHAT_ID, 'HTML', deps);
+    
+    assert.deepEqual(stub.requests.map(r => r.path.split('/').pop()), ['sendDocument', 'sendMessage']);
+    assert.match(jsonBody(stub.requests[1]).text, /<b>Generated Image:<\/b> crypto-btc-1\.svg/);
+});
+
+test('sendMediaGroupToTelegram sends one photo on its own and several as an album', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    const dir = createTempDir(t);
+    const items = [writeVisual(dir, 'a.svg', 'First'), writeVisual(dir, 'b.svg', 'Second')];
+    
+    await sendMediaGroupToTelegram(items.slice(0, 1), TOKEN, CHAT_ID, deps);
+    await sendMediaGroupToTelegram(items, TOKEN, CHAT_ID, deps);
+    
+    assert.deepEqual(stub.requests.map(r => r.path.split('/').pop()), ['sendPhoto', 'sendMediaGroup']);
+    assert.match(stub.requests[1].body, /"media":"attach:\/\/photo0"|attach:\/\/photo0/);
+    assert.match(stub.requests[1].body, /filename="b-x-card\.png"/);
+});
+
+test('the Telegram publisher sends the thread, the rendered visuals and the compliance report', async t => {
+    const { stub, deps } = await startTelegramStub(t);
+    const dir = createTempDir(t);
+    const cryptoData = await loadFixtureMarketData(deps);
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    const env = { TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID };
+    
+    const publishers = resolvePublishers(testConfig(), env, deps);
+    const results = await publishPackage({
+        tweets,
+        images: [writeVisual(dir, 'crypto-btc-1.svg', 'Bitcoin card')],
+        charts: [writeVisual(dir, 'price-chart.svg', 'Price chart')],
+        summary: buildMarketSummary(cryptoData),
+        cryptoData,
+        comparison: null,
+        compliance: { violations: [], fixes: [] },
+        createdAt: '2026-10-18T08:00:00.000Z'
+    }, publishers);
+    
+    assert.deepEqual(results, [{ channel: 'telegram', ok: true, details: 'message + 2 photos + 0 documents + compliance report', delivered: [4211, 4212, 4211] }]);
+    assert.deepEqual(stub.requests.map(r => r.path.split('/').pop()), ['sendMessage', 'sendMediaGroup', 'sendMessage']);
+    assert.equal(jsonBody(stub.requests[2]).text, '🛡️ Compliance check passed');
+    assert.match(jsonBody(stub.requests[0]).text, /^🧵 <b>Your Daily Crypto Twitter Thread is Ready!<\/b>/);
+    assert.equal(jsonBody(stub.requests[0]).parse_mode, 'HTML');
+});
+
+test('publishPackage reports each channel separately', async t => {
+    const { stub, deps } = await startTelegramStub(t, { '/discord': { status: 404, body: { message: 'Unknown Webhook' } } });
+    const env = { TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID, DISCORD_WEBHOOK_URL: `${stub.url}/discord` };
+    const cryptoData = await loadFixtureMarketData(deps);
+    
+    const publishers = resolvePublishers(testConfig({ publishChannels: ['discord', 'telegram'] }), env, deps);
+    const results = await publishPackage({
+        tweets: parseThread(readFixture('gemini', 'thread-valid.txt')),
+        images: [],
+        charts: [],
+        summary: buildMarketSummary(cryptoData),
+        cryptoData,
+        comparison: null,
+        createdAt: '2026-10-18T08:00:00.000Z'
+    }, publishers);
+    
+    assert.equal(formatPublishReport(results), '❌ discord: POST failed (404): {"message":"Unknown Webhook"}\n✅ telegram');
+});
+
+test('resolvePublishers lists every missing setting at once', () => {
+    assert.throws(
+        () => resolvePublishers(testConfig({ publishChannels: ['telegram', 'slack', 'x-draft'] }), { TELEGRAM_CHAT_ID: CHAT_ID }, createTestDeps()),
+        { message: 'Enabled channels are missing settings: telegram (TELEGRAM_BOT_TOKEN); slack (SLACK_WEBHOOK_URL)' }
+    );
+});
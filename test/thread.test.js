@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import { generateThreadContent, describeGenerationFallbacks, parseThread, validateThread, weightedTweetLength, formatThreadText } from '../src/thread.js';
+import { createFakeLlm } from './helpers/fake-gemini.js';
+import { createTestDeps, loadFixtureMarketData, readFixture, testConfig } from './helpers/deps.js';
+
+test('parseThread reads decorated "Tweet N/M" markers with hashtags and cashtags', () => {
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    
+    assert.equal(tweets.length, 6);
+    assert.deepEqual(tweets.map(t => t.index), [1, 2, 3, 4, 5, 6]);
+    assert.ok(tweets.every(t => t.total === 6));
+    assert.match(tweets[0].text, /^🚀 Trending crypto check-in/);
+    assert.deepEqual(tweets[0].cashtags, ['SUI', 'PEPE']);
+    assert.deepEqual(tweets[5].hashtags, ['bitcoin', 'solana', 'sui', 'DeFi']);
+});
+
+test('weightedTweetLength counts URLs as 23 and emoji as 2', () => {
+    assert.equal(weightedTweetLength('hello'), 5);
+    assert.equal(weightedTweetLength('see https://example.com/a/very/long/path?with=query'), 4 + 23);
+    assert.equal(weightedTweetLength('🚀🚀'), 4);
+    assert.equal(weightedTweetLength('日本'), 4);
+    // One emoji however many code points: ZWJ sequence, FE0F, skin tone, flag, keycap
+    assert.equal(weightedTweetLength('\u{1F9D1}\u200D\u{1F4BB}'), 2);
+    assert.equal(weightedTweetLength('I \u2764\uFE0F BTC'), 8);
+    assert.equal(weightedTweetLength('\u{1F44D}\u{1F3FD}\u{1F1FA}\u{1F1F8}1\uFE0F\u20E3'), 6);
+    assert.equal(weightedTweetLength('\u00A9 2026'), 6);
+});
+
+test('validateThread reports numbering, length and duplicate problems', () => {
+    const violations = validateThread(parseThread(readFixture('gemini', 'thread-too-long.txt')), 6);
+    
+    assert.ok(violations.some(v => /^Tweet 3 is \d+ characters, limit is 280$/.test(v)));
+    assert.ok(violations.includes('Tweet 6 is numbered out of 5, expected 6'));
+    assert.deepEqual(validateThread(parseThread(readFixture('gemini', 'thread-valid.txt')), 6), []);
+    assert.deepEqual(validateThread([], 6), ['No "Tweet N/M:" entries found']);
+    
+    const duplicated = parseThread('Tweet 1/2: Same text\n\nTweet 2/2: same   TEXT');
+    assert.deepEqual(validateThread(duplicated, 2), ['Tweet 2 duplicates an earlier tweet']);
+});
+
+test('formatThreadText round-trips through parseThread', () => {
+    const tweets = parseThread(readFixture('gemini', 'thread-valid.txt'));
+    assert.deepEqual(parseThread(formatThreadText(tweets)), tweets);
+});
+
+test('generateThreadContent re-prompts with the violations until the thread is valid', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-too-long.txt'), readFixture('gemini', 'thread-valid.txt')]);
+    
+    const { tweets, generation } = await generateThreadContent(gemini, cryptoData, { config: testConfig() }, createTestDeps());
+    
+    assert.equal(gemini.prompts.length, 2);
+    assert.deepEqual(gemini.models, ['gemini-2.0-flash', 'gemini-2.0-flash']);
+    assert.match(gemini.prompts[0], /Sui \(SUI\): \+11\.0% \(sources disagree, do not quote\)/);
+    assert.match(gemini.prompts[1], /Your previous answer was rejected for these reasons:\n- Tweet 3 is \d+ characters/);
+    assert.deepEqual(tweets, parseThread(readFixture('gemini', 'thread-valid.txt')));
+    assert.deepEqual(generation, {
+        template: 'daily-recap@v4',
+        locale: 'en',
+        persona: null,
+        tone: null,
+        model: 'gemini:gemini-2.0-flash',
+        modelFallback: false,
+        failedModels: [],
+        fallback: false,
+        error: null
+    });
+    assert.deepEqual(describeGenerationFallbacks(generation), []);
+});
+
+test('generateThreadContent falls back to the template when Gemini keeps failing', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const gemini = createFakeLlm([new Error('503 Service Unavailable')]);
+    
+    const { tweets, generation } = await generateThreadContent(gemini, cryptoData, { config: testConfig() }, createTestDeps());
+    
+    assert.equal(generation.fallback, true);
+    assert.match(generation.error, /^Every LLM model failed: gemini:gemini-2\.0-flash \(503 Service Unavailable\); gemini:gemini-2\.0-flash-lite/);
+    assert.match(describeGenerationFallbacks(generation)[0], /^⚠️ Template thread: AI generation failed/);
+    assert.equal(tweets.length, 6);
+    assert.match(tweets[1].text, /\$BTC \+2\.4%, \$SOL \+6\.9%, \$SUI \+11\.0%/);
+    assert.match(tweets[2].text, /\$PEPE -4\.5%, \$HYPE -1\.4%/);
+});
+
+test('the template thread follows threadLength', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const deps = createTestDeps();
+    
+    const { tweets: short } = await generateThreadContent(null, cryptoData, { config: testConfig({ threadLength: 3 }) }, deps);
+    const { tweets: long } = await generateThreadContent(null, cryptoData, { config: testConfig({ threadLength: 9 }) }, deps);
+    
+    assert.deepEqual(validateThread(short, 3), []);
+    assert.match(short[1].text, /^📈 Top gainers/);
+    assert.deepEqual(validateThread(long, 9), []);
+    assert.match(long[6].text, /^🔎 Solana \(\$SOL\) is trending at \+6\.9% in 24h/);
+    assert.match(long[8].text, /^🎯 Follow for daily crypto insights/);
+});
+
+test('generateThreadContent fills the chosen format with the persona, tone and date', async () => {
+    const cryptoData = await loadFixtureMarketData();
+    const gemini = createFakeLlm([readFixture('gemini', 'thread-valid.txt')]);
+    const config = testConfig({ threadFormat: 'gainers-losers@v1', persona: 'teacher', tone: 'cautious' });
+    
+    const { generation } = await generateThreadContent(gemini, cryptoData, { config }, createTestDeps());
+    
+    assert.deepEqual([generation.template, generation.persona, generation.tone, generation.fallback], ['gainers-losers@v1', 'teacher', 'cautious', false]);
+    assert.match(gemini.prompts[0], /^Create a 6-tweet Twitter thread for 2026-10-18 on today's biggest movers/);
+    assert.match(gemini.prompts[0], /Gainers: Solana \(SOL\) \+6\.9%, Bitcoin \(BTC\) \+2\.4%\nLosers: Pepe \(PEPE\) -4\.5%, Hyperliquid \(HYPE\) -1\.4%/);
+    assert.match(gemini.prompts[0], /Write as a patient teacher who explains every term the first time it comes up\. Use a cautious tone\./);
+    assert.doesNotMatch(gemini.prompts[0], /\{\{/);
+});
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { generateCryptoImages } from '../src/images.js';
+import { wrapText } from '../src/cards.js';
+import { generatePriceCharts } from '../src/charts.js';
+import { fetchCryptoData, fetchPortfolio } from '../src/market-data.js';
+import { deliveryAsset, fitSvgToCanvas, parseRenderSizes, renderVisuals } from '../src/render.js';
+import { assertGolden } from './helpers/golden.js';
+import { startStubServer } from './helpers/stub-server.js';
+import { createTempDir, createTestDeps, FIXED_NOW, loadFixtureMarketData, testConfig } from './helpers/deps.js';
+
+async function generateVisuals(t) {
+    const outDir = createTempDir(t);
+    const config = testConfig({ imagesDir: path.join(outDir, 'images'), chartsDir: path.join(outDir, 'charts') });
+    const deps = createTestDeps();
+    const cryptoData = await loadFixtureMarketData(deps);
+    
+    return {
+        images: await generateCryptoImages(cryptoData, config, deps),
+        charts: await generatePriceCharts(cryptoData, config, deps),
+        deps
+    };
+}
+
+// The timestamp in file names comes from the injected clock
+function goldenName(item) {
+    return item.fileName.replace(`-${FIXED_NOW.getTime()}`, '');
+}
+
+test('image cards match the golden SVGs', async t => {
+    const { images } = await generateVisuals(t);
+    
+    assert.deepEqual(images.map(goldenName), ['crypto-btc-1.svg', 'crypto-sol-2.svg']);
+    images.forEach(item => assertGolden(goldenName(item), fs.readFileSync(item.filePath, 'utf8')));
+});
+
+test('the leaderboard, movers and cover cards match the golden SVGs in the dark theme', async t => {
+    const outDir = createTempDir(t);
+    const config = testConfig({ imagesDir: outDir, cardLayouts: ['leaderboard', 'movers', 'cover'], cardTheme: 'dark', brandHandle: '@crypto_threads' });
+    const deps = createTestDeps();
+    
+    const images = await generateCryptoImages(await loadFixtureMarketData(deps), config, deps);
+    
+    assert.deepEqual(images.map(goldenName), ['card-leaderboard.svg', 'card-movers.svg', 'card-cover.svg']);
+    assert.equal(images[1].description, 'Gainers vs losers: SUI +11.0%, SOL +6.9%, BTC +2.4% vs PEPE -4.5%, HYPE -1.4%');
+    images.forEach(item => assertGolden(goldenName(item), fs.readFileSync(item.filePath, 'utf8')));
+});
+
+test('the portfolio card and chart match the golden SVGs', async t => {
+    const outDir = createTempDir(t);
+    const config = testConfig({ imagesDir: path.join(outDir, 'images'), chartsDir: path.join(outDir, 'charts'), cardLayouts: ['portfolio'], portfolio: 'BTC:50,SOL:30,ETH:20' });
+    const deps = createTestDeps();
+    const cryptoData = await loadFixtureMarketData(deps);
+    const portfolio = await fetchPortfolio(cryptoData, config, deps);
+    
+    const images = await generateCryptoImages(cryptoData, config, deps, { portfolio });
+    const [chart] = await generatePriceCharts(cryptoData, config, deps, { portfolio });
+    
+    assert.deepEqual(images.map(goldenName), ['card-portfolio.svg']);
+    assert.equal(images[0].description, 'Model portfolio 24h P&L +3.7%: BTC 50% +2.4%, SOL 30% +6.9%, ETH 20% +1.9%');
+    assert.equal(goldenName(chart), 'portfolio-chart.svg');
+    [...images, chart].forEach(item => assertGolden(goldenName(item), fs.readFileSync(item.filePath, 'utf8')));
+    
+    // Without a portfolio the layout is skipped
+    assert.deepEqual(await generateCryptoImages(cryptoData, config, deps), []);
+});
+
+test('card text is escaped and wrapped or truncated to fit', async t => {
+    const outDir = createTempDir(t);
+    const deps = createTestDeps();
+    const [coin] = await loadFixtureMarketData(deps);
+    const odd = { ...coin, name: 'Bits & <Bytes> "Quoted" Extremely Long Named Protocol Token' };
+    
+    const [image] = await generateCryptoImages([odd], testConfig({ imagesDir: outDir, imageCount: 1 }), deps);
+    
+    const svg = fs.readFileSync(image.filePath, 'utf8');
+    assert.match(svg, />BITS &amp; &lt;BYTES&gt; &quot;QUOTED&quot; EXTREMELY LONG…<\/text>/);
+    assert.doesNotMatch(svg, /<BYTES>/);
+    assert.deepEqual(wrapText('Gainers and losers of the day', 12, 2), ['Gainers and', 'losers of…']);
+    assert.deepEqual(wrapText('Supercalifragilistic', 8, 3), ['Supercal', 'ifragili', 'stic']);
+});
+
+test('coin logos are downloaded once, cached and embedded, with the ticker as fallback', async t => {
+    const logo = '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="64"><circle cx="32" cy="32" r="32" fill="#f7931a"/></svg>';
+    const server = await startStubServer({ '/bitcoin.svg?1696501400': { body: logo } });
+    t.after(server.close);
+    const outDir = createTempDir(t);
+    const brandLogo = path.join(outDir, 'brand.svg');
+    fs.writeFileSync(brandLogo, logo);
+    const config = testConfig({ imagesDir: path.join(outDir, 'images'), logoCacheDir: path.join(outDir, 'logos'), brandLogo });
+    const deps = createTestDeps({ fetch: globalThis.fetch });
+    const [btc, sol] = await loadFixtureMarketData(createTestDeps());
+    const coins = [{ ...btc, imageUrl: `${server.url}/bitcoin.svg?1696501400` }, { ...sol, imageUrl: `${server.url}/missing.png` }];
+    
+    await generateCryptoImages(coins, config, deps);
+    const [btcCard, solCard] = await generateCryptoImages(coins, config, deps);
+    
+    assert.deepEqual(server.requests.map(request => request.path), ['/bitcoin.svg?1696501400', '/missing.png', '/missing.png']);
+    assert.equal(fs.readFileSync(path.join(outDir, 'logos', 'bitcoin.svg'), 'utf8'), logo);
+    const embedded = `data:image/svg+xml;base64,${Buffer.from(logo).toString('base64')}`;
+    const btcSvg = fs.readFileSync(btcCard.filePath, 'utf8');
+    assert.equal(btcSvg.split(embedded).length - 1, 2, 'coin logo and brand logo');
+    assert.doesNotMatch(btcSvg, />BTC<\/text>/);
+    assert.match(fs.readFileSync(solCard.filePath, 'utf8'), />SOL<\/text>/);
+});
+
+test('price charts match the golden SVGs', async t => {
+    const { charts } = await generateVisuals(t);
+    
+    assert.deepEqual(charts.map(goldenName), ['price-chart.svg', 'line-btc-30d.svg', 'candlestick-btc-7d.svg']);
+    charts.forEach(item => assertGolden(goldenName(item), fs.readFileSync(item.filePath, 'utf8')));
+});
+
+test('coin names and symbols are escaped in every chart, so they still render', async t => {
+    const outDir = createTempDir(t);
+    const deps = createTestDeps();
+    const [btc, ...rest] = await loadFixtureMarketData(deps);
+    const odd = { ...btc, name: 'Bits & <Bytes>', symbol: 'B&<' };
+    
+    const charts = [
+        ...await generatePriceCharts([odd, ...rest], testConfig({ chartsDir: outDir }), deps),
+        ...await generatePriceCharts([odd, rest[0]], testConfig({ chartsDir: outDir }), deps, { compareDays: 7 })
+    ];
+    
+    assert.deepEqual(charts.map(chart => chart.type), ['price-change-bar-chart', 'line-chart', 'candlestick-chart', 'comparison-chart']);
+    charts.forEach(chart => {
+        const svg = fs.readFileSync(chart.filePath, 'utf8');
+        assert.match(svg, /B&amp;&lt;/, chart.type);
+        assert.doesNotMatch(svg, /B&</, chart.type);
+    });
+    
+    await renderVisuals(charts, 'x-card:1200x675', deps);
+    charts.forEach(chart => assert.equal(fs.readFileSync(chart.renders[0].filePath).subarray(1, 4).toString(), 'PNG'));
+});
+
+test('renderVisuals writes a PNG per size with the bundled fonts', async t => {
+    const { images, deps } = await generateVisuals(t);
+    
+    await renderVisuals(images.slice(0, 1), 'x-card:1200x675,square:1080x1080', deps);
+    
+    const [image] = images;
+    assert.deepEqual(image.renders.map(({ size, width, height }) => ({ size, width, height })), [
+        { size: 'x-card', width: 1200, height: 675 },
+        { size: 'square', width: 1080, height: 1080 }
+    ]);
+    const png = fs.readFileSync(image.renders[0].filePath);
+    assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    assert.equal(png.readUInt32BE(16), 1200);
+    assert.equal(png.readUInt32BE(20), 675);
+    assert.equal(deliveryAsset(image).mimeType, 'image/png');
+});
+
+test('parseRenderSizes and fitSvgToCanvas', () => {
+    assert.deepEqual(parseRenderSizes('x-card:1200x675, square:1080x1080'), [
+        { name: 'x-card', width: 1200, height: 675 },
+        { name: 'square', width: 1080, height: 1080 }
+    ]);
+    assert.throws(() => parseRenderSizes('x-card:1200'), /Invalid render size "x-card:1200"/);
+    
+    const fitted = fitSvgToCanvas('<svg width="800" height="600" xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%" fill="#f8f9fa"/></svg>', 1200, 675);
+    assert.match(fitted, /^<svg width="1200" height="675"/);
+    assert.match(fitted, /<rect width="100%" height="100%" fill="#f8f9fa"\/>\n  <svg x="0" y="0" width="1200" height="675" viewBox="0 0 800 600"/);
+});
+
+test('the comparison chart matches the golden SVG', async t => {
+    const outDir = createTempDir(t);
+    const deps = createTestDeps();
+    const coins = await fetchCryptoData(testConfig(), deps, { symbols: ['BTC', 'ETH'] });
+    
+    const charts = await generatePriceCharts(coins, testConfig({ chartsDir: outDir }), deps, { compareDays: 7 });
+    
+    assert.deepEqual(charts.map(goldenName), ['comparison-btc-eth-7d.svg']);
+    assertGolden('comparison-btc-eth-7d.svg', fs.readFileSync(charts[0].filePath, 'utf8'));
+});
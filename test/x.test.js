@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'assert/strict';
+import './helpers/quiet-console.js';
+import fs from 'fs';
+import path from 'path';
+import { parseXMediaPlan, publishPackage, resolvePublishers } from '../src/publishers.js';
+import { parseThread } from '../src/thread.js';
+import { jsonBody } from './helpers/stub-server.js';
+import { CHAT_ID, TOKEN, startTelegramStub } from './helpers/telegram-stub.js';
+import { X_TOKEN, startXStub } from './helpers/x-stub.js';
+import { createTempDir, readFixture, testConfig, writeVisual } from './helpers/deps.js';
+
+async function setUpX(t, options) {
+    const dir = createTempDir(t);
+    const x = await startXStub(t, options);
+    const { stub: telegram, deps } = await startTelegramStub(t);
+    deps.xApiBase = x.url;
+    
+    const config = testConfig({ publishChannels: ['x'], workDir: path.join(dir, 'work') });
+    const env = { X_ACCESS_TOKEN: X_TOKEN, TELEGRAM_BOT_TOKEN: TOKEN, TELEGRAM_CHAT_ID: CHAT_ID };
+    const contentPackage = {
+        tweets: parseThread(readFixture('gemini', 'thread-valid.txt')),
+        images: [writeVisual(dir, 'crypto-btc-1.svg', 'Bitcoin card'), writeVisual(dir, 'crypto-sol-2.svg', 'Solana card')],
+        charts: [writeVisual(dir, 'price-chart.svg', 'Price chart')],
+        threadGeneratedAt: '2026-10-18T08:00:00.000Z'
+    };
+    const publish = () => publishPackage(contentPackage, resolvePublishers(config, env, deps));
+    
+    return { x, telegram, config, contentPackage, publish };
+}
+
+function tweetRequests(x) {
+    return x.requests.filter(r => r.path === '/2/tweets').map(jsonBody);
+}
+
+test('parseXMediaPlan reads <tweet>:images|charts entries', () => {
+    assert.deepEqual(parseXMediaPlan('1:images, 3:charts,3:images'), [
+        { tweet: 1, visuals: 'images' },
+        { tweet: 3, visuals: 'charts' },
+        { tweet: 3, visuals: 'images' }
+    ]);
+    assert.throws(() => parseXMediaPlan('1:images,first:charts'), /Invalid X media entry "first:charts"/);
+    assert.throws(() => parseXMediaPlan('0:images'), /Invalid X media entry "0:images"/);
+});
+
+test('the x channel posts a reply chain with media and reports the links to Telegram', async t => {
+    const { x, telegram, config, publish } = await setUpX(t);
+    
+    const [result] = await publish();
+    
+    assert.deepEqual(result, { channel: 'x', ok: true, details: '6 tweets: https://x.com/i/web/status/1001', delivered: ['1001', '1002', '1003', '1004', '1005', '1006'] });
+    assert.ok(x.requests.every(r => r.headers.authorization === `Bearer ${X_TOKEN}`));
+    
+    const tweets = tweetRequests(x);
+    assert.equal(tweets.length, 6);
+    assert.equal(tweets[0].reply, undefined);
+    assert.deepEqual(tweets[0].media, { media_ids: ['5001', '5002'] });
+    assert.deepEqual(tweets[1], { text: tweets[1].text, reply: { in_reply_to_tweet_id: '1001' }, media: { media_ids: ['5003'] } });
+    assert.deepEqual(tweets.slice(2).map(tweet => tweet.reply.in_reply_to_tweet_id), ['1002', '1003', '1004', '1005']);
+    assert.match(x.requests.find(r => r.path === '/2/media/upload').body, /filename="crypto-btc-1-x-card\.png"/);
+    assert.deepEqual(jsonBody(x.requests.find(r => r.path === '/2/media/metadata')), { id: '5001', metadata: { alt_text: { text: 'Bitcoin card' } } });
+    
+    const report = jsonBody(telegram.requests.at(-1)).text;
+    assert.match(report, /^🐦 Posted the thread to X:\n1\/6 https:\/\/x\.com\/i\/web\/status\/1001\n2\/6 https:\/\/x\.com\/i\/web\/status\/1002/);
+    
+    // Publishing the same thread again posts nothing
+    const [again] = await publish();
+    assert.deepEqual(again, { channel: 'x', ok: true, details: 'already posted: https://x.com/i/web/status/1001', delivered: ['1001', '1002', '1003', '1004', '1005', '1006'] });
+    assert.equal(tweetRequests(x).length, 6);
+    
+    const saved = JSON.parse(fs.readFileSync(path.join(config.workDir, 'x-thread.json'), 'utf8'));
+    assert.deepEqual(saved.posted.map(tweet => tweet.id), ['1001', '1002', '1003', '1004', '1005', '1006']);
+});
+
+test('the x channel resumes from the last posted tweet after a failure', async t => {
+    const { x, telegram, publish } = await setUpX(t, { failTweet: 4 });
+    
+    const [failed] = await publish();
+    
+    assert.equal(failed.ok, false);
+    assert.match(failed.error, /^X \/2\/tweets failed \(503\)/);
+    assert.match(jsonBody(telegram.requests.at(-1)).text, /^⚠️ Posting to X stopped after 3 of 6 tweets: X \/2\/tweets failed \(503\)[^]*Run `node automation\.js publish` to resume\.\n\n1\/6 https:\/\/x\.com\/i\/web\/status\/1001/);
+    
+    const [resumed] = await publish();
+    
+    assert.equal(resumed.ok, true);
+    const tweets = tweetRequests(x);
+    assert.equal(tweets.length, 7);
+    assert.deepEqual(tweets.slice(3).map(tweet => tweet.reply.in_reply_to_tweet_id), ['1003', '1003', '1004', '1005']);
+    assert.equal(tweets[4].text, tweets[3].text);
+    assert.match(jsonBody(telegram.requests.at(-1)).text, /\n6\/6 https:\/\/x\.com\/i\/web\/status\/1006$/);
+});
+
+test('the x channel refuses a regenerated thread once another one from the work dir is on X', async t => {
+    const { x, config, contentPackage, publish } = await setUpX(t, { failTweet: 4 });
+    await publish();
+    
+    // Running generate again rewrites the text and the thread's timestamp
+    contentPackage.tweets = contentPackage.tweets.map(tweet => ({ ...tweet, text: `${tweet.text} (regenerated)` }));
+    contentPackage.threadGeneratedAt = '2026-10-18T09:00:00.000Z';
+    const [refused] = await publish();
+    
+    assert.equal(refused.ok, false);
+    assert.equal(refused.error, `A thread generated at 2026-10-18T08:00:00.000Z is already on X from ${config.workDir} (https://x.com/i/web/status/1001), not posting a second one. Use a new --work-dir or remove ${path.join(config.workDir, 'x-thread.json')} to post this thread`);
+    assert.equal(tweetRequests(x).length, 4);
+    
+    const saved = JSON.parse(fs.readFileSync(path.join(config.workDir, 'x-thread.json'), 'utf8'));
+    assert.equal(saved.threadGeneratedAt, '2026-10-18T08:00:00.000Z');
+    assert.deepEqual(saved.posted.map(tweet => tweet.id), ['1001', '1002', '1003']);
+});